@@ -0,0 +1,22 @@
+// One-off migration of a json-server database file to the current module
+// schema, also marking legacy responses as complete.
+// Usage: npm run migrate [-- path/to/db.json]
+import { readFileSync, writeFileSync } from 'node:fs';
+import { migrateDatabase, CURRENT_SCHEMA_VERSION } from '../src/services/migrations.js';
+
+const file = process.argv[2] || 'db.json';
+
+const db = JSON.parse(readFileSync(file, 'utf8'));
+const { db: migrated, migratedIds, migratedResponseIds } = migrateDatabase(db);
+
+if (migratedIds.length === 0 && migratedResponseIds.length === 0) {
+  console.log(`${file}: all modules already at schema version ${CURRENT_SCHEMA_VERSION}`);
+} else {
+  writeFileSync(file, `${JSON.stringify(migrated, null, 2)}\n`);
+  if (migratedIds.length > 0) {
+    console.log(`${file}: migrated ${migratedIds.length} module(s) to schema version ${CURRENT_SCHEMA_VERSION}: ${migratedIds.join(', ')}`);
+  }
+  if (migratedResponseIds.length > 0) {
+    console.log(`${file}: marked ${migratedResponseIds.length} legacy response(s) as complete`);
+  }
+}
@@ -1,28 +1,207 @@
 import React from 'react';
-import { Table, Typography, Button, Space, message, Popconfirm, Tag, Modal } from 'antd';
-import { PlusOutlined, EditOutlined, DeleteOutlined, EyeOutlined, ClearOutlined } from '@ant-design/icons';
+import { Table, Typography, Button, Space, Spin, message, Popconfirm, Tag, Result } from 'antd';
+import {
+  PlusOutlined,
+  EditOutlined,
+  DeleteOutlined,
+  EyeOutlined,
+  ClearOutlined,
+  InboxOutlined,
+  CloudUploadOutlined,
+  CloudDownloadOutlined,
+  StopOutlined,
+  UndoOutlined,
+  CopyOutlined,
+  SnippetsOutlined,
+  UploadOutlined,
+  BarChartOutlined,
+  ShareAltOutlined,
+  TranslationOutlined,
+  AuditOutlined,
+  RestOutlined,
+  TeamOutlined,
+  LogoutOutlined,
+} from '@ant-design/icons';
 import { apiService } from './services/api';
+import { auth, hasAdmins } from './services/auth';
+import { setAuditActor } from './services/audit';
+import { can, roleFor, ROLE_LABELS, ROLES } from './services/permissions';
+import { availableTransitions, isLocked } from './services/moduleStatus';
+import { startSyncQueue, syncQueue } from './services/drafts';
+import { parseListQuery, serializeListQuery, toModuleQuery } from './services/listQuery';
+import { matchRoute, navigate, routePath, ROUTES, subscribe } from './services/router';
+import { createResponseSession } from './services/responseSession';
+import { getRespondentId } from './services/sharing';
+import { TRASH_RETENTION_DAYS } from './services/trash';
 import AddModule from './components/AddModule';
+import SurveyRunner from './components/SurveyRunner';
+import ModuleResponses from './components/ModuleResponses';
+import ModuleAnalytics from './components/ModuleAnalytics';
+import TranslationManager from './components/TranslationManager';
+import ModuleTrash from './components/ModuleTrash';
+import ModuleMembers from './components/ModuleMembers';
+import SignIn from './components/SignIn';
+import AuditLog from './components/AuditLog';
+import BulkActions from './components/BulkActions';
+import ModuleListToolbar from './components/ModuleListToolbar';
+import DuplicateReview from './components/DuplicateReview';
+import NameDialog from './components/NameDialog';
+import TemplatePicker from './components/TemplatePicker';
+import ExportBundleDialog from './components/ExportBundleDialog';
+import ImportBundleDialog from './components/ImportBundleDialog';
+import LintReport, { LintBadge } from './components/LintReport';
+import ShareDialog from './components/ShareDialog';
+import PublicSurvey from './components/PublicSurvey';
+import { lintSurvey } from './survey/lint';
+import { loadLintConfig, saveLintConfig } from './services/lintConfig';
 
 const { Title } = Typography;
 
+const STATUS_ACTION_ICONS = {
+  Publish: <CloudUploadOutlined />,
+  Unpublish: <CloudDownloadOutlined />,
+  Archive: <StopOutlined />,
+  Reactivate: <UndoOutlined />,
+};
+
 function App() {
-  const [currentView, setCurrentView] = React.useState('table');
+  const [user, setUser] = React.useState(() => auth.currentUser());
+  const [authReady, setAuthReady] = React.useState(false);
+  const [location, setLocation] = React.useState(() => ({
+    pathname: window.location.pathname,
+    search: window.location.search,
+  }));
   const [modules, setModules] = React.useState([]);
+  const [totalModules, setTotalModules] = React.useState(0);
+  const [listQuery, setListQuery] = React.useState(() => parseListQuery(window.location.search));
   const [loading, setLoading] = React.useState(false);
-  const [editingModule, setEditingModule] = React.useState(null);
-  const [viewMode, setViewMode] = React.useState('edit'); // 'edit' or 'view'
+  // Module of the current /modules/:id/view, /responses or /analytics route
+  const [routeModule, setRouteModule] = React.useState(null);
+  // Module created by the designer on /modules/new, kept so the URL switch does not reload it
+  const [createdModule, setCreatedModule] = React.useState(null);
+  const [duplicatesOpen, setDuplicatesOpen] = React.useState(false);
+  const [templatePickerOpen, setTemplatePickerOpen] = React.useState(false);
+  const [newSurveyJson, setNewSurveyJson] = React.useState(null);
+  // Selected rows are kept across pages so bulk actions can span them
+  const [selectedModules, setSelectedModules] = React.useState([]);
+  const [exportOpen, setExportOpen] = React.useState(false);
+  const [importOpen, setImportOpen] = React.useState(false);
+  const [lintConfig, setLintConfig] = React.useState(loadLintConfig);
+  const [lintModule, setLintModule] = React.useState(null);
+  const [shareModule, setShareModule] = React.useState(null);
+  const [auditModule, setAuditModule] = React.useState(null);
+  const [membersModule, setMembersModule] = React.useState(null);
+  const [nameDialog, setNameDialog] = React.useState(null); // { action: 'clone' | 'template', module }
+  const [pendingSyncCount, setPendingSyncCount] = React.useState(() => syncQueue.entries().length);
+
+  const match = matchRoute(location.pathname);
+  const route = match?.route;
+  const routeModuleId = match?.params.id;
+  const onModuleList = route === ROUTES.MODULES;
+  const selectedModuleIds = selectedModules.map((module) => module.id);
+  // Export and Duplicate copy a module's content, so they only take modules the user may view
+  const viewableSelection = selectedModules.filter((module) => can(module, user, 'view'));
+  const unownedCount = hasAdmins ? 0 : modules.filter((module) => !module.ownerId).length;
 
-  // Load modules on component mount
+  // Follow navigation, including the browser's back and forward buttons
   React.useEffect(() => {
-    loadModules();
+    return subscribe(({ pathname, search }) => {
+      setLocation({ pathname, search });
+      if (matchRoute(pathname)?.route === ROUTES.MODULES) {
+        const next = parseListQuery(search);
+        setListQuery((current) => (serializeListQuery(current) === serializeListQuery(next) ? current : next));
+      }
+    });
+  }, []);
+
+  // Follow sign-in and sign-out, and credit audit entries to the signed-in user
+  React.useEffect(() => {
+    auth.ready.then(() => {
+      setUser(auth.currentUser());
+      setAuthReady(true);
+    });
+    return auth.subscribe(setUser);
+  }, []);
+
+  // The sync queue is kept per user, so count and retry the new user's saves
+  React.useEffect(() => {
+    setAuditActor(user ? { id: user.id, name: user.name || user.email } : null);
+    setSelectedModules([]);
+    setPendingSyncCount(syncQueue.entries().length);
+    if (user && syncQueue.entries().length > 0) {
+      syncQueue.flush(apiService);
+    }
+  }, [user]);
+
+  // Unknown paths, including the site root, land on the module list
+  React.useEffect(() => {
+    if (!match) {
+      navigate(`${ROUTES.MODULES}${window.location.search}`, { replace: true });
+    }
+  }, [route]);
+
+  // Load modules whenever the list is shown or its search, filters, sorting or page change
+  React.useEffect(() => {
+    if (onModuleList && user) loadModules();
+  }, [listQuery, onModuleList, user]);
+
+  // Mirror the list state into the URL so it survives reloads and can be shared
+  React.useEffect(() => {
+    const search = serializeListQuery(listQuery);
+    if (onModuleList && search !== window.location.search) {
+      navigate(`${ROUTES.MODULES}${search}`);
+    }
+  }, [listQuery]);
+
+  // Fetch the module a deep link points at; the designer loads its own
+  React.useEffect(() => {
+    setRouteModule(null);
+    if (!routeModuleId || route === ROUTES.EDIT_MODULE) return undefined;
+    let cancelled = false;
+    apiService.getModule(routeModuleId)
+      .then((module) => {
+        if (cancelled) return;
+        if (module.deleted) {
+          message.warning(`"${module.name}" is in the trash. Restore it to open it again.`);
+          navigate(ROUTES.TRASH, { replace: true });
+          return;
+        }
+        setRouteModule(module);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        message.error(`Failed to load survey: ${error.message}`);
+        console.error('Error loading module:', error);
+        navigate(ROUTES.MODULES, { replace: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [route, routeModuleId]);
+
+  // Forget the created module once the designer is left, so a later visit loads fresh data
+  React.useEffect(() => {
+    if (route !== ROUTES.EDIT_MODULE && route !== ROUTES.NEW_MODULE) setCreatedModule(null);
+  }, [route]);
+
+  // Retry saves that failed while offline, wherever the user is in the app
+  React.useEffect(() => {
+    const stopSyncQueue = startSyncQueue(apiService);
+    const unsubscribe = syncQueue.subscribe(() => {
+      setPendingSyncCount(syncQueue.entries().length);
+    });
+    return () => {
+      stopSyncQueue();
+      unsubscribe();
+    };
   }, []);
 
   const loadModules = async () => {
     setLoading(true);
     try {
-      const data = await apiService.getModules();
-      setModules(data);
+      const { items, total } = await apiService.queryModules(toModuleQuery(listQuery));
+      setModules(items);
+      setTotalModules(total);
     } catch (error) {
       message.error('Failed to load modules');
       console.error('Error loading modules:', error);
@@ -34,83 +213,108 @@ function App() {
   const handleDeleteModule = async (id) => {
     try {
       await apiService.deleteModule(id);
-      message.success('Module deleted successfully');
+      message.success('Module moved to the trash');
+      setSelectedModules((selected) => selected.filter((module) => module.id !== id));
       loadModules();
     } catch (error) {
-      message.error('Failed to delete module');
+      message.error(error.name === 'PermissionDeniedError' ? error.message : 'Failed to delete module');
       console.error('Error deleting module:', error);
     }
   };
 
+  // Drop trashed modules from the selection and keep the others up to date
+  const handleBulkDone = (action, report) => {
+    const succeeded = new Map(report.filter((row) => row.ok).map((row) => [row.id, row.result]));
+    setSelectedModules((selected) => selected
+      .filter((module) => !(action === 'delete' && succeeded.has(module.id)))
+      .map((module) => (action === 'status' || action === 'tags') && succeeded.has(module.id)
+        ? { ...module, ...succeeded.get(module.id) }
+        : module));
+    loadModules();
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await auth.signOut();
+    } catch (error) {
+      message.error(`Failed to sign out: ${error.message}`);
+      console.error('Error signing out:', error);
+    }
+  };
+
+  const handleChangeStatus = async (module, status) => {
+    try {
+      await apiService.changeModuleStatus(module.id, status);
+      message.success(`"${module.name}" is now ${status}`);
+      loadModules();
+    } catch (error) {
+      message.error(`Failed to change status: ${error.message}`);
+      console.error('Error changing module status:', error);
+    }
+  };
+
+  const handleCloneModule = async (name) => {
+    try {
+      const copy = await apiService.cloneModule(nameDialog.module.id, { name });
+      message.success(`Created "${copy.name}"`);
+      setNameDialog(null);
+      loadModules();
+    } catch (error) {
+      message.error('Failed to duplicate module');
+      console.error('Error duplicating module:', error);
+    }
+  };
+
+  const handleSaveAsTemplate = async (name, description) => {
+    try {
+      await apiService.saveAsTemplate(nameDialog.module.id, { name, description });
+      message.success(`Saved template "${name}"`);
+      setNameDialog(null);
+    } catch (error) {
+      message.error(error.name === 'PermissionDeniedError' ? error.message : 'Failed to save template');
+      console.error('Error saving template:', error);
+    }
+  };
+
   const handleEditModule = (module) => {
-    setEditingModule(module);
-    setViewMode('edit');
-    setCurrentView('builder');
+    navigate(routePath(ROUTES.EDIT_MODULE, { id: module.id }));
   };
 
   const handleViewModule = (module) => {
-    setEditingModule(module);
-    setViewMode('view');
-    setCurrentView('builder');
+    navigate(routePath(ROUTES.VIEW_MODULE, { id: module.id }));
   };
 
-  // New function to clean up duplicate modules
-  const handleCleanupDuplicates = async () => {
-    Modal.confirm({
-      title: 'Clean Up Duplicate Modules',
-      content: 'This will remove duplicate modules with the same name, keeping only the most recent one. This action cannot be undone.',
-      okText: 'Clean Up',
-      cancelText: 'Cancel',
-      okButtonProps: { danger: true },
-      onOk: async () => {
-        try {
-          setLoading(true);
-          
-          // Group modules by name
-          const moduleGroups = {};
-          modules.forEach(module => {
-            const name = module.name || 'Unnamed';
-            if (!moduleGroups[name]) {
-              moduleGroups[name] = [];
-            }
-            moduleGroups[name].push(module);
-          });
-
-          let deletedCount = 0;
-          
-          // For each group with duplicates, keep the most recent and delete others
-          for (const [name, group] of Object.entries(moduleGroups)) {
-            if (group.length > 1) {
-              // Sort by updatedAt date (most recent first)
-              const sorted = group.sort((a, b) => 
-                new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt)
-              );
-              
-              // Keep the first (most recent), delete the rest
-              const toDelete = sorted.slice(1);
-              
-              for (const module of toDelete) {
-                try {
-                  await apiService.deleteModule(module.id);
-                  deletedCount++;
-                } catch (error) {
-                  console.error(`Failed to delete module ${module.id}:`, error);
-                }
-              }
-            }
-          }
-          
-          message.success(`Cleanup completed! Removed ${deletedCount} duplicate modules.`);
-          loadModules(); // Refresh the list
-          
-        } catch (error) {
-          message.error('Failed to cleanup duplicates');
-          console.error('Cleanup error:', error);
-        } finally {
-          setLoading(false);
-        }
-      }
-    });
+  const handleViewResponses = (module) => {
+    navigate(routePath(ROUTES.MODULE_RESPONSES, { id: module.id }));
+  };
+
+  const handleViewAnalytics = (module) => {
+    navigate(routePath(ROUTES.MODULE_ANALYTICS, { id: module.id }));
+  };
+
+  const handleManageTranslations = (module) => {
+    navigate(routePath(ROUTES.MODULE_TRANSLATIONS, { id: module.id }));
+  };
+
+  // Responses of survey runs on the view route, partial from the first answer.
+  // The respondent id lets the supabase backend hand the partial one back.
+  const responseSession = React.useMemo(
+    () => (routeModule ? createResponseSession(apiService, routeModule.id, { respondentId: getRespondentId() }) : null),
+    [routeModule]
+  );
+
+  const handleResponseProgress = (progress) => {
+    responseSession?.progress(progress);
+  };
+
+  const handleSubmitResponse = async (answers, scores, timing) => {
+    try {
+      await responseSession.complete(answers, scores, timing);
+      message.success('Response submitted successfully');
+    } catch (error) {
+      message.error(error.name === 'SurveyClosedError' ? error.message : 'Failed to submit response');
+      console.error('Error submitting response:', error);
+    }
   };
 
   const getStatusColor = (status) => {
@@ -127,10 +331,31 @@ function App() {
     }
   };
 
-  // Check if there are duplicates
-  const hasDuplicates = () => {
-    const names = modules.map(m => m.name);
-    return names.length !== new Set(names).size;
+  const lintFindings = React.useMemo(
+    () => Object.fromEntries(modules.map((module) => [module.id, lintSurvey(module.surveyJson, lintConfig)])),
+    [modules, lintConfig]
+  );
+
+  const handleLintConfigChange = (config) => {
+    setLintConfig(config);
+    saveLintConfig(config);
+  };
+
+  const getSortOrder = (field) => {
+    if (listQuery.sortField !== field) return null;
+    return listQuery.sortOrder === 'asc' ? 'ascend' : 'descend';
+  };
+
+  const handleTableChange = (pagination, _filters, sorter) => {
+    const sortChanged = sorter.field !== listQuery.sortField ||
+      (sorter.order === 'ascend' ? 'asc' : 'desc') !== listQuery.sortOrder;
+    setListQuery({
+      ...listQuery,
+      sortField: sorter.order ? sorter.field : 'updatedAt',
+      sortOrder: sorter.order === 'ascend' ? 'asc' : 'desc',
+      page: sortChanged ? 1 : pagination.current,
+      pageSize: pagination.pageSize,
+    });
   };
 
   const columns = [
@@ -138,7 +363,17 @@ function App() {
       title: 'Module Name',
       dataIndex: 'name',
       key: 'name',
-      render: (text) => <strong>{text}</strong>,
+      sorter: true,
+      sortOrder: getSortOrder('name'),
+      render: (text, record) => {
+        const role = roleFor(record, user);
+        return (
+          <>
+            <strong>{text}</strong>
+            {role && role !== ROLES.OWNER && <Tag style={{ marginLeft: '8px' }}>{ROLE_LABELS[role]}</Tag>}
+          </>
+        );
+      },
     },
     {
       title: 'Description',
@@ -150,78 +385,208 @@ function App() {
       title: 'Status',
       dataIndex: 'status',
       key: 'status',
+      sorter: true,
+      sortOrder: getSortOrder('status'),
       render: (status) => (
         <Tag color={getStatusColor(status)}>
           {status?.toUpperCase() || 'UNKNOWN'}
         </Tag>
       ),
     },
+    {
+      title: 'Tags',
+      dataIndex: 'tags',
+      key: 'tags',
+      render: (tags) => (tags || []).map((tag) => <Tag key={tag}>{tag}</Tag>),
+    },
+    {
+      title: 'Quality',
+      key: 'quality',
+      render: (_, record) => (
+        <LintBadge findings={lintFindings[record.id] || []} onClick={() => setLintModule(record)} />
+      ),
+    },
     {
       title: 'Created',
       dataIndex: 'createdAt',
       key: 'createdAt',
+      sorter: true,
+      sortOrder: getSortOrder('createdAt'),
       render: (date) => date ? new Date(date).toLocaleDateString() : '-',
     },
     {
       title: 'Updated',
       dataIndex: 'updatedAt',
       key: 'updatedAt',
+      sorter: true,
+      sortOrder: getSortOrder('updatedAt'),
       render: (date) => date ? new Date(date).toLocaleDateString() : '-',
     },
     {
       title: 'Actions',
       key: 'actions',
-      render: (_, record) => (
-        <Space size="small">
-          <Button
-            type="link"
-            icon={<EyeOutlined />}
-            onClick={() => handleViewModule(record)}
-            title="View Survey"
-          >
-            View
-          </Button>
-          <Button
-            type="link"
-            icon={<EditOutlined />}
-            onClick={() => handleEditModule(record)}
-            title="Edit Survey"
-          >
-            Edit
-          </Button>
-          <Popconfirm
-            title="Delete Module"
-            description="Are you sure you want to delete this module? This action cannot be undone."
-            onConfirm={() => handleDeleteModule(record.id)}
-            okText="Yes, Delete"
-            cancelText="Cancel"
-            okButtonProps={{ danger: true }}
-          >
+      render: (_, record) => {
+        const canView = can(record, user, 'view');
+        const canEdit = can(record, user, 'edit');
+        const canDelete = can(record, user, 'delete');
+        return (
+          <Space size="small">
             <Button
               type="link"
-              danger
-              icon={<DeleteOutlined />}
-              title="Delete Survey"
+              icon={<EyeOutlined />}
+              onClick={() => handleViewModule(record)}
+              title="View Survey"
             >
-              Delete
+              View
             </Button>
-          </Popconfirm>
-        </Space>
-      ),
+            <Button
+              type="link"
+              icon={<EditOutlined />}
+              onClick={() => handleEditModule(record)}
+              disabled={!canView}
+              title={!canView ? 'You can only fill in this survey'
+                : !canEdit ? 'Viewers open the survey read-only'
+                  : isLocked(record) ? 'Published surveys open read-only' : 'Edit Survey'}
+            >
+              Edit
+            </Button>
+            {canView && (
+              <Button
+                type="link"
+                icon={<CopyOutlined />}
+                onClick={() => setNameDialog({ action: 'clone', module: record })}
+                title="Duplicate Survey"
+              >
+                Duplicate
+              </Button>
+            )}
+            {canEdit && (
+              <Button
+                type="link"
+                icon={<ShareAltOutlined />}
+                onClick={() => setShareModule(record)}
+                title="Share a public link"
+              >
+                Share
+              </Button>
+            )}
+            {canView && (
+              <Button
+                type="link"
+                icon={<SnippetsOutlined />}
+                onClick={() => setNameDialog({ action: 'template', module: record })}
+                title="Save as Template"
+              >
+                Save as template
+              </Button>
+            )}
+            {canEdit && availableTransitions(record.status).map(({ status, label }) => (
+              <Button
+                key={status}
+                type="link"
+                icon={STATUS_ACTION_ICONS[label]}
+                onClick={() => handleChangeStatus(record, status)}
+                title={`${label} Survey`}
+              >
+                {label}
+              </Button>
+            ))}
+            {canView && (
+              <>
+                <Button
+                  type="link"
+                  icon={<InboxOutlined />}
+                  onClick={() => handleViewResponses(record)}
+                  title="View Responses"
+                >
+                  Responses
+                </Button>
+                <Button
+                  type="link"
+                  icon={<BarChartOutlined />}
+                  onClick={() => handleViewAnalytics(record)}
+                  title="View Analytics"
+                >
+                  Analytics
+                </Button>
+                <Button
+                  type="link"
+                  icon={<TranslationOutlined />}
+                  onClick={() => handleManageTranslations(record)}
+                  title="Manage Translations"
+                >
+                  Translations
+                </Button>
+                <Button
+                  type="link"
+                  icon={<AuditOutlined />}
+                  onClick={() => setAuditModule(record)}
+                  title="View Audit Log"
+                >
+                  Audit Log
+                </Button>
+              </>
+            )}
+            {can(record, user, 'manageMembers') && (
+              <Button
+                type="link"
+                icon={<TeamOutlined />}
+                onClick={() => setMembersModule(record)}
+                title="Manage Members"
+              >
+                Members
+              </Button>
+            )}
+            <Popconfirm
+              title="Delete Module"
+              description={`Move this module to the trash? It can be restored for ${TRASH_RETENTION_DAYS} days.`}
+              onConfirm={() => handleDeleteModule(record.id)}
+              okText="Move to Trash"
+              cancelText="Cancel"
+              okButtonProps={{ danger: true }}
+              disabled={!canDelete}
+            >
+              <Button
+                type="link"
+                danger
+                icon={<DeleteOutlined />}
+                disabled={!canDelete}
+                title={canDelete ? 'Delete Survey' : 'Only the owner can delete this survey'}
+              >
+                Delete
+              </Button>
+            </Popconfirm>
+          </Space>
+        );
+      },
     },
   ];
 
   const handleAddModule = () => {
-    setEditingModule(null);
-    setViewMode('edit');
-    setCurrentView('builder');
+    setTemplatePickerOpen(true);
   };
 
+  const handlePickTemplate = (template) => {
+    setTemplatePickerOpen(false);
+    setNewSurveyJson(template.surveyJson);
+    navigate(ROUTES.NEW_MODULE);
+  };
+
+  // Return to the list with the search, filters and page it was left with
   const handleBackToTable = () => {
-    setCurrentView('table');
-    setEditingModule(null);
-    setViewMode('edit');
-    loadModules(); // Refresh the table data
+    if (navigate(`${ROUTES.MODULES}${serializeListQuery(listQuery)}`)) {
+      setNewSurveyJson(null);
+    }
+  };
+
+  // The first save of a new survey gives it an id; address it by that from now on
+  const handleModuleCreated = (module) => {
+    setCreatedModule(module);
+    navigate(routePath(ROUTES.EDIT_MODULE, { id: module.id }), { replace: true });
+  };
+
+  const handleForkModule = (fork) => {
+    navigate(routePath(ROUTES.EDIT_MODULE, { id: fork.id }));
   };
 
   const handleSave = (surveyData) => {
@@ -232,18 +597,117 @@ function App() {
     }, 1000);
   };
 
-  if (currentView === 'builder') {
+  if (route === ROUTES.PUBLIC_SURVEY) {
+    return <PublicSurvey token={match.params.token} apiService={apiService} />;
+  }
+
+  if (!authReady) {
+    return (
+      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <SignIn auth={auth} />;
+  }
+
+  if (route === ROUTES.NEW_MODULE || route === ROUTES.EDIT_MODULE) {
+    const justCreated = createdModule && String(createdModule.id) === routeModuleId;
     return (
       <AddModule 
-        surveyData={editingModule} // Pass the full module data including ID
+        key={justCreated ? 'new' : routeModuleId || 'new'} // Remount when a published module is forked
+        moduleId={routeModuleId}
+        surveyData={justCreated ? createdModule : undefined}
+        user={user}
+        json={route === ROUTES.NEW_MODULE ? newSurveyJson : undefined} // Template picked for a new survey
         apiService={apiService}
         onSave={handleSave}
+        onCreate={handleModuleCreated}
         onBack={handleBackToTable}
+        onFork={handleForkModule}
         licenseKey={import.meta.env.VITE_SURVEY_CREATOR_LICENSE_KEY}
       />
     );
   }
 
+  if (route === ROUTES.TRASH) {
+    return (
+      <ModuleTrash
+        apiService={apiService}
+        user={user}
+        onBack={handleBackToTable}
+      />
+    );
+  }
+
+  if (routeModuleId && !routeModule) {
+    return (
+      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  // Responses, analytics and translations are for people with at least view access
+  const needsViewAccess = route === ROUTES.MODULE_RESPONSES || route === ROUTES.MODULE_ANALYTICS ||
+    route === ROUTES.MODULE_TRANSLATIONS;
+  if (needsViewAccess && !can(routeModule, user, 'view')) {
+    return (
+      <Result
+        status="403"
+        title="You do not have access to this survey"
+        subTitle="Ask its owner to add you as a viewer or editor."
+        extra={<Button onClick={handleBackToTable}>Back to Module List</Button>}
+      />
+    );
+  }
+
+  if (route === ROUTES.VIEW_MODULE) {
+    return (
+      <SurveyRunner
+        surveyData={routeModule}
+        onBack={handleBackToTable}
+        onEdit={can(routeModule, user, 'view') ? handleEditModule : undefined}
+        onComplete={handleSubmitResponse}
+        onProgress={handleResponseProgress}
+      />
+    );
+  }
+
+  if (route === ROUTES.MODULE_RESPONSES) {
+    return (
+      <ModuleResponses
+        module={routeModule}
+        apiService={apiService}
+        readOnly={!can(routeModule, user, 'edit')}
+        onBack={handleBackToTable}
+      />
+    );
+  }
+
+  if (route === ROUTES.MODULE_ANALYTICS) {
+    return (
+      <ModuleAnalytics
+        module={routeModule}
+        apiService={apiService}
+        onBack={handleBackToTable}
+      />
+    );
+  }
+
+  if (route === ROUTES.MODULE_TRANSLATIONS) {
+    return (
+      <TranslationManager
+        module={routeModule}
+        apiService={apiService}
+        readOnly={!can(routeModule, user, 'edit')}
+        onBack={handleBackToTable}
+      />
+    );
+  }
+
   return (
     <div style={{ padding: '32px', minHeight: '100vh', background: '#f5f5f5' }}>
       <div style={{ 
@@ -267,19 +731,33 @@ function App() {
             </p>
           </div>
           <Space>
-            {hasDuplicates() && (
-              <Button 
-                icon={<ClearOutlined />}
-                onClick={handleCleanupDuplicates}
-                style={{ 
-                  background: '#fff7e6', 
-                  borderColor: '#ffd666',
-                  color: '#d48806'
-                }}
-              >
-                Clean Up Duplicates
-              </Button>
-            )}
+            <span style={{ color: '#666' }} title={user.email}>
+              {user.name || user.email}
+            </span>
+            <Button
+              icon={<LogoutOutlined />}
+              onClick={handleSignOut}
+            >
+              Sign out
+            </Button>
+            <Button
+              icon={<UploadOutlined />}
+              onClick={() => setImportOpen(true)}
+            >
+              Import
+            </Button>
+            <Button 
+              icon={<ClearOutlined />}
+              onClick={() => setDuplicatesOpen(true)}
+            >
+              Find Duplicates
+            </Button>
+            <Button
+              icon={<RestOutlined />}
+              onClick={() => navigate(ROUTES.TRASH)}
+            >
+              Trash
+            </Button>
             <Button 
               type="primary" 
               icon={<PlusOutlined />}
@@ -291,7 +769,7 @@ function App() {
           </Space>
         </div>
         
-        {hasDuplicates() && (
+        {pendingSyncCount > 0 && (
           <div style={{
             background: '#fff7e6',
             border: '1px solid #ffd666',
@@ -300,17 +778,55 @@ function App() {
             marginBottom: '16px',
             color: '#d48806'
           }}>
-            <strong>Duplicate modules detected!</strong> Use the "Clean Up Duplicates" button to remove duplicate entries.
+            <strong>You have unsynced changes.</strong> {pendingSyncCount} survey{pendingSyncCount === 1 ? '' : 's'} saved in this browser will be sent to the server when it is reachable.{' '}
+            <Button size="small" onClick={() => syncQueue.flush(apiService).then(loadModules)}>
+              Retry now
+            </Button>
           </div>
         )}
-        
+
+        {unownedCount > 0 && (
+          <div style={{
+            background: '#fff7e6',
+            border: '1px solid #ffd666',
+            borderRadius: '6px',
+            padding: '12px',
+            marginBottom: '16px',
+            color: '#d48806'
+          }}>
+            <strong>{unownedCount} module{unownedCount === 1 ? ' has' : 's have'} no owner.</strong> They were created before accounts existed and belong to the administrators, but none are configured, so nobody can edit them.
+            Set <code>VITE_ADMIN_EMAILS</code> to the emails that should own them, then sign in as one of those users.
+          </div>
+        )}
+
+        <ModuleListToolbar query={listQuery} onChange={setListQuery} />
+
+        {selectedModules.length > 0 && (
+          <BulkActions
+            modules={selectedModules}
+            viewableModules={viewableSelection}
+            apiService={apiService}
+            onExport={() => setExportOpen(true)}
+            onClearSelection={() => setSelectedModules([])}
+            onDone={handleBulkDone}
+          />
+        )}
+
         <Table 
           columns={columns} 
           dataSource={modules}
           loading={loading}
           rowKey="id"
+          rowSelection={{
+            selectedRowKeys: selectedModuleIds,
+            onChange: (keys, rows) => setSelectedModules(rows.filter(Boolean)),
+            preserveSelectedRowKeys: true,
+          }}
+          onChange={handleTableChange}
           pagination={{ 
-            pageSize: 10,
+            current: listQuery.page,
+            pageSize: listQuery.pageSize,
+            total: totalModules,
             showSizeChanger: true,
             showQuickJumper: true,
             showTotal: (total, range) => 
@@ -319,6 +835,91 @@ function App() {
           bordered
           scroll={{ x: 800 }}
         />
+
+        <DuplicateReview
+          open={duplicatesOpen}
+          apiService={apiService}
+          onClose={() => setDuplicatesOpen(false)}
+          onMerged={loadModules}
+        />
+
+        <ExportBundleDialog
+          open={exportOpen}
+          moduleIds={viewableSelection.map((module) => module.id)}
+          apiService={apiService}
+          onClose={() => setExportOpen(false)}
+        />
+
+        <ImportBundleDialog
+          open={importOpen}
+          apiService={apiService}
+          onClose={() => setImportOpen(false)}
+          onImported={loadModules}
+        />
+
+        <LintReport
+          open={!!lintModule}
+          module={lintModule}
+          config={lintConfig}
+          onConfigChange={handleLintConfigChange}
+          onClose={() => setLintModule(null)}
+        />
+
+        <ShareDialog
+          open={!!shareModule}
+          module={shareModule}
+          apiService={apiService}
+          onClose={() => setShareModule(null)}
+          onSaved={(module) => {
+            setShareModule(module);
+            loadModules();
+          }}
+        />
+
+        <ModuleMembers
+          open={!!membersModule}
+          module={membersModule}
+          apiService={apiService}
+          onClose={() => setMembersModule(null)}
+          onSaved={() => {
+            setMembersModule(null);
+            loadModules();
+          }}
+        />
+
+        <AuditLog
+          open={!!auditModule}
+          module={auditModule}
+          apiService={apiService}
+          onClose={() => setAuditModule(null)}
+        />
+
+        <TemplatePicker
+          open={templatePickerOpen}
+          user={user}
+          apiService={apiService}
+          onPick={handlePickTemplate}
+          onCancel={() => setTemplatePickerOpen(false)}
+        />
+
+        <NameDialog
+          open={nameDialog?.action === 'clone'}
+          title="Duplicate Survey"
+          okText="Duplicate"
+          initialName={nameDialog ? `Copy of ${nameDialog.module.name}` : ''}
+          onSubmit={handleCloneModule}
+          onCancel={() => setNameDialog(null)}
+        />
+
+        <NameDialog
+          open={nameDialog?.action === 'template'}
+          title="Save as Template"
+          initialName={nameDialog?.module.name || ''}
+          initialDescription={nameDialog?.module.description || ''}
+          showDescription
+          onSubmit={handleSaveAsTemplate}
+          onCancel={() => setNameDialog(null)}
+        />
       </div>
     </div>
   );
@@ -1,6 +1,7 @@
 import { useEffect,  useRef, useState } from "react";
 import { SurveyCreatorComponent, SurveyCreator } from "survey-creator-react";
 import { setLicenseKey } from "survey-core";
+import { Button, Dropdown, Modal, Result, Spin, message } from "antd";
 // CSS
 import "survey-core/survey-core.css";
 import "survey-creator-core/survey-creator-core.css";
@@ -11,32 +12,82 @@ import "survey-creator-core/survey-creator-core.i18n";
 import "ace-builds/src-noconflict/ace";
 import "ace-builds/src-noconflict/ext-searchbox";
 
+import { registerCustomProperties, validateCustomProperty } from "../survey/customProperties";
+import VersionHistory from "./VersionHistory";
+import ConflictDialog from "./ConflictDialog";
+import ValidationPanel from "./ValidationPanel";
+import NameDialog from "./NameDialog";
+import {
+  clearDraft,
+  draftKeyFor,
+  isDraftNewer,
+  loadDraft,
+  NEW_DRAFT_KEY,
+  saveDraft,
+  syncQueue,
+} from "../services/drafts";
+import { isLocked, MODULE_STATUS } from "../services/moduleStatus";
+import { can, ownsLibraryEntry } from "../services/permissions";
+import { setNavigationGuard } from "../services/router";
+import { BUILTIN_TEMPLATES } from "../survey/templates";
+import { hasBlockingIssues, validateSurvey } from "../survey/validation";
+
+registerCustomProperties();
+
 const defaultCreatorOptions = {
   autoSaveEnabled: true,
   autoSaveDelay: 1000,
+  showThemeTab: true,
 };
 
-const defaultJson = {
-  pages: [
-    {
-      name: "Name",
-      elements: [
-        { name: "FirstName", title: "Enter your first name:", type: "text" },
-        { name: "LastName", title: "Enter your last name:", type: "text" },
-      ],
-    },
-  ],
+const headerButtonStyle = {
+  background: "white",
+  border: "1px solid #d9d9d9",
+  borderRadius: "6px",
+  padding: "8px 16px",
+  cursor: "pointer",
+  fontSize: "14px",
+  fontFamily: "inherit",
+  display: "flex",
+  alignItems: "center",
+  gap: "8px",
+  transition: "all 0.2s"
 };
 
+// New surveys normally start from the template picked in the module list
+const defaultJson = BUILTIN_TEMPLATES[0].surveyJson;
+
 /**
  * Auto-save always enabled with proper ID tracking
  */
-export default function AddModule(props) {
-  const { json, options, surveyData, onSave, onBack, apiService, licenseKey } = props;
+function ModuleDesigner(props) {
+  const { json, options, surveyData, user, onSave, onCreate, onBack, onFork, apiService, licenseKey } = props;
 
   const [creator, setCreator] = useState(null);
   const [saveStatus, setSaveStatus] = useState('');
   const [currentModuleId, setCurrentModuleId] = useState(surveyData?.id || null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [conflict, setConflict] = useState(null);
+  const [unsynced, setUnsynced] = useState(() => syncQueue.has(draftKeyFor(surveyData?.id)));
+  // Published surveys are read-only; editing forks a new draft
+  const [locked, setLocked] = useState(() => isLocked(surveyData));
+  // Viewers see the design read-only; new surveys belong to whoever creates them
+  const canEdit = !surveyData?.id || can(surveyData, user, "edit");
+  // Trashed surveys are read-only until restored
+  const [trashed, setTrashed] = useState(() => Boolean(surveyData?.deleted));
+  const [restoring, setRestoring] = useState(false);
+  const readOnly = locked || !canEdit || trashed;
+  const [forking, setForking] = useState(false);
+  const [status, setStatus] = useState(surveyData?.status || MODULE_STATUS.DRAFT);
+  const [publishing, setPublishing] = useState(false);
+  // Validation never blocks draft autosave, only publishing
+  const [issues, setIssues] = useState([]);
+  const [libraryThemes, setLibraryThemes] = useState([]);
+  const [savingThemeToLibrary, setSavingThemeToLibrary] = useState(false);
+  // Autosave runs in a closure created once, so it reads id/revision from refs
+  const moduleIdRef = useRef(surveyData?.id || null);
+  const revisionRef = useRef(surveyData?.revision ?? 0);
+  const conflictPendingRef = useRef(false);
   const initialJsonRef = useRef(null);
   const manualSaveRef = useRef(false);
   const isSavingRef = useRef(false);
@@ -57,15 +108,11 @@ export default function AddModule(props) {
   if (!initialJsonRef.current) {
     if (json) {
       initialJsonRef.current = json;
-    } else if (surveyData && (surveyData.surveyJson || surveyData.form_data)) {
-      initialJsonRef.current = surveyData.surveyJson || surveyData.form_data;
+    } else if (surveyData?.surveyJson) {
+      initialJsonRef.current = surveyData.surveyJson;
     } else {
-      try {
-        const savedJson = typeof window !== "undefined" && window.localStorage.getItem("survey-json");
-        initialJsonRef.current = savedJson ? JSON.parse(savedJson) : defaultJson;
-      } catch (_) {
-        initialJsonRef.current = defaultJson;
-      }
+      // Unsaved drafts of new surveys are offered by the recovery prompt
+      initialJsonRef.current = defaultJson;
     }
   }
 
@@ -73,6 +120,7 @@ export default function AddModule(props) {
   useEffect(() => {
     if (!creator) {
       const instance = new SurveyCreator(options || defaultCreatorOptions);
+      instance.readOnly = readOnly;
 
       // Seed the designer with initial JSON
       try {
@@ -84,9 +132,24 @@ export default function AddModule(props) {
         instance.text = defaultContent;
         lastSavedContentRef.current = defaultContent;
       }
+      if (surveyData?.theme) {
+        instance.theme = surveyData.theme;
+        instance.hasPendingThemeChanges = false;
+      }
+
+      // Validate assessment properties entered in the property grid
+      instance.onPropertyDisplayCustomError.add((_, options) => {
+        options.error = validateCustomProperty(options.propertyName, options.value);
+      });
 
       // Save behavior with proper ID tracking
       instance.saveSurveyFunc = async (saveNo, callback) => {
+        // Hold further saves until the user resolves a conflict
+        if (conflictPendingRef.current) {
+          callback(saveNo, false);
+          return;
+        }
+
         // Prevent concurrent saves
         if (isSavingRef.current) {
           console.log('Save already in progress, skipping...');
@@ -105,6 +168,10 @@ export default function AddModule(props) {
         isSavingRef.current = true;
      
         setSaveStatus('Saving...');
+
+        // Keep a local copy first so nothing is lost if the server is down
+        const draftKey = draftKeyFor(moduleIdRef.current);
+        saveDraft(draftKey, instance.JSON, { baseRevision: revisionRef.current });
         
         try {
           const surveyJson = instance.JSON;
@@ -116,11 +183,11 @@ export default function AddModule(props) {
 
           let result;
           
-          if (currentModuleId && apiService?.updateSurvey) {
+          if (moduleIdRef.current && apiService?.updateSurvey) {
     
-            result = await apiService.updateSurvey(currentModuleId, { 
+            result = await apiService.updateSurvey(moduleIdRef.current, { 
               surveyJson: surveyJson,
-            });
+            }, { expectedRevision: revisionRef.current });
             setSaveStatus('Updated successfully!');
             
           } else if (apiService?.createSurvey) {
@@ -129,13 +196,16 @@ export default function AddModule(props) {
             result = await apiService.createSurvey({
               name: surveyName,
               description: `Created on ${new Date().toLocaleDateString()}`,
-              status: "Active",
+              status: MODULE_STATUS.DRAFT,
               surveyJson: surveyJson,
+              theme: instance.theme,
             });
             
             // CRITICAL: Store the new module ID for all future saves
             if (result && result.id) {
+              moduleIdRef.current = result.id;
               setCurrentModuleId(result.id);
+              onCreate?.(result);
             }
             
             setSaveStatus('Created successfully!');
@@ -145,15 +215,18 @@ export default function AddModule(props) {
 
           // Update last saved content
           lastSavedContentRef.current = currentContent;
+          revisionRef.current = result?.revision ?? revisionRef.current;
 
-          // Backup to localStorage
-          try {
-            if (typeof window !== "undefined") {
-              window.localStorage.setItem("survey-json", instance.text);
-            }
-          } catch (e) {
-            console.warn('LocalStorage save failed:', e);
+          // The server copy is current: mark the draft synced and drop queued retries
+          syncQueue.remove(draftKey);
+          if (draftKey === NEW_DRAFT_KEY) {
+            clearDraft(NEW_DRAFT_KEY);
           }
+          saveDraft(draftKeyFor(moduleIdRef.current), surveyJson, {
+            synced: true,
+            baseRevision: revisionRef.current,
+          });
+          setUnsynced(false);
 
           callback(saveNo, true);
             
@@ -171,9 +244,50 @@ export default function AddModule(props) {
           manualSaveRef.current = false;
           
         } catch (error) {
+          if (error.name === "ModuleConflictError") {
+            conflictPendingRef.current = true;
+            setConflict({ theirs: error.theirs, mine: instance.JSON });
+            setSaveStatus('Save failed: conflict with another editor');
+            manualSaveRef.current = false;
+            try {
+              callback(saveNo, false);
+            } catch (_) {}
+            return;
+          }
+          if (error.name === "ModuleLockedError") {
+            // Published by someone else; the local draft keeps the edits for a fork
+            instance.readOnly = true;
+            setLocked(true);
+            setSaveStatus('Save failed: survey was published');
+            manualSaveRef.current = false;
+            try {
+              callback(saveNo, false);
+            } catch (_) {}
+            return;
+          }
+          if (error.name === "ModuleTrashedError") {
+            instance.readOnly = true;
+            setTrashed(true);
+            setSaveStatus('Save failed: survey is in the trash');
+            manualSaveRef.current = false;
+            try {
+              callback(saveNo, false);
+            } catch (_) {}
+            return;
+          }
           console.error("=== SAVE FAILED ===", error);
           setSaveStatus(`Save failed: ${error.message}`);
           setTimeout(() => setSaveStatus(''), 5000);
+
+          // Retry in the background once the server is reachable again
+          syncQueue.enqueue({
+            key: draftKey,
+            moduleId: moduleIdRef.current,
+            surveyJson: instance.JSON,
+            expectedRevision: revisionRef.current,
+          });
+          setUnsynced(true);
+          manualSaveRef.current = false;
           try { 
             callback(saveNo, false); 
           } catch (_) {}
@@ -182,6 +296,42 @@ export default function AddModule(props) {
         }
       };
 
+      // Themes tab changes are stored on the module, apart from the survey JSON
+      instance.saveThemeFunc = async (saveNo, callback) => {
+        // A new survey is created first and takes the current theme with it
+        if (!moduleIdRef.current) {
+          lastSavedContentRef.current = '';
+          instance.doSave();
+          callback(saveNo, true);
+          return;
+        }
+
+        setSaveStatus('Saving theme...');
+        try {
+          await apiService.updateTheme(moduleIdRef.current, instance.theme);
+          setSaveStatus('Theme saved!');
+          setTimeout(() => setSaveStatus(''), 2000);
+          callback(saveNo, true);
+        } catch (error) {
+          if (error.name === "ModuleLockedError") {
+            instance.readOnly = true;
+            setLocked(true);
+            setSaveStatus('Save failed: survey was published');
+          } else if (error.name === "ModuleTrashedError") {
+            instance.readOnly = true;
+            setTrashed(true);
+            setSaveStatus('Save failed: survey is in the trash');
+          } else {
+            console.error("Error saving theme:", error);
+            setSaveStatus(`Save failed: ${error.message}`);
+            setTimeout(() => setSaveStatus(''), 5000);
+          }
+          try {
+            callback(saveNo, false);
+          } catch (_) {}
+        }
+      };
+
       // Listen for keyboard shortcuts (Ctrl+S)
       const handleKeyDown = (event) => {
         if ((event.ctrlKey || event.metaKey) && event.key === 's') {
@@ -201,6 +351,88 @@ export default function AddModule(props) {
     }
   }, [creator, options, onSave, apiService, currentModuleId]);
 
+  // Offer to recover a local draft that never reached the server
+  useEffect(() => {
+    if (!creator || readOnly) return;
+    const draftKey = draftKeyFor(moduleIdRef.current);
+    const draft = loadDraft(draftKey);
+    if (!isDraftNewer(draft, surveyData)) return;
+
+    Modal.confirm({
+      title: "Recover unsaved changes?",
+      content: `This browser has changes from ${new Date(draft.savedAt).toLocaleString()} that were never saved to the server.`,
+      okText: "Recover",
+      cancelText: "Discard",
+      onOk: () => {
+        // Save against the revision the draft was based on so newer server edits raise a conflict
+        revisionRef.current = draft.baseRevision ?? revisionRef.current;
+        creator.text = JSON.stringify(draft.surveyJson);
+        setIssues(validateSurvey(draft.surveyJson));
+        creator.doSave();
+      },
+      onCancel: () => {
+        clearDraft(draftKey);
+        syncQueue.remove(draftKey);
+        setUnsynced(false);
+      },
+    });
+    // Only checked once, when the designer opens
+  }, [creator]);
+
+  // Follow background retries of this module's queued saves
+  useEffect(() => {
+    return syncQueue.subscribe((event) => {
+      if (event.key !== draftKeyFor(moduleIdRef.current)) return;
+
+      if (event.type === "synced") {
+        if (event.result?.id && !moduleIdRef.current) {
+          moduleIdRef.current = event.result.id;
+          setCurrentModuleId(event.result.id);
+        }
+        revisionRef.current = event.result?.revision ?? revisionRef.current;
+        lastSavedContentRef.current = JSON.stringify(event.result?.surveyJson);
+        setUnsynced(false);
+      } else if (event.type === "conflict" && creator) {
+        conflictPendingRef.current = true;
+        setConflict({ theirs: event.error.theirs, mine: creator.JSON });
+      } else if (event.type === "locked" && creator) {
+        creator.readOnly = true;
+        if (event.error?.name === "ModuleTrashedError") {
+          setTrashed(true);
+        } else {
+          setLocked(true);
+        }
+      }
+    });
+  }, [creator]);
+
+  // Re-check the survey shortly after each change in the designer
+  useEffect(() => {
+    if (!creator) return;
+    let timer;
+    const handleModified = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => setIssues(validateSurvey(creator.JSON)), 500);
+    };
+    setIssues(validateSurvey(creator.JSON));
+    creator.onModified.add(handleModified);
+    return () => {
+      clearTimeout(timer);
+      creator.onModified.remove(handleModified);
+    };
+  }, [creator]);
+
+  // Ask before leaving while edits have not reached the server yet
+  useEffect(() => {
+    if (!creator) return;
+    return setNavigationGuard(() => {
+      if (creator.readOnly) return null;
+      const pending = isSavingRef.current || creator.hasPendingThemeChanges ||
+        JSON.stringify(creator.JSON) !== lastSavedContentRef.current;
+      return pending ? "Your latest changes have not been saved yet. Leave anyway?" : null;
+    });
+  }, [creator]);
+
   // Cleanup event listeners
   useEffect(() => {
     return () => {
@@ -212,6 +444,189 @@ export default function AddModule(props) {
 
 
 
+  // Load a restored version into the designer without triggering another save
+  const handleRestoreVersion = (module) => {
+    if (!creator || !module?.surveyJson) return;
+    const restoredContent = JSON.stringify(module.surveyJson);
+    lastSavedContentRef.current = restoredContent;
+    revisionRef.current = module.revision ?? revisionRef.current;
+    creator.text = restoredContent;
+    setIssues(validateSurvey(module.surveyJson));
+  };
+
+  const loadLibraryThemes = async () => {
+    try {
+      setLibraryThemes(await apiService.getThemes());
+    } catch (error) {
+      message.error(error.message);
+      console.error("Error loading themes:", error);
+    }
+  };
+
+  // Use a library theme for this survey and save it right away
+  const handleApplyLibraryTheme = (entry) => {
+    const activeTab = creator.activeTab;
+    creator.theme = entry.theme;
+    // The Themes tab only reads the creator's theme when it is opened
+    if (activeTab === "theme") {
+      creator.switchTab("designer");
+      creator.switchTab("theme");
+    }
+    creator.saveTheme();
+    message.success(`Applied theme "${entry.name}"`);
+  };
+
+  const handleSaveThemeToLibrary = async (name) => {
+    try {
+      await apiService.saveThemeToLibrary({ name, theme: creator.theme, sourceModuleId: moduleIdRef.current });
+      message.success(`Saved theme "${name}" to the library`);
+      setSavingThemeToLibrary(false);
+    } catch (error) {
+      message.error(error.message);
+      console.error("Error saving theme to library:", error);
+    }
+  };
+
+  const handleDeleteLibraryTheme = async (entry) => {
+    try {
+      await apiService.deleteTheme(entry.id);
+      setLibraryThemes((themes) => themes.filter((theme) => theme.id !== entry.id));
+      message.success(`Removed theme "${entry.name}" from the library`);
+    } catch (error) {
+      message.error(error.message);
+      console.error("Error deleting theme:", error);
+    }
+  };
+
+  const themeMenuItems = [
+    { key: "save", label: "Save current theme to library..." },
+    { type: "divider" },
+    ...(libraryThemes.length === 0
+      ? [{ key: "empty", label: "No saved themes yet", disabled: true }]
+      : [
+        {
+          type: "group",
+          label: "Apply from library",
+          children: libraryThemes.map((entry) => ({ key: `apply:${entry.id}`, label: entry.name, disabled: readOnly })),
+        },
+        {
+          key: "delete",
+          label: "Remove from library",
+          children: libraryThemes.map((entry) => ({
+            key: `delete:${entry.id}`,
+            label: entry.name,
+            danger: true,
+            disabled: readOnly || !ownsLibraryEntry(entry, user),
+          })),
+        },
+      ]),
+  ];
+
+  const handleThemeMenuClick = ({ key }) => {
+    if (key === "save") {
+      setSavingThemeToLibrary(true);
+      return;
+    }
+    const [action, id] = key.split(":");
+    const entry = libraryThemes.find((theme) => String(theme.id) === id);
+    if (!entry) return;
+    if (action === "apply") handleApplyLibraryTheme(entry);
+    if (action === "delete") handleDeleteLibraryTheme(entry);
+  };
+
+  const handleSelectIssue = (name) => {
+    const survey = creator?.survey;
+    const element = survey?.getQuestionByName(name) || survey?.getPanelByName(name) || survey?.getPageByName(name);
+    if (!element) return;
+    creator.switchTab("designer");
+    creator.selectElement(element);
+  };
+
+  const handlePublish = async () => {
+    // Publish what the user sees: unsaved edits go to the server first
+    if (JSON.stringify(creator.JSON) !== lastSavedContentRef.current) {
+      message.warning("Saving your latest changes first, try publishing again in a moment");
+      manualSaveRef.current = false;
+      creator.doSave();
+      return;
+    }
+    setPublishing(true);
+    try {
+      const result = await apiService.changeModuleStatus(moduleIdRef.current, MODULE_STATUS.PUBLISHED);
+      revisionRef.current = result.revision ?? revisionRef.current;
+      setStatus(result.status);
+      creator.readOnly = true;
+      setLocked(true);
+      message.success("Survey published");
+    } catch (error) {
+      message.error(error.message);
+      console.error("Error publishing module:", error);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    try {
+      await apiService.restoreModule(moduleIdRef.current);
+      creator.readOnly = locked || !canEdit;
+      setTrashed(false);
+      message.success("Survey restored from the trash");
+    } catch (error) {
+      message.error(`Failed to restore: ${error.message}`);
+      console.error("Error restoring module:", error);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  // Copy the published survey, including any edits kept locally, into a new draft
+  const handleFork = async () => {
+    setForking(true);
+    try {
+      const fork = await apiService.forkModule(moduleIdRef.current, { surveyJson: creator?.JSON });
+      clearDraft(draftKeyFor(moduleIdRef.current));
+      syncQueue.remove(draftKeyFor(moduleIdRef.current));
+      message.success(`Created draft "${fork.name}"`);
+      onFork?.(fork);
+    } catch (error) {
+      message.error(`Failed to create a draft: ${error.message}`);
+      console.error("Error forking module:", error);
+    } finally {
+      setForking(false);
+    }
+  };
+
+  const resolveConflict = (theirs, nextJson) => {
+    revisionRef.current = theirs.revision ?? 0;
+    conflictPendingRef.current = false;
+    setConflict(null);
+    setSaveStatus('');
+    if (nextJson) {
+      creator.text = JSON.stringify(nextJson);
+      setIssues(validateSurvey(nextJson));
+    }
+  };
+
+  // Discard local edits and continue from the server copy
+  const handleKeepTheirs = (theirs) => {
+    const theirsJson = theirs.surveyJson || {};
+    lastSavedContentRef.current = JSON.stringify(theirsJson);
+    resolveConflict(theirs, theirsJson);
+  };
+
+  // Overwrite the server copy with the local survey
+  const handleKeepMine = (theirs) => {
+    resolveConflict(theirs);
+    creator.doSave();
+  };
+
+  const handleMerge = (theirs, mergedJson) => {
+    resolveConflict(theirs, mergedJson);
+    creator.doSave();
+  };
+
   return (
     <div style={{ height: "100vh", width: "100%", display: "flex", flexDirection: "column" }}>
       {/* Header */}
@@ -227,19 +642,7 @@ export default function AddModule(props) {
       }}>
         <div style={{ display: "flex", alignItems: "center", gap: "16px" }}>
           <button 
-            style={{ 
-              background: "white",
-              border: "1px solid #d9d9d9",
-              borderRadius: "6px",
-              padding: "8px 16px",
-              cursor: "pointer",
-              fontSize: "14px",
-              fontFamily: "inherit",
-              display: "flex",
-              alignItems: "center",
-              gap: "8px",
-              transition: "all 0.2s"
-            }} 
+            style={headerButtonStyle}
             onMouseOver={(e) => e.target.style.background = "#f0f0f0"}
             onMouseOut={(e) => e.target.style.background = "white"}
             onClick={() => onBack?.()}>
@@ -251,7 +654,9 @@ export default function AddModule(props) {
             fontWeight: "600", 
             color: "#262626" 
           }}>
-            {currentModuleId ? `Edit Survey (ID: ${currentModuleId})` : 'Create New Survey'}
+            {!currentModuleId
+              ? 'Create New Survey'
+              : `${readOnly ? 'View' : 'Edit'} Survey (ID: ${currentModuleId})`}
           </h1>
           
          
@@ -268,24 +673,237 @@ export default function AddModule(props) {
             </span>
           )}
           
-         
+          {creator && (
+            <Dropdown
+              trigger={["click"]}
+              menu={{ items: themeMenuItems, onClick: handleThemeMenuClick }}
+              onOpenChange={(open) => open && loadLibraryThemes()}
+            >
+              <button style={headerButtonStyle}>
+                Theme library
+              </button>
+            </Dropdown>
+          )}
+
+          {currentModuleId && (
+            <button
+              style={headerButtonStyle}
+              onMouseOver={(e) => e.target.style.background = "#f0f0f0"}
+              onMouseOut={(e) => e.target.style.background = "white"}
+              onClick={() => setHistoryOpen(true)}>
+              History
+            </button>
+          )}
+
+          {currentModuleId && !readOnly && status === MODULE_STATUS.DRAFT && (
+            <button
+              style={{
+                ...headerButtonStyle,
+                background: hasBlockingIssues(issues) ? "#f5f5f5" : "#1677ff",
+                borderColor: hasBlockingIssues(issues) ? "#d9d9d9" : "#1677ff",
+                color: hasBlockingIssues(issues) ? "#bfbfbf" : "white",
+                cursor: hasBlockingIssues(issues) ? "not-allowed" : "pointer"
+              }}
+              disabled={hasBlockingIssues(issues) || publishing}
+              title={hasBlockingIssues(issues) ? "Fix the validation errors before publishing" : "Publish this survey"}
+              onClick={handlePublish}>
+              {publishing ? "Publishing..." : "Publish"}
+            </button>
+          )}
         </div>
       </div>
       
+      {trashed && (
+        <div style={{
+          background: "#fff1f0",
+          borderBottom: "1px solid #ffa39e",
+          padding: "8px 24px",
+          color: "#cf1322",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between"
+        }}>
+          <span>
+            <strong>This survey is in the trash and read-only.</strong> Restore it to edit it again.
+          </span>
+          {can(surveyData, user, "delete") && (
+            <button
+              style={headerButtonStyle}
+              disabled={restoring}
+              onClick={handleRestore}>
+              {restoring ? "Restoring..." : "Restore"}
+            </button>
+          )}
+        </div>
+      )}
+
+      {!trashed && locked && (
+        <div style={{
+          background: "#e6f4ff",
+          borderBottom: "1px solid #91caff",
+          padding: "8px 24px",
+          color: "#0958d9",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between"
+        }}>
+          <span>
+            <strong>This survey is published and read-only.</strong> Respondents see exactly this version; edit a draft copy instead.
+          </span>
+          <button
+            style={headerButtonStyle}
+            disabled={forking}
+            onClick={handleFork}>
+            {forking ? "Creating draft..." : "Edit as new draft"}
+          </button>
+        </div>
+      )}
+
+      {!trashed && !locked && !canEdit && (
+        <div style={{
+          background: "#e6f4ff",
+          borderBottom: "1px solid #91caff",
+          padding: "8px 24px",
+          color: "#0958d9",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between"
+        }}>
+          <span>
+            <strong>You have view access to this survey.</strong> Ask its owner for editor access, or work on a copy of your own.
+          </span>
+          <button
+            style={headerButtonStyle}
+            disabled={forking}
+            onClick={handleFork}>
+            {forking ? "Creating draft..." : "Edit as new draft"}
+          </button>
+        </div>
+      )}
+
+      {unsynced && (
+        <div style={{
+          background: "#fff7e6",
+          borderBottom: "1px solid #ffd666",
+          padding: "8px 24px",
+          color: "#d48806",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between"
+        }}>
+          <span>
+            <strong>You have unsynced changes.</strong> They are kept in this browser and will be saved when the server is reachable.
+          </span>
+          <button
+            style={headerButtonStyle}
+            onClick={() => syncQueue.flush(apiService)}>
+            Retry now
+          </button>
+        </div>
+      )}
+
       {/* Survey Creator */}
-      <div style={{ flex: 1, overflow: "hidden" }}>
-        {creator ? <SurveyCreatorComponent creator={creator} /> : (
-          <div style={{ 
-            display: 'flex', 
-            justifyContent: 'center', 
-            alignItems: 'center', 
-            height: '100%',
-            color: '#666'
-          }}>
-            Loading Survey Creator...
-          </div>
-        )}
+      <div style={{ flex: 1, overflow: "hidden", display: "flex" }}>
+        <div style={{ flex: 1, overflow: "hidden" }}>
+          {creator ? <SurveyCreatorComponent creator={creator} /> : (
+            <div style={{ 
+              display: 'flex', 
+              justifyContent: 'center', 
+              alignItems: 'center', 
+              height: '100%',
+              color: '#666'
+            }}>
+              Loading Survey Creator...
+            </div>
+          )}
+        </div>
+        {creator && <ValidationPanel issues={issues} onSelect={handleSelectIssue} />}
       </div>
+
+      <VersionHistory
+        open={historyOpen}
+        moduleId={currentModuleId}
+        apiService={apiService}
+        onClose={() => setHistoryOpen(false)}
+        onRestore={handleRestoreVersion}
+        readOnly={readOnly}
+      />
+
+      <NameDialog
+        open={savingThemeToLibrary}
+        title="Save theme to library"
+        initialName={surveyData?.name ? `${surveyData.name} theme` : ""}
+        onSubmit={handleSaveThemeToLibrary}
+        onCancel={() => setSavingThemeToLibrary(false)}
+      />
+
+      <ConflictDialog
+        conflict={conflict}
+        onKeepTheirs={handleKeepTheirs}
+        onKeepMine={handleKeepMine}
+        onMerge={handleMerge}
+      />
     </div>
   );
-}
\ No newline at end of file
+}
+/**
+ * Survey designer for a new module, or for the module with `moduleId`,
+ * which is loaded from the server when it is not passed in as `surveyData`.
+ * It opens read-only for the signed-in `user`'s viewer role and refuses
+ * people who may only respond.
+ */
+export default function AddModule(props) {
+  const { moduleId, surveyData, user, apiService, onBack } = props;
+
+  const needsLoad = !!moduleId && String(surveyData?.id) !== String(moduleId);
+  const [module, setModule] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!needsLoad) return undefined;
+    let cancelled = false;
+    apiService.getModule(moduleId)
+      .then((loaded) => !cancelled && setModule(loaded))
+      .catch((loadError) => {
+        if (cancelled) return;
+        console.error("Error loading module:", loadError);
+        setError(loadError);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [needsLoad, apiService, moduleId]);
+
+  if (error) {
+    return (
+      <Result
+        status="warning"
+        title="Could not load this survey"
+        subTitle={error.message}
+        extra={<Button onClick={() => onBack?.()}>Back to Module List</Button>}
+      />
+    );
+  }
+
+  if (needsLoad && !module) {
+    return (
+      <div style={{ display: "flex", justifyContent: "center", alignItems: "center", height: "100vh" }}>
+        <Spin tip="Loading survey..." size="large"><div style={{ padding: "50px" }} /></Spin>
+      </div>
+    );
+  }
+
+  const loaded = needsLoad ? module : surveyData;
+  if (loaded?.id && !can(loaded, user, "view")) {
+    return (
+      <Result
+        status="403"
+        title="You do not have access to this survey"
+        subTitle="Ask its owner to add you as a viewer or editor."
+        extra={<Button onClick={() => onBack?.()}>Back to Module List</Button>}
+      />
+    );
+  }
+
+  return <ModuleDesigner {...props} surveyData={loaded} />;
+}
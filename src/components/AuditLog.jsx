@@ -0,0 +1,84 @@
+import { useEffect, useState } from "react";
+import { Drawer, Empty, Spin, Tag, Timeline, message } from "antd";
+import { AuditOutlined } from "@ant-design/icons";
+import { actorLabel, AUDIT_ACTION_LABELS, AUDIT_ACTIONS, describeChange } from "../services/audit";
+
+const ACTION_COLORS = {
+  [AUDIT_ACTIONS.CREATE]: "green",
+  [AUDIT_ACTIONS.IMPORT]: "green",
+  [AUDIT_ACTIONS.UPDATE]: "blue",
+  [AUDIT_ACTIONS.STATUS_CHANGE]: "purple",
+  [AUDIT_ACTIONS.DELETE]: "red",
+  [AUDIT_ACTIONS.RESTORE]: "orange",
+};
+
+// Extra facts about an event, e.g. where a module was copied from
+const describeDetails = (details = {}) => [
+  details.forkedFrom && `Draft copy of module ${details.forkedFrom}`,
+  details.clonedFrom && `Duplicate of module ${details.clonedFrom}`,
+  details.importedFrom && `Imported from module ${details.importedFrom} of another environment`,
+  details.duplicateOf && `Archived as a duplicate of module ${details.duplicateOf}`,
+  details.restoredVersion && `Restored version ${details.restoredVersion}`,
+].filter(Boolean);
+
+/**
+ * Drawer with a module's audit log: who did what and when, newest first.
+ * Consecutive edits by one person are shown as a single entry.
+ */
+export default function AuditLog(props) {
+  const { open, module, apiService, onClose } = props;
+
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open || !module) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    apiService.getAuditLog(module.id)
+      .then((data) => !cancelled && setEntries(data))
+      .catch((error) => {
+        if (cancelled) return;
+        message.error("Failed to load the audit log");
+        console.error("Error loading audit log:", error);
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [open, module, apiService]);
+
+  return (
+    <Drawer
+      title={<span><AuditOutlined /> Audit Log{module ? `: ${module.name}` : ""}</span>}
+      open={open}
+      onClose={onClose}
+      width={560}
+    >
+      {loading && <Spin style={{ display: "block", margin: "24px auto" }} />}
+      {!loading && entries.length === 0 && <Empty description="No events recorded yet" />}
+      {!loading && entries.length > 0 && (
+        <Timeline
+          items={entries.map((entry) => ({
+            key: entry.id,
+            color: ACTION_COLORS[entry.action] || "gray",
+            children: (
+              <div>
+                <div>
+                  <Tag color={ACTION_COLORS[entry.action]}>{AUDIT_ACTION_LABELS[entry.action] || entry.action}</Tag>
+                  <span style={{ color: "#666" }}>
+                    {new Date(entry.at).toLocaleString()} · {actorLabel(entry.actor)}
+                    {entry.saveCount > 1 ? ` · ${entry.saveCount} saves` : ""}
+                  </span>
+                </div>
+                {[...(entry.changes || []).map(describeChange), ...describeDetails(entry.details)].map((line) => (
+                  <div key={line} style={{ marginTop: "4px" }}>{line}</div>
+                ))}
+              </div>
+            ),
+          }))}
+        />
+      )}
+    </Drawer>
+  );
+}
@@ -0,0 +1,189 @@
+import { useMemo, useState } from "react";
+import { Alert, Button, Dropdown, Modal, Popconfirm, Progress, Radio, Select, Space, Table, Tag } from "antd";
+import { CopyOutlined, DeleteOutlined, DownloadOutlined, SwapOutlined, TagsOutlined } from "@ant-design/icons";
+import { MODULE_STATUSES } from "../services/moduleStatus";
+import { runBulk } from "../services/bulk";
+import { normalizeTags } from "../services/tags";
+import { TRASH_RETENTION_DAYS } from "../services/trash";
+
+// Title of the progress dialog and verb of the summary for each action
+const ACTIONS = {
+  status: { title: "Changing status", done: "Status changed" },
+  tags: { title: "Updating tags", done: "Tags updated" },
+  duplicate: { title: "Duplicating", done: "Duplicated" },
+  delete: { title: "Moving to trash", done: "Moved to trash" },
+};
+
+/**
+ * Toolbar for the modules selected in the module list: change status,
+ * add or remove tags, duplicate, export and move to trash. Actions run
+ * module by module with a progress bar and end with a per-module summary.
+ * Duplicate and export only cover `viewableModules`, the selected modules
+ * the user may view.
+ */
+export default function BulkActions(props) {
+  const { modules, viewableModules = modules, apiService, onExport, onClearSelection, onDone } = props;
+
+  const [tagDialogOpen, setTagDialogOpen] = useState(false);
+  const [tagMode, setTagMode] = useState("add");
+  const [tagValues, setTagValues] = useState([]);
+  const [run, setRun] = useState(null); // { action, done, total, report }
+
+  const knownTags = useMemo(
+    () => normalizeTags(modules.flatMap((module) => module.tags || [])),
+    [modules]
+  );
+
+  const start = async (action, perform, { isUnchanged, targets = modules } = {}) => {
+    setRun({ action, done: 0, total: targets.length, report: null });
+    const report = await runBulk(targets, perform, {
+      isUnchanged,
+      onProgress: (done, total) => setRun((current) => ({ ...current, done, total })),
+    });
+    setRun((current) => ({ ...current, report }));
+    onDone?.(action, report);
+  };
+
+  const handleChangeStatus = ({ key: status }) => {
+    start("status", (module) => apiService.changeModuleStatus(module.id, status), {
+      isUnchanged: (module) => module.status === status,
+    });
+  };
+
+  const handleApplyTags = () => {
+    const tags = normalizeTags(tagValues);
+    setTagDialogOpen(false);
+    setTagValues([]);
+    start("tags", (module) => apiService.updateTags(module.id, tagMode === "add" ? { add: tags } : { remove: tags }));
+  };
+
+  const handleDuplicate = () => {
+    start("duplicate", (module) => apiService.cloneModule(module.id), { targets: viewableModules });
+  };
+
+  const handleDelete = () => {
+    start("delete", (module) => apiService.deleteModule(module.id));
+  };
+
+  const failures = run?.report?.filter((row) => !row.ok) || [];
+  const unchanged = run?.report?.filter((row) => row.unchanged) || [];
+  const succeeded = (run?.report?.length || 0) - failures.length - unchanged.length;
+
+  const reportColumns = [
+    {
+      title: "Module",
+      dataIndex: "name",
+      key: "name",
+    },
+    {
+      title: "Result",
+      key: "result",
+      render: (_, row) => {
+        if (!row.ok) return <Tag color="red">Failed: {row.error}</Tag>;
+        return row.unchanged
+          ? <Tag>Unchanged</Tag>
+          : <Tag color="green">{ACTIONS[run.action].done}</Tag>;
+      },
+    },
+  ];
+
+  return (
+    <>
+      <div style={{
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        background: "#e6f4ff",
+        border: "1px solid #91caff",
+        borderRadius: "6px",
+        padding: "8px 12px",
+        marginBottom: "16px"
+      }}>
+        <span>
+          <strong>{modules.length}</strong> module{modules.length === 1 ? "" : "s"} selected
+          <Button type="link" size="small" onClick={onClearSelection}>Clear selection</Button>
+        </span>
+        <Space wrap>
+          <Dropdown
+            trigger={["click"]}
+            menu={{
+              items: MODULE_STATUSES.map((status) => ({ key: status, label: `Set to ${status}` })),
+              onClick: handleChangeStatus,
+            }}
+          >
+            <Button icon={<SwapOutlined />}>Change Status</Button>
+          </Dropdown>
+          <Button icon={<TagsOutlined />} onClick={() => setTagDialogOpen(true)}>Tags</Button>
+          <Button icon={<CopyOutlined />} onClick={handleDuplicate} disabled={viewableModules.length === 0}>Duplicate</Button>
+          <Button icon={<DownloadOutlined />} onClick={onExport} disabled={viewableModules.length === 0}>Export</Button>
+          <Popconfirm
+            title="Delete Modules"
+            description={`Move ${modules.length} module${modules.length === 1 ? "" : "s"} to the trash? They can be restored for ${TRASH_RETENTION_DAYS} days.`}
+            onConfirm={handleDelete}
+            okText="Move to Trash"
+            cancelText="Cancel"
+            okButtonProps={{ danger: true }}
+          >
+            <Button danger icon={<DeleteOutlined />}>Delete</Button>
+          </Popconfirm>
+        </Space>
+      </div>
+
+      <Modal
+        title={`Tags for ${modules.length} module${modules.length === 1 ? "" : "s"}`}
+        open={tagDialogOpen}
+        okText={tagMode === "add" ? "Add Tags" : "Remove Tags"}
+        okButtonProps={{ disabled: normalizeTags(tagValues).length === 0 }}
+        onOk={handleApplyTags}
+        onCancel={() => setTagDialogOpen(false)}
+        destroyOnClose
+      >
+        <Radio.Group value={tagMode} onChange={(e) => setTagMode(e.target.value)} style={{ marginBottom: "12px" }}>
+          <Radio.Button value="add">Add</Radio.Button>
+          <Radio.Button value="remove">Remove</Radio.Button>
+        </Radio.Group>
+        <Select
+          mode="tags"
+          style={{ width: "100%" }}
+          placeholder={tagMode === "add" ? "Type tags to add" : "Pick tags to remove"}
+          value={tagValues}
+          onChange={setTagValues}
+          options={knownTags.map((tag) => ({ value: tag, label: tag }))}
+          tokenSeparators={[","]}
+        />
+      </Modal>
+
+      <Modal
+        title={run ? ACTIONS[run.action].title : ""}
+        open={!!run}
+        closable={!!run?.report}
+        maskClosable={false}
+        onCancel={() => setRun(null)}
+        footer={run?.report ? <Button type="primary" onClick={() => setRun(null)}>Done</Button> : null}
+        width={640}
+        destroyOnClose
+      >
+        {run && !run.report && (
+          <Progress percent={run.total ? Math.round((run.done / run.total) * 100) : 0} format={() => `${run.done} / ${run.total}`} />
+        )}
+        {run?.report && (
+          <>
+            <Alert
+              type={failures.length === 0 ? "success" : succeeded + unchanged.length === 0 ? "error" : "warning"}
+              showIcon
+              message={`${succeeded} of ${run.report.length} succeeded${unchanged.length ? `, ${unchanged.length} unchanged` : ""}${failures.length ? `, ${failures.length} failed` : ""}`}
+              style={{ marginBottom: "16px" }}
+            />
+            <Table
+              columns={reportColumns}
+              dataSource={run.report}
+              rowKey="id"
+              size="small"
+              pagination={run.report.length > 10 ? { pageSize: 10 } : false}
+            />
+          </>
+        )}
+      </Modal>
+    </>
+  );
+}
@@ -0,0 +1,119 @@
+import { useEffect, useMemo, useState } from "react";
+import { Alert, Button, Modal, Radio, Space, Table, Tag } from "antd";
+import { diffSurveys } from "../survey/diff";
+import { listMergeConflicts, mergeSurveys } from "../survey/merge";
+import SurveyDiff from "./SurveyDiff";
+
+const KIND_LABELS = {
+  changed: { color: "orange", text: "Differs" },
+  onlyMine: { color: "blue", text: "Only in mine" },
+  onlyTheirs: { color: "purple", text: "Only in theirs" },
+};
+
+/**
+ * Shown when an autosave is rejected because someone else saved the module
+ * first. Lets the user keep their copy, take the server copy, or merge the
+ * two question by question.
+ */
+export default function ConflictDialog(props) {
+  const { conflict, onKeepMine, onKeepTheirs, onMerge } = props;
+
+  const [picks, setPicks] = useState({});
+
+  const { theirsJson, mineJson, diff, mergeRows } = useMemo(() => {
+    const theirsJson = conflict?.theirs?.surveyJson || {};
+    const mineJson = conflict?.mine || {};
+    return {
+      theirsJson,
+      mineJson,
+      diff: diffSurveys(theirsJson, mineJson),
+      mergeRows: listMergeConflicts(theirsJson, mineJson),
+    };
+  }, [conflict]);
+
+  // Default every differing question to the local copy
+  useEffect(() => {
+    setPicks(Object.fromEntries(mergeRows.map((row) => [row.name, "mine"])));
+  }, [mergeRows]);
+
+  const columns = [
+    {
+      title: "Question",
+      key: "question",
+      render: (_, row) => row.title ? `${row.title} (${row.name})` : row.name,
+    },
+    {
+      title: "Difference",
+      dataIndex: "kind",
+      key: "kind",
+      render: (kind) => <Tag color={KIND_LABELS[kind].color}>{KIND_LABELS[kind].text}</Tag>,
+    },
+    {
+      title: "Keep",
+      key: "keep",
+      render: (_, row) => (
+        <Radio.Group
+          size="small"
+          value={picks[row.name]}
+          onChange={(e) => setPicks((current) => ({ ...current, [row.name]: e.target.value }))}
+        >
+          <Radio.Button value="theirs">Theirs</Radio.Button>
+          <Radio.Button value="mine">Mine</Radio.Button>
+        </Radio.Group>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title="Save Conflict"
+      open={!!conflict}
+      closable={false}
+      maskClosable={false}
+      width={760}
+      footer={
+        <Space>
+          <Button onClick={() => onKeepTheirs?.(conflict.theirs)}>Keep theirs</Button>
+          <Button onClick={() => onKeepMine?.(conflict.theirs)}>Keep mine</Button>
+          <Button
+            type="primary"
+            disabled={mergeRows.length === 0}
+            onClick={() => onMerge?.(conflict.theirs, mergeSurveys(theirsJson, mineJson, picks))}
+          >
+            Apply merge
+          </Button>
+        </Space>
+      }
+    >
+      {conflict && (
+        <>
+          <Alert
+            type="warning"
+            showIcon
+            style={{ marginBottom: "16px" }}
+            message="This module was saved by someone else while you were editing."
+            description={`Server copy: revision ${conflict.theirs.revision ?? 0}, updated ${new Date(conflict.theirs.updatedAt).toLocaleString()}. Your changes have not been saved.`}
+          />
+
+          <h4>Theirs → Mine</h4>
+          <div style={{ maxHeight: "200px", overflow: "auto", marginBottom: "16px" }}>
+            <SurveyDiff diff={diff} />
+          </div>
+
+          {mergeRows.length > 0 && (
+            <>
+              <h4>Merge by question</h4>
+              <Table
+                columns={columns}
+                dataSource={mergeRows}
+                rowKey="name"
+                size="small"
+                pagination={false}
+              />
+            </>
+          )}
+        </>
+      )}
+    </Modal>
+  );
+}
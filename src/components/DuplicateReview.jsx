@@ -0,0 +1,139 @@
+import { useCallback, useEffect, useState } from "react";
+import { Alert, Button, Card, Empty, Modal, Radio, Space, Spin, Tag, message } from "antd";
+import { collectQuestions } from "../survey/diff";
+import { findDuplicateGroups } from "../survey/duplicates";
+
+// Compact read-only outline of a survey: question titles grouped by page
+function SurveyOutline({ surveyJson }) {
+  const questions = [...collectQuestions(surveyJson).values()];
+  if (questions.length === 0) {
+    return <span style={{ color: "#999" }}>No questions</span>;
+  }
+  return (
+    <ol style={{ paddingLeft: "20px", margin: 0, maxHeight: "180px", overflow: "auto" }}>
+      {questions.map((question) => (
+        <li key={question.name}>
+          {question.title || question.name}
+          <span style={{ color: "#999" }}> · {question.type}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/**
+ * Finds modules whose surveys have identical content, whatever their
+ * names, and lets the user pick which copy of each group to keep. The other
+ * copies are archived (Inactive), not deleted, so they can be reactivated.
+ */
+export default function DuplicateReview(props) {
+  const { open, apiService, onClose, onMerged } = props;
+
+  const [groups, setGroups] = useState([]);
+  const [keep, setKeep] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [merging, setMerging] = useState(null);
+
+  const loadGroups = useCallback(async () => {
+    setLoading(true);
+    try {
+      const found = findDuplicateGroups(await apiService.getModules());
+      setGroups(found);
+      // Default to keeping the most recently updated copy
+      setKeep(Object.fromEntries(found.map((group, index) => [index, group[0].id])));
+    } catch (error) {
+      message.error("Failed to look for duplicates");
+      console.error("Error finding duplicates:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiService]);
+
+  useEffect(() => {
+    if (open) loadGroups();
+  }, [open, loadGroups]);
+
+  const handleMerge = async (group, index) => {
+    const keepId = keep[index];
+    const others = group.filter((module) => module.id !== keepId).map((module) => module.id);
+    setMerging(index);
+    try {
+      await apiService.archiveDuplicates(keepId, others);
+      message.success(`Archived ${others.length} duplicate${others.length === 1 ? "" : "s"}`);
+      onMerged?.();
+      loadGroups();
+    } catch (error) {
+      message.error("Failed to archive duplicates");
+      console.error("Error archiving duplicates:", error);
+    } finally {
+      setMerging(null);
+    }
+  };
+
+  return (
+    <Modal
+      title="Duplicate Surveys"
+      open={open}
+      onCancel={onClose}
+      footer={<Button onClick={onClose}>Close</Button>}
+      width={1000}
+    >
+      <Alert
+        type="info"
+        showIcon
+        style={{ marginBottom: "16px" }}
+        message="Surveys are grouped by identical content, not by name. Copies you don't keep are archived and can be reactivated from the module list."
+      />
+
+      <Spin spinning={loading}>
+        {groups.length === 0 && !loading && <Empty description="No duplicate surveys found" />}
+
+        {groups.map((group, index) => (
+          <Card
+            key={group.map((module) => module.id).join("-")}
+            size="small"
+            style={{ marginBottom: "16px" }}
+            title={`${group.length} surveys with identical content`}
+            extra={
+              <Button
+                type="primary"
+                loading={merging === index}
+                onClick={() => handleMerge(group, index)}
+              >
+                Keep selected, archive others
+              </Button>
+            }
+          >
+            <Radio.Group
+              value={keep[index]}
+              onChange={(e) => setKeep((current) => ({ ...current, [index]: e.target.value }))}
+              style={{ width: "100%" }}
+            >
+              <div style={{ display: "flex", gap: "12px", overflowX: "auto" }}>
+                {group.map((module) => (
+                  <Card
+                    key={module.id}
+                    size="small"
+                    style={{
+                      flex: "1 0 240px",
+                      borderColor: keep[index] === module.id ? "#1677ff" : undefined,
+                    }}
+                    title={<Radio value={module.id}>{module.name}</Radio>}
+                  >
+                    <Space size="small" wrap style={{ marginBottom: "8px" }}>
+                      <Tag>{module.status}</Tag>
+                      <span style={{ color: "#666", fontSize: "12px" }}>
+                        Updated {new Date(module.updatedAt || module.createdAt).toLocaleString()}
+                      </span>
+                    </Space>
+                    <SurveyOutline surveyJson={module.surveyJson} />
+                  </Card>
+                ))}
+              </div>
+            </Radio.Group>
+          </Card>
+        ))}
+      </Spin>
+    </Modal>
+  );
+}
@@ -0,0 +1,48 @@
+import { useState } from "react";
+import { Checkbox, Modal, message } from "antd";
+import { downloadBundle } from "../services/bundle";
+
+/**
+ * Confirms exporting the selected modules to a bundle file, optionally
+ * including their responses.
+ */
+export default function ExportBundleDialog(props) {
+  const { open, moduleIds, apiService, onClose } = props;
+
+  const [includeResponses, setIncludeResponses] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const bundle = await apiService.exportModules(moduleIds, { includeResponses });
+      downloadBundle(bundle);
+      message.success(`Exported ${bundle.modules.length} module${bundle.modules.length === 1 ? "" : "s"}`);
+      onClose?.();
+    } catch (error) {
+      message.error("Failed to export modules");
+      console.error("Error exporting modules:", error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Export Modules"
+      open={open}
+      okText="Download"
+      confirmLoading={exporting}
+      onOk={handleExport}
+      onCancel={onClose}
+    >
+      <p>
+        Export {moduleIds.length} module{moduleIds.length === 1 ? "" : "s"} with their survey
+        definitions to a bundle file that can be imported into another environment.
+      </p>
+      <Checkbox checked={includeResponses} onChange={(e) => setIncludeResponses(e.target.checked)}>
+        Include responses
+      </Checkbox>
+    </Modal>
+  );
+}
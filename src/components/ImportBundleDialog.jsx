@@ -0,0 +1,205 @@
+import { useEffect, useState } from "react";
+import { Alert, Button, Checkbox, Modal, Space, Table, Tag, Upload, message } from "antd";
+import { InboxOutlined } from "@ant-design/icons";
+import { parseBundle, planImport } from "../services/bundle";
+import { collectQuestions } from "../survey/diff";
+
+/**
+ * Import flow for module bundles: pick a file, check the preview of what
+ * will be created (with renamed collisions), then import and show the
+ * result for each module.
+ */
+export default function ImportBundleDialog(props) {
+  const { open, apiService, onClose, onImported } = props;
+
+  const [plan, setPlan] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [includeResponses, setIncludeResponses] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  // Start over every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setPlan(null);
+      setProblems([]);
+      setReport(null);
+    }
+  }, [open]);
+
+  const handleFile = async (file) => {
+    setReport(null);
+    try {
+      const bundle = parseBundle(await file.text());
+      const existing = await apiService.getModules();
+      setPlan(planImport(bundle, existing.map((module) => module.name || "")));
+      setProblems([]);
+    } catch (error) {
+      setPlan(null);
+      setProblems(error.problems || [error.message]);
+    }
+    // Read the file ourselves instead of uploading it
+    return false;
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const result = await apiService.importModules(plan, { includeResponses });
+      setReport(result);
+      const created = result.filter((row) => row.ok).length;
+      if (created === result.length) {
+        message.success(`Imported ${created} module${created === 1 ? "" : "s"}`);
+      } else {
+        message.warning(`Imported ${created} of ${result.length} modules`);
+      }
+      onImported?.();
+    } catch (error) {
+      message.error("Failed to import modules");
+      console.error("Error importing modules:", error);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const previewColumns = [
+    {
+      title: "Module",
+      key: "name",
+      render: (_, row) => (
+        <Space direction="vertical" size={0}>
+          <strong>{row.name}</strong>
+          {row.renamed && (
+            <span style={{ color: "#d48806", fontSize: "12px" }}>
+              Renamed from "{row.entry.name}" (name already in use)
+            </span>
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: "Status",
+      dataIndex: "status",
+      key: "status",
+      render: (status, row) => (
+        <Space direction="vertical" size={0}>
+          <Tag>{status}</Tag>
+          {row.unpublished && (
+            <span style={{ color: "#d48806", fontSize: "12px" }}>
+              Published in the bundle, but has validation errors
+            </span>
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: "Questions",
+      key: "questions",
+      render: (_, row) => collectQuestions(row.entry.surveyJson).size,
+    },
+    {
+      title: "Responses",
+      dataIndex: "responseCount",
+      key: "responseCount",
+    },
+  ];
+
+  const reportColumns = [
+    {
+      title: "Module",
+      dataIndex: "name",
+      key: "name",
+    },
+    {
+      title: "Result",
+      key: "result",
+      render: (_, row) => {
+        if (!row.ok) return <Tag color="red">Failed: {row.error}</Tag>;
+        return (
+          <Space size="small" wrap>
+            <Tag color="green">Created</Tag>
+            {row.responseCount > 0 && <Tag>{row.responseCount} responses</Tag>}
+            {row.responseErrors > 0 && <Tag color="orange">{row.responseErrors} responses failed</Tag>}
+          </Space>
+        );
+      },
+    },
+  ];
+
+  const hasResponses = plan?.some((row) => row.responseCount > 0);
+
+  return (
+    <Modal
+      title="Import Modules"
+      open={open}
+      onCancel={onClose}
+      width={760}
+      footer={
+        report ? (
+          <Button type="primary" onClick={onClose}>Done</Button>
+        ) : (
+          <Space>
+            <Button onClick={onClose}>Cancel</Button>
+            <Button type="primary" disabled={!plan} loading={importing} onClick={handleImport}>
+              Import {plan ? plan.length : ""} module{plan?.length === 1 ? "" : "s"}
+            </Button>
+          </Space>
+        )
+      }
+    >
+      {!report && (
+        <Upload.Dragger
+          accept=".json,application/json"
+          maxCount={1}
+          showUploadList={false}
+          beforeUpload={handleFile}
+          style={{ marginBottom: "16px" }}
+        >
+          <p className="ant-upload-drag-icon"><InboxOutlined /></p>
+          <p className="ant-upload-text">Click or drop a module bundle (.json) here</p>
+        </Upload.Dragger>
+      )}
+
+      {problems.length > 0 && (
+        <Alert
+          type="error"
+          showIcon
+          style={{ marginBottom: "16px" }}
+          message="This file can't be imported"
+          description={<ul style={{ margin: 0, paddingLeft: "20px" }}>{problems.map((problem) => <li key={problem}>{problem}</li>)}</ul>}
+        />
+      )}
+
+      {plan && !report && (
+        <>
+          <Table
+            columns={previewColumns}
+            dataSource={plan}
+            rowKey="name"
+            size="small"
+            pagination={false}
+          />
+          {hasResponses && (
+            <Checkbox
+              checked={includeResponses}
+              onChange={(e) => setIncludeResponses(e.target.checked)}
+              style={{ marginTop: "12px" }}
+            >
+              Import responses
+            </Checkbox>
+          )}
+        </>
+      )}
+
+      {report && (
+        <Table
+          columns={reportColumns}
+          dataSource={report}
+          rowKey="name"
+          size="small"
+          pagination={false}
+        />
+      )}
+    </Modal>
+  );
+}
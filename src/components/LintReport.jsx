@@ -0,0 +1,134 @@
+import { useMemo } from "react";
+import { Button, Drawer, Empty, List, Select, Space, Table, Tabs, Tag } from "antd";
+import { DEFAULT_LINT_CONFIG, LINT_RULES, LINT_SEVERITIES, lintSurvey, summarizeLint } from "../survey/lint";
+
+const SEVERITY_COLORS = {
+  error: "red",
+  warning: "orange",
+  info: "blue",
+};
+
+const SEVERITY_OPTIONS = [...LINT_SEVERITIES, "off"].map((severity) => ({
+  value: severity,
+  label: severity.charAt(0).toUpperCase() + severity.slice(1),
+}));
+
+/**
+ * Compact lint summary for a module table row. Shows the most severe
+ * finding count, or "OK" when the survey passes every enabled rule.
+ */
+export function LintBadge({ findings, onClick }) {
+  const summary = summarizeLint(findings);
+  const severity = LINT_SEVERITIES.find((level) => summary[level] > 0);
+  return (
+    <Tag
+      color={severity ? SEVERITY_COLORS[severity] : "green"}
+      onClick={onClick}
+      style={{ cursor: "pointer" }}
+      title="Open the quality report"
+    >
+      {severity ? `${summary[severity]} ${severity}${summary[severity] === 1 ? "" : "s"}` : "OK"}
+    </Tag>
+  );
+}
+
+/**
+ * Drawer with every lint finding for one module, plus the rule settings
+ * (severity per rule, or off) shared by all modules.
+ */
+export default function LintReport(props) {
+  const { open, module, config, onConfigChange, onClose } = props;
+
+  const findings = useMemo(
+    () => (module ? lintSurvey(module.surveyJson, config) : []),
+    [module, config]
+  );
+  const summary = summarizeLint(findings);
+
+  const ruleColumns = [
+    {
+      title: "Rule",
+      key: "rule",
+      render: (_, rule) => (
+        <Space direction="vertical" size={0}>
+          <code>{rule.id}</code>
+          <span style={{ color: "#666", fontSize: "12px" }}>{rule.description}</span>
+        </Space>
+      ),
+    },
+    {
+      title: "Severity",
+      key: "severity",
+      width: 130,
+      render: (_, rule) => (
+        <Select
+          size="small"
+          style={{ width: "110px" }}
+          options={SEVERITY_OPTIONS}
+          value={config[rule.id] ?? rule.severity}
+          onChange={(severity) => onConfigChange?.({ ...config, [rule.id]: severity })}
+        />
+      ),
+    },
+  ];
+
+  const findingsTab = findings.length === 0 ? (
+    <Empty description="No quality problems found" />
+  ) : (
+    <>
+      <Space style={{ marginBottom: "12px" }}>
+        {LINT_SEVERITIES.map((severity) => (
+          <Tag key={severity} color={SEVERITY_COLORS[severity]}>
+            {summary[severity]} {severity}
+          </Tag>
+        ))}
+      </Space>
+      <List
+        size="small"
+        dataSource={findings}
+        renderItem={(item) => (
+          <List.Item>
+            <List.Item.Meta
+              avatar={<Tag color={SEVERITY_COLORS[item.severity]}>{item.severity}</Tag>}
+              title={item.message}
+              description={<code>{item.ruleId}</code>}
+            />
+          </List.Item>
+        )}
+      />
+    </>
+  );
+
+  return (
+    <Drawer
+      title={module ? `Quality Report: ${module.name}` : "Quality Report"}
+      open={open}
+      onClose={onClose}
+      width={640}
+    >
+      <Tabs
+        items={[
+          { key: "findings", label: `Findings (${findings.length})`, children: findingsTab },
+          {
+            key: "rules",
+            label: "Rules",
+            children: (
+              <>
+                <Table
+                  columns={ruleColumns}
+                  dataSource={LINT_RULES}
+                  rowKey="id"
+                  size="small"
+                  pagination={false}
+                />
+                <Button style={{ marginTop: "12px" }} onClick={() => onConfigChange?.(DEFAULT_LINT_CONFIG)}>
+                  Reset to defaults
+                </Button>
+              </>
+            ),
+          },
+        ]}
+      />
+    </Drawer>
+  );
+}
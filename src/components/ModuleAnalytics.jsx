@@ -0,0 +1,218 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Button, Card, Col, DatePicker, Empty, Input, List, Progress, Row, Spin, Statistic, Table, Tag, message } from "antd";
+import { ReloadOutlined } from "@ant-design/icons";
+import { analyzeResponses } from "../survey/analytics";
+
+const { RangePicker } = DatePicker;
+
+const formatDuration = (ms) => {
+  if (!ms) return "—";
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+function Distribution({ rows }) {
+  return rows.map((row) => (
+    <div key={String(row.value)} style={{ display: "flex", alignItems: "center", gap: "12px" }}>
+      <span style={{ width: "35%", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={row.text}>
+        {row.text}
+      </span>
+      <Progress percent={row.percent} size="small" style={{ flex: 1, margin: 0 }} format={() => row.count} />
+    </div>
+  ));
+}
+
+function NpsBreakdown({ nps }) {
+  if (!nps.total) return null;
+  return (
+    <div style={{ marginTop: "12px", display: "flex", gap: "8px", alignItems: "center", flexWrap: "wrap" }}>
+      <strong>NPS {nps.score > 0 ? `+${nps.score}` : nps.score}</strong>
+      <Tag color="green">{nps.promoters} promoters</Tag>
+      <Tag>{nps.passives} passives</Tag>
+      <Tag color="red">{nps.detractors} detractors</Tag>
+    </div>
+  );
+}
+
+function TextAnswers({ answers }) {
+  const [search, setSearch] = useState("");
+  const filtered = answers.filter((answer) => answer.text.toLowerCase().includes(search.toLowerCase()));
+  return (
+    <>
+      <Input.Search
+        size="small"
+        placeholder="Search answers"
+        allowClear
+        onChange={(e) => setSearch(e.target.value)}
+        style={{ marginBottom: "8px" }}
+      />
+      <List
+        size="small"
+        dataSource={filtered}
+        rowKey="responseId"
+        pagination={filtered.length > 5 ? { pageSize: 5, size: "small" } : false}
+        locale={{ emptyText: "No answers" }}
+        renderItem={(answer) => (
+          <List.Item extra={answer.submittedAt && <span style={{ color: "#999", fontSize: "12px" }}>{new Date(answer.submittedAt).toLocaleDateString()}</span>}>
+            {answer.text}
+          </List.Item>
+        )}
+      />
+    </>
+  );
+}
+
+function QuestionCard({ question }) {
+  let content;
+  if (question.kind === "rating") {
+    content = (
+      <>
+        <Distribution rows={question.distribution} />
+        {question.average !== null && <div style={{ marginTop: "8px" }}>Average: <strong>{question.average.toFixed(1)}</strong></div>}
+        <NpsBreakdown nps={question.nps} />
+      </>
+    );
+  } else if (question.kind === "choice") {
+    content = <Distribution rows={question.distribution} />;
+  } else if (question.kind === "text") {
+    content = <TextAnswers answers={question.answers} />;
+  } else {
+    content = <span style={{ color: "#666" }}>No summary for {question.type} questions.</span>;
+  }
+
+  return (
+    <Card
+      size="small"
+      title={question.title}
+      extra={<span style={{ color: "#666", fontSize: "12px" }}>{question.answered} answered · {question.skipped} skipped</span>}
+      style={{ height: "100%" }}
+    >
+      {content}
+    </Card>
+  );
+}
+
+/**
+ * Aggregated view of a module's responses: completion and drop-off per page,
+ * time to complete, answer distributions with NPS-style breakdowns for
+ * ratings, and a browser for free-text answers. Filterable by date range.
+ */
+export default function ModuleAnalytics(props) {
+  const { module, apiService, onBack } = props;
+
+  const [responses, setResponses] = useState([]);
+  const [range, setRange] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadResponses = useCallback(async () => {
+    setLoading(true);
+    try {
+      setResponses(await apiService.getAllResponses(module.id));
+    } catch (error) {
+      message.error("Failed to load responses");
+      console.error("Error loading responses:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiService, module.id]);
+
+  useEffect(() => {
+    loadResponses();
+  }, [loadResponses]);
+
+  const analytics = useMemo(() => analyzeResponses(module.surveyJson, responses, {
+    from: range?.[0] ? range[0].startOf("day").toISOString() : undefined,
+    to: range?.[1] ? range[1].endOf("day").toISOString() : undefined,
+  }), [module.surveyJson, responses, range]);
+
+  const funnelColumns = [
+    { title: "Page", dataIndex: "name", key: "name" },
+    {
+      title: "Reached",
+      key: "reached",
+      render: (_, row) => <Progress percent={row.reachedPercent} size="small" format={() => row.reached} />,
+    },
+    {
+      title: "Stopped here",
+      key: "droppedOff",
+      render: (_, row) => `${row.droppedOff} (${row.dropOffPercent}%)`,
+    },
+  ];
+
+  return (
+    <div style={{ padding: "32px", minHeight: "100vh", background: "#f5f5f5" }}>
+      <div style={{
+        background: "white",
+        borderRadius: "8px",
+        padding: "24px",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.1)"
+      }}>
+        <div style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "24px"
+        }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "16px" }}>
+            <Button onClick={() => onBack?.()}>← Back to Module List</Button>
+            <div>
+              <h2 style={{ margin: 0 }}>Analytics</h2>
+              <p style={{ color: "#666", margin: 0 }}>{module.name}</p>
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: "8px" }}>
+            <RangePicker allowEmpty={[true, true]} value={range} onChange={setRange} />
+            <Button icon={<ReloadOutlined />} onClick={loadResponses}>
+              Refresh
+            </Button>
+          </div>
+        </div>
+
+        <Spin spinning={loading}>
+          {analytics.started === 0 && !loading ? (
+            <Empty description="No responses in this period" />
+          ) : (
+            <>
+              <Row gutter={[16, 16]} style={{ marginBottom: "24px" }}>
+                <Col span={6}><Card size="small"><Statistic title="Started" value={analytics.started} /></Card></Col>
+                <Col span={6}><Card size="small"><Statistic title="Completed" value={analytics.completed} /></Card></Col>
+                <Col span={6}><Card size="small"><Statistic title="Completion rate" value={analytics.completionRate} suffix="%" /></Card></Col>
+                <Col span={6}>
+                  <Card size="small">
+                    <Statistic title="Average time to complete" value={formatDuration(analytics.averageDurationMs)} />
+                    <span style={{ color: "#999", fontSize: "12px" }}>
+                      Median {formatDuration(analytics.medianDurationMs)} · {analytics.timedResponses} timed
+                    </span>
+                  </Card>
+                </Col>
+              </Row>
+
+              {analytics.funnel.length > 0 && (
+                <>
+                  <h3>Completion by page</h3>
+                  <Table
+                    columns={funnelColumns}
+                    dataSource={analytics.funnel}
+                    rowKey="name"
+                    size="small"
+                    pagination={false}
+                    style={{ marginBottom: "24px" }}
+                  />
+                </>
+              )}
+
+              <h3>Questions</h3>
+              <Row gutter={[16, 16]}>
+                {analytics.questions.map((question) => (
+                  <Col span={12} key={question.name}>
+                    <QuestionCard question={question} />
+                  </Col>
+                ))}
+              </Row>
+            </>
+          )}
+        </Spin>
+      </div>
+    </div>
+  );
+}
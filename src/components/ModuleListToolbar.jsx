@@ -0,0 +1,73 @@
+import { useEffect, useState } from "react";
+import { Button, DatePicker, Input, Select, Space } from "antd";
+import { ReloadOutlined } from "@ant-design/icons";
+import dayjs from "dayjs";
+import { DEFAULT_LIST_QUERY } from "../services/listQuery";
+import { MODULE_STATUSES } from "../services/moduleStatus";
+
+const { RangePicker } = DatePicker;
+
+const STATUS_OPTIONS = MODULE_STATUSES.map((status) => ({
+  value: status,
+  label: status,
+}));
+
+const DATE_FORMAT = "YYYY-MM-DD";
+
+const toRange = (from, to) => (from || to ? [from ? dayjs(from) : null, to ? dayjs(to) : null] : null);
+
+/**
+ * Search and filter controls for the module table. Every change resets
+ * the list to its first page.
+ */
+export default function ModuleListToolbar(props) {
+  const { query, onChange } = props;
+
+  // Keep the search box editable without querying on every keystroke
+  const [searchText, setSearchText] = useState(query.search);
+  useEffect(() => setSearchText(query.search), [query.search]);
+
+  const update = (changes) => onChange({ ...query, ...changes, page: 1 });
+
+  const handleRangeChange = (fromKey, toKey) => (dates) => update({
+    [fromKey]: dates?.[0] ? dates[0].format(DATE_FORMAT) : null,
+    [toKey]: dates?.[1] ? dates[1].format(DATE_FORMAT) : null,
+  });
+
+  return (
+    <Space wrap style={{ marginBottom: "16px" }}>
+      <Input.Search
+        placeholder="Search name, description or questions"
+        allowClear
+        value={searchText}
+        onChange={(e) => setSearchText(e.target.value)}
+        onSearch={(value) => update({ search: value.trim() })}
+        style={{ width: 300 }}
+      />
+      <Select
+        mode="multiple"
+        allowClear
+        placeholder="Status"
+        options={STATUS_OPTIONS}
+        value={query.statuses}
+        onChange={(statuses) => update({ statuses })}
+        style={{ minWidth: 180 }}
+      />
+      <RangePicker
+        placeholder={["Created from", "Created to"]}
+        allowEmpty={[true, true]}
+        value={toRange(query.createdFrom, query.createdTo)}
+        onChange={handleRangeChange("createdFrom", "createdTo")}
+      />
+      <RangePicker
+        placeholder={["Updated from", "Updated to"]}
+        allowEmpty={[true, true]}
+        value={toRange(query.updatedFrom, query.updatedTo)}
+        onChange={handleRangeChange("updatedFrom", "updatedTo")}
+      />
+      <Button icon={<ReloadOutlined />} onClick={() => onChange(DEFAULT_LIST_QUERY)}>
+        Reset
+      </Button>
+    </Space>
+  );
+}
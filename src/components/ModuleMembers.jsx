@@ -0,0 +1,126 @@
+import { useEffect, useState } from "react";
+import { Alert, Button, Input, List, Modal, Select, Space, message } from "antd";
+import { DeleteOutlined, UserAddOutlined } from "@ant-design/icons";
+import { normalizeMembers, ROLE_LABELS, ROLES } from "../services/permissions";
+
+const ROLE_OPTIONS = [ROLES.OWNER, ROLES.EDITOR, ROLES.VIEWER, ROLES.RESPONDENT]
+  .map((role) => ({ value: role, label: ROLE_LABELS[role] }));
+
+const ROLE_HELP = "Owners can also delete the survey and manage members. Editors change it, viewers only look at it and its results, respondents only fill it in.";
+
+/**
+ * Who else may work on a module, by email and role. Only the module's
+ * owners open this dialog; people are matched by the email they sign in with.
+ */
+export default function ModuleMembers(props) {
+  const { open, module, apiService, onClose, onSaved } = props;
+
+  const [members, setMembers] = useState([]);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState(ROLES.EDITOR);
+  const [saving, setSaving] = useState(false);
+
+  // Start from the module's saved members every time the dialog opens
+  useEffect(() => {
+    if (open && module) {
+      setMembers(module.members || []);
+      setEmail("");
+      setRole(ROLES.EDITOR);
+    }
+  }, [open, module]);
+
+  const candidate = normalizeMembers([{ email, role }], { ownerEmail: module?.ownerEmail })[0];
+  const alreadyMember = candidate && members.some((member) => member.email === candidate.email);
+
+  const handleAdd = () => {
+    if (!candidate || alreadyMember) return;
+    setMembers((current) => [...current, candidate]);
+    setEmail("");
+  };
+
+  const handleChangeRole = (memberEmail, nextRole) => {
+    setMembers((current) => current.map((member) => (member.email === memberEmail ? { ...member, role: nextRole } : member)));
+  };
+
+  const handleRemove = (memberEmail) => {
+    setMembers((current) => current.filter((member) => member.email !== memberEmail));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await apiService.updateMembers(module.id, members);
+      message.success("Members saved");
+      onSaved?.(result);
+    } catch (error) {
+      message.error(error.name === "PermissionDeniedError" ? error.message : "Failed to save members");
+      console.error("Error saving members:", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={module ? `Members: ${module.name}` : "Members"}
+      open={open}
+      okText="Save"
+      confirmLoading={saving}
+      onOk={handleSave}
+      onCancel={onClose}
+      width={560}
+      destroyOnClose
+    >
+      <Alert type="info" showIcon message={ROLE_HELP} style={{ marginBottom: "16px" }} />
+
+      <p>
+        <strong>Owner:</strong> {module?.ownerEmail || "Not claimed yet; saving makes you the owner"}
+      </p>
+
+      <Space.Compact style={{ width: "100%", marginBottom: "16px" }}>
+        <Input
+          placeholder="Email address"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          onPressEnter={handleAdd}
+          status={email && !candidate ? "error" : undefined}
+        />
+        <Select value={role} onChange={setRole} options={ROLE_OPTIONS} style={{ width: "170px" }} />
+        <Button icon={<UserAddOutlined />} onClick={handleAdd} disabled={!candidate || alreadyMember}>
+          Add
+        </Button>
+      </Space.Compact>
+
+      <List
+        bordered
+        size="small"
+        locale={{ emptyText: "Only the owner has access" }}
+        dataSource={members}
+        renderItem={(member) => (
+          <List.Item
+            actions={[
+              <Select
+                key="role"
+                size="small"
+                value={member.role}
+                onChange={(nextRole) => handleChangeRole(member.email, nextRole)}
+                options={ROLE_OPTIONS}
+                style={{ width: "150px" }}
+              />,
+              <Button
+                key="remove"
+                type="link"
+                danger
+                icon={<DeleteOutlined />}
+                onClick={() => handleRemove(member.email)}
+                title="Remove member"
+              />,
+            ]}
+          >
+            {member.email}
+          </List.Item>
+        )}
+      />
+    </Modal>
+  );
+}
@@ -0,0 +1,204 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Model } from "survey-core";
+import { Button, Descriptions, Drawer, Empty, Popconfirm, Table, Tag, message } from "antd";
+import { DeleteOutlined, DownloadOutlined, EyeOutlined, ReloadOutlined } from "@ant-design/icons";
+import ResponseExportDialog from "./ResponseExportDialog";
+
+const formatAnswer = (value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Paginated list of submitted responses for a single module,
+ * with a drawer showing every answer of the selected response.
+ * Responses can be deleted unless `readOnly` is set.
+ */
+export default function ModuleResponses(props) {
+  const { module, apiService, onBack, readOnly = false } = props;
+
+  const [responses, setResponses] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 10 });
+  const [loading, setLoading] = useState(false);
+  const [selectedResponse, setSelectedResponse] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  const loadResponses = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { items, total } = await apiService.getResponses(module.id, {
+        page: pagination.current,
+        pageSize: pagination.pageSize,
+      });
+      setResponses(items);
+      setTotal(total);
+    } catch (error) {
+      message.error("Failed to load responses");
+      console.error("Error loading responses:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiService, module.id, pagination]);
+
+  useEffect(() => {
+    loadResponses();
+  }, [loadResponses]);
+
+  const handleDeleteResponse = async (id) => {
+    try {
+      await apiService.deleteResponse(id);
+      message.success("Response deleted successfully");
+      if (selectedResponse?.id === id) setSelectedResponse(null);
+      loadResponses();
+    } catch (error) {
+      message.error("Failed to delete response");
+      console.error("Error deleting response:", error);
+    }
+  };
+
+  // Resolve question titles and display values through survey-core
+  const answerItems = useMemo(() => {
+    if (!selectedResponse) return [];
+    const survey = new Model(module.surveyJson || {});
+    survey.data = selectedResponse.data || {};
+    return survey.getAllQuestions().map((question) => ({
+      key: question.name,
+      label: question.title || question.name,
+      children: formatAnswer(question.isEmpty() ? null : question.displayValue),
+    }));
+  }, [module, selectedResponse]);
+
+  const columns = [
+    {
+      title: "Response ID",
+      dataIndex: "id",
+      key: "id",
+      render: (id) => <code>{id}</code>,
+    },
+    {
+      title: "Submitted",
+      dataIndex: "submittedAt",
+      key: "submittedAt",
+      render: (date) => date ? new Date(date).toLocaleString() : "-",
+    },
+    {
+      title: "Answered",
+      key: "answered",
+      render: (_, record) => Object.keys(record.data || {}).length,
+    },
+    {
+      title: "Score",
+      key: "score",
+      render: (_, record) => record.scores?.overall?.max ? `${record.scores.overall.percent}%` : "-",
+    },
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, record) => (
+        <>
+          <Button type="link" icon={<EyeOutlined />} onClick={() => setSelectedResponse(record)}>
+            Details
+          </Button>
+          {!readOnly && (
+            <Popconfirm
+              title="Delete Response"
+              description="Are you sure you want to delete this response? This action cannot be undone."
+              onConfirm={() => handleDeleteResponse(record.id)}
+              okText="Yes, Delete"
+              cancelText="Cancel"
+              okButtonProps={{ danger: true }}
+            >
+              <Button type="link" danger icon={<DeleteOutlined />}>
+                Delete
+              </Button>
+            </Popconfirm>
+          )}
+        </>
+      ),
+    },
+  ];
+
+  return (
+    <div style={{ padding: "32px", minHeight: "100vh", background: "#f5f5f5" }}>
+      <div style={{
+        background: "white",
+        borderRadius: "8px",
+        padding: "24px",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.1)"
+      }}>
+        <div style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "24px"
+        }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "16px" }}>
+            <Button onClick={() => onBack?.()}>← Back to Module List</Button>
+            <div>
+              <h2 style={{ margin: 0 }}>Responses</h2>
+              <p style={{ color: "#666", margin: 0 }}>{module.name}</p>
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: "8px" }}>
+            <Button icon={<DownloadOutlined />} onClick={() => setExportOpen(true)} disabled={total === 0}>
+              Export
+            </Button>
+            <Button icon={<ReloadOutlined />} onClick={loadResponses}>
+              Refresh
+            </Button>
+          </div>
+        </div>
+
+        <Table
+          columns={columns}
+          dataSource={responses}
+          loading={loading}
+          rowKey="id"
+          locale={{ emptyText: <Empty description="No responses yet" /> }}
+          pagination={{
+            ...pagination,
+            total,
+            showSizeChanger: true,
+            showTotal: (total, range) =>
+              `${range[0]}-${range[1]} of ${total} responses`,
+          }}
+          onChange={({ current, pageSize }) => setPagination({ current, pageSize })}
+          bordered
+        />
+      </div>
+
+      <Drawer
+        title={selectedResponse ? `Response ${selectedResponse.id}` : ""}
+        open={!!selectedResponse}
+        onClose={() => setSelectedResponse(null)}
+        width={560}
+      >
+        {selectedResponse && (
+          <>
+            <p style={{ color: "#666", marginTop: 0 }}>
+              Submitted {new Date(selectedResponse.submittedAt).toLocaleString()}
+            </p>
+            {selectedResponse.scores?.overall?.max > 0 && (
+              <div style={{ marginBottom: "16px" }}>
+                <Tag color="blue">Overall {selectedResponse.scores.overall.percent}%</Tag>
+                {Object.entries(selectedResponse.scores.totals || {}).map(([type, total]) => (
+                  <Tag key={type}>{type} {total.percent}%</Tag>
+                ))}
+              </div>
+            )}
+            <Descriptions column={1} bordered size="small" items={answerItems} />
+          </>
+        )}
+      </Drawer>
+
+      <ResponseExportDialog
+        open={exportOpen}
+        module={module}
+        apiService={apiService}
+        onClose={() => setExportOpen(false)}
+      />
+    </div>
+  );
+}
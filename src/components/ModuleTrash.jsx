@@ -0,0 +1,150 @@
+import { useCallback, useEffect, useState } from "react";
+import { Alert, Button, Popconfirm, Space, Table, Tag, message } from "antd";
+import { DeleteOutlined, UndoOutlined } from "@ant-design/icons";
+import { actorLabel } from "../services/audit";
+import { can } from "../services/permissions";
+import { purgeDateOf, TRASH_RETENTION_DAYS } from "../services/trash";
+
+/**
+ * Modules moved to the trash, with restore and permanent deletion for
+ * their owners. Anything older than the retention period is purged when
+ * the trash loads.
+ */
+export default function ModuleTrash(props) {
+  const { apiService, user, onBack } = props;
+
+  const [modules, setModules] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    try {
+      setModules(await apiService.getTrash());
+    } catch (error) {
+      message.error("Failed to load the trash");
+      console.error("Error loading trash:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiService]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (module) => {
+    try {
+      await apiService.restoreModule(module.id);
+      message.success(`Restored "${module.name}"`);
+      loadTrash();
+    } catch (error) {
+      message.error(error.name === "PermissionDeniedError" ? error.message : "Failed to restore module");
+      console.error("Error restoring module:", error);
+    }
+  };
+
+  const handlePurge = async (module) => {
+    try {
+      await apiService.purgeModule(module.id);
+      message.success(`Deleted "${module.name}" permanently`);
+      loadTrash();
+    } catch (error) {
+      message.error(error.name === "PermissionDeniedError" ? error.message : "Failed to delete module");
+      console.error("Error purging module:", error);
+    }
+  };
+
+  const columns = [
+    {
+      title: "Name",
+      dataIndex: "name",
+      key: "name",
+      render: (text) => <strong>{text}</strong>,
+    },
+    {
+      title: "Status",
+      dataIndex: "status",
+      key: "status",
+      render: (status) => <Tag>{status}</Tag>,
+    },
+    {
+      title: "Deleted",
+      dataIndex: "deletedAt",
+      key: "deletedAt",
+      render: (deletedAt) => new Date(deletedAt).toLocaleString(),
+    },
+    {
+      title: "Deleted by",
+      dataIndex: "deletedBy",
+      key: "deletedBy",
+      render: (deletedBy) => actorLabel(deletedBy),
+    },
+    {
+      title: "Deleted permanently on",
+      key: "purgeDate",
+      render: (_, record) => purgeDateOf(record).toLocaleDateString(),
+    },
+    {
+      title: "Actions",
+      key: "actions",
+      render: (_, record) => (
+        <Space size="small">
+          <Button
+            type="link"
+            icon={<UndoOutlined />}
+            disabled={!can(record, user, "delete")}
+            title={can(record, user, "delete") ? "Restore" : "Only the owner can restore this survey"}
+            onClick={() => handleRestore(record)}
+          >
+            Restore
+          </Button>
+          <Popconfirm
+            title="Delete Permanently"
+            description="This deletes the survey with all its responses and history. It cannot be undone."
+            onConfirm={() => handlePurge(record)}
+            okText="Delete Forever"
+            cancelText="Cancel"
+            okButtonProps={{ danger: true }}
+            disabled={!can(record, user, "delete")}
+          >
+            <Button type="link" danger icon={<DeleteOutlined />} disabled={!can(record, user, "delete")}>
+              Delete Forever
+            </Button>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div style={{ padding: "32px", minHeight: "100vh", background: "#f5f5f5" }}>
+      <div style={{
+        background: "white",
+        borderRadius: "8px",
+        padding: "24px",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.1)"
+      }}>
+        <div style={{ display: "flex", alignItems: "center", gap: "16px", marginBottom: "24px" }}>
+          <Button onClick={() => onBack?.()}>← Back to Module List</Button>
+          <h2 style={{ margin: 0 }}>Trash</h2>
+        </div>
+
+        <Alert
+          type="info"
+          showIcon
+          message={`Deleted surveys stay here for ${TRASH_RETENTION_DAYS} days and stop accepting responses. After that they are deleted permanently with their responses and history.`}
+          style={{ marginBottom: "16px" }}
+        />
+
+        <Table
+          columns={columns}
+          dataSource={modules}
+          rowKey="id"
+          loading={loading}
+          locale={{ emptyText: "The trash is empty" }}
+          pagination={{ pageSize: 10, showSizeChanger: false }}
+        />
+      </div>
+    </div>
+  );
+}
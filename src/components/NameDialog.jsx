@@ -0,0 +1,71 @@
+import { useEffect, useState } from "react";
+import { Input, Modal } from "antd";
+
+/**
+ * Small modal asking for a name (and optionally a description), used by
+ * the Duplicate and Save as template row actions and for naming library
+ * themes in the designer.
+ */
+export default function NameDialog(props) {
+  const {
+    open,
+    title,
+    okText = "Save",
+    initialName = "",
+    initialDescription = "",
+    showDescription = false,
+    onSubmit,
+    onCancel,
+  } = props;
+
+  const [name, setName] = useState(initialName);
+  const [description, setDescription] = useState(initialDescription);
+  const [saving, setSaving] = useState(false);
+
+  // Start from the suggested values every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setName(initialName);
+      setDescription(initialDescription);
+    }
+  }, [open, initialName, initialDescription]);
+
+  const handleOk = async () => {
+    setSaving(true);
+    try {
+      await onSubmit?.(name.trim(), description.trim());
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={title}
+      open={open}
+      okText={okText}
+      okButtonProps={{ disabled: !name.trim() }}
+      confirmLoading={saving}
+      onOk={handleOk}
+      onCancel={onCancel}
+      destroyOnClose
+    >
+      <Input
+        placeholder="Name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onPressEnter={() => name.trim() && handleOk()}
+        autoFocus
+      />
+      {showDescription && (
+        <Input.TextArea
+          placeholder="Description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          autoSize={{ minRows: 2, maxRows: 4 }}
+          style={{ marginTop: "12px" }}
+        />
+      )}
+    </Modal>
+  );
+}
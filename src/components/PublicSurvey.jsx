@@ -0,0 +1,79 @@
+import { useEffect, useMemo, useState } from "react";
+import { Result, Spin } from "antd";
+import SurveyRunner from "./SurveyRunner";
+import { createResponseSession } from "../services/responseSession";
+import { getRespondentId } from "../services/sharing";
+
+/**
+ * Respondent-facing page behind a module's public link. Shows only the
+ * runner, or the module's closed message when its dates, response limit or
+ * one-response-per-browser setting turn the respondent away.
+ */
+export default function PublicSurvey(props) {
+  const { token, apiService } = props;
+
+  const respondentId = useMemo(getRespondentId, []);
+  const [survey, setSurvey] = useState(null);
+  const [closedMessage, setClosedMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiService.getPublicSurvey(token, { respondentId })
+      .then((result) => {
+        if (cancelled) return;
+        setSurvey(result);
+        if (!result.open) setClosedMessage(result.closedMessage);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error("Error loading public survey:", error);
+        setClosedMessage(error.name === "SurveyClosedError" ? error.message : "This survey could not be loaded. Please try again later.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [apiService, token, respondentId]);
+
+  const session = useMemo(
+    () => (survey?.open ? createResponseSession(apiService, survey.module.id, { respondentId, channel: "public" }) : null),
+    [apiService, survey, respondentId]
+  );
+
+  // A survey that closed while this respondent was answering shows why instead of the thank-you page
+  const handleComplete = async (answers, scores, timing) => {
+    try {
+      await session.complete(answers, scores, timing);
+    } catch (error) {
+      console.error("Error submitting response:", error);
+      setClosedMessage(error.name === "SurveyClosedError" ? error.message : "Your response could not be submitted. Please try again later.");
+    }
+  };
+
+  if (closedMessage) {
+    return (
+      <Result
+        status="info"
+        title={survey?.module?.name || "Survey unavailable"}
+        subTitle={closedMessage}
+        style={{ minHeight: "100vh", paddingTop: "15vh" }}
+      />
+    );
+  }
+
+  if (!survey) {
+    return (
+      <div style={{ display: "flex", justifyContent: "center", alignItems: "center", minHeight: "100vh" }}>
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <SurveyRunner
+      surveyData={survey.module}
+      respondentMode
+      onComplete={handleComplete}
+      onProgress={(progress) => session.progress(progress)}
+    />
+  );
+}
@@ -0,0 +1,126 @@
+import { useEffect, useMemo, useState } from "react";
+import { Button, Checkbox, Form, Modal, Progress, Radio, Space, message } from "antd";
+import { buildExportColumns } from "../survey/flatten";
+import { downloadBlob } from "../services/download";
+import { EXPORT_FORMATS, exportFilename, exportResponses, fetchExportResponses } from "../services/responseExport";
+
+/**
+ * Exports a module's submitted responses to CSV or XLSX. Answers are
+ * flattened into one column per value; the user picks which questions and
+ * metadata to include and whether headers show question names or titles.
+ */
+export default function ResponseExportDialog(props) {
+  const { open, module, apiService, onClose } = props;
+
+  const [responses, setResponses] = useState(null);
+  const [format, setFormat] = useState(EXPORT_FORMATS.XLSX);
+  const [headers, setHeaders] = useState("name");
+  const [selectedGroups, setSelectedGroups] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  // Responses are loaded each time the dialog opens so the export is current
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setResponses(null);
+    setSelectedGroups(null);
+    setProgress({ phase: "fetching", done: 0, total: 0 });
+    fetchExportResponses(apiService, module.id, (update) => !cancelled && setProgress(update))
+      .then((items) => {
+        if (cancelled) return;
+        setResponses(items);
+        setProgress(null);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        message.error("Failed to load responses");
+        console.error("Error loading responses:", error);
+        setProgress(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, apiService, module.id]);
+
+  const groups = useMemo(
+    () => (responses ? buildExportColumns(module.surveyJson, responses) : []),
+    [module.surveyJson, responses]
+  );
+  const chosen = selectedGroups ?? groups.map((group) => group.id);
+  const columns = groups.filter((group) => chosen.includes(group.id)).flatMap((group) => group.columns);
+  const busy = progress !== null;
+
+  const handleExport = async () => {
+    setProgress({ phase: "writing", done: 0, total: responses.length });
+    try {
+      const blob = await exportResponses({ responses, columns, format, headers, onProgress: setProgress });
+      downloadBlob(blob, exportFilename(module, format));
+      message.success(`Exported ${responses.length} response${responses.length === 1 ? "" : "s"}`);
+      onClose?.();
+    } catch (error) {
+      message.error("Failed to export responses");
+      console.error("Error exporting responses:", error);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Modal
+      title="Export Responses"
+      open={open}
+      okText="Download"
+      onOk={handleExport}
+      onCancel={onClose}
+      okButtonProps={{ disabled: busy || !responses?.length || columns.length === 0 }}
+      cancelButtonProps={{ disabled: progress?.phase === "writing" }}
+      width={560}
+    >
+      {responses && (
+        <Form layout="vertical" disabled={busy}>
+          <p>{responses.length} submitted response{responses.length === 1 ? "" : "s"}, {columns.length} column{columns.length === 1 ? "" : "s"}.</p>
+          <Form.Item label="Format">
+            <Radio.Group value={format} onChange={(e) => setFormat(e.target.value)}>
+              <Radio value={EXPORT_FORMATS.XLSX}>Excel (.xlsx)</Radio>
+              <Radio value={EXPORT_FORMATS.CSV}>CSV</Radio>
+            </Radio.Group>
+          </Form.Item>
+          <Form.Item label="Column headers">
+            <Radio.Group value={headers} onChange={(e) => setHeaders(e.target.value)}>
+              <Radio value="name">Question names</Radio>
+              <Radio value="title">Question titles</Radio>
+            </Radio.Group>
+          </Form.Item>
+          <Form.Item
+            label={
+              <Space>
+                Columns
+                <Button size="small" type="link" onClick={() => setSelectedGroups(groups.map((group) => group.id))}>All</Button>
+                <Button size="small" type="link" onClick={() => setSelectedGroups([])}>None</Button>
+              </Space>
+            }
+          >
+            <Checkbox.Group
+              value={chosen}
+              onChange={setSelectedGroups}
+              style={{ display: "flex", flexDirection: "column", maxHeight: "240px", overflowY: "auto" }}
+            >
+              {groups.map((group) => (
+                <Checkbox key={group.id} value={group.id}>
+                  {group.label}
+                  {group.columns.length > 1 && <span style={{ color: "#999" }}> ({group.columns.length} columns)</span>}
+                </Checkbox>
+              ))}
+            </Checkbox.Group>
+          </Form.Item>
+        </Form>
+      )}
+      {progress && (
+        <>
+          <p style={{ marginBottom: 0 }}>{progress.phase === "fetching" ? "Loading responses…" : "Writing file…"}</p>
+          <Progress percent={progress.total ? Math.round((progress.done / progress.total) * 100) : 0} />
+        </>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,157 @@
+import { useEffect, useState } from "react";
+import { Alert, Button, DatePicker, Form, Input, InputNumber, Modal, Popconfirm, Space, Switch, message } from "antd";
+import { CopyOutlined, SyncOutlined } from "@ant-design/icons";
+import dayjs from "dayjs";
+import { MODULE_STATUS } from "../services/moduleStatus";
+import { DEFAULT_CLOSED_MESSAGE, publicSurveyUrl, sharingOf } from "../services/sharing";
+
+const { RangePicker } = DatePicker;
+
+/**
+ * Settings for a module's public fill-out link: on/off, the link itself,
+ * open and close dates, a response limit, one response per browser and the
+ * message shown once the survey is closed.
+ */
+export default function ShareDialog(props) {
+  const { open, module, apiService, onClose, onSaved } = props;
+
+  const [settings, setSettings] = useState(() => sharingOf(module));
+  const [shareToken, setShareToken] = useState(module?.shareToken || null);
+  const [saving, setSaving] = useState(false);
+
+  // Start from the module's saved settings every time the dialog opens
+  useEffect(() => {
+    if (open && module) {
+      setSettings(sharingOf(module));
+      setShareToken(module.shareToken || null);
+    }
+  }, [open, module]);
+
+  const update = (changes) => setSettings((current) => ({ ...current, ...changes }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await apiService.updateSharing(module.id, {
+        ...settings,
+        closedMessage: settings.closedMessage.trim(),
+      });
+      setShareToken(result.shareToken);
+      message.success("Sharing settings saved");
+      onSaved?.(result);
+    } catch (error) {
+      message.error("Failed to save sharing settings");
+      console.error("Error saving sharing settings:", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      const result = await apiService.regenerateShareToken(module.id);
+      setShareToken(result.shareToken);
+      message.success("Created a new link; the old one no longer works");
+      onSaved?.(result);
+    } catch (error) {
+      message.error("Failed to create a new link");
+      console.error("Error regenerating share token:", error);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(publicSurveyUrl(shareToken));
+      message.success("Link copied");
+    } catch (error) {
+      message.error("Could not copy the link");
+      console.error("Error copying link:", error);
+    }
+  };
+
+  return (
+    <Modal
+      title={module ? `Share: ${module.name}` : "Share"}
+      open={open}
+      okText="Save"
+      confirmLoading={saving}
+      onOk={handleSave}
+      onCancel={onClose}
+      width={560}
+      destroyOnClose
+    >
+      {module && module.status !== MODULE_STATUS.PUBLISHED && (
+        <Alert
+          type="warning"
+          showIcon
+          message="Only published surveys accept responses through the public link."
+          style={{ marginBottom: "16px" }}
+        />
+      )}
+      <Form layout="vertical">
+        <Form.Item label="Public link">
+          <Space direction="vertical" style={{ width: "100%" }}>
+            <Switch
+              checked={settings.enabled}
+              onChange={(enabled) => update({ enabled })}
+              checkedChildren="On"
+              unCheckedChildren="Off"
+            />
+            {shareToken ? (
+              <Space.Compact style={{ width: "100%" }}>
+                <Input readOnly value={publicSurveyUrl(shareToken)} />
+                <Button icon={<CopyOutlined />} onClick={handleCopy} title="Copy link" />
+                <Popconfirm
+                  title="Create a new link?"
+                  description="Anyone with the current link will no longer be able to respond."
+                  onConfirm={handleRegenerate}
+                  okText="New link"
+                >
+                  <Button icon={<SyncOutlined />} title="Create a new link" />
+                </Popconfirm>
+              </Space.Compact>
+            ) : (
+              <span style={{ color: "#666" }}>The link is created when you save.</span>
+            )}
+          </Space>
+        </Form.Item>
+        <Form.Item label="Accept responses between" extra="Leave empty to accept responses at any time.">
+          <RangePicker
+            showTime={{ format: "HH:mm" }}
+            format="YYYY-MM-DD HH:mm"
+            allowEmpty={[true, true]}
+            style={{ width: "100%" }}
+            value={[
+              settings.opensAt ? dayjs(settings.opensAt) : null,
+              settings.closesAt ? dayjs(settings.closesAt) : null,
+            ]}
+            onChange={(range) => update({
+              opensAt: range?.[0] ? range[0].toISOString() : null,
+              closesAt: range?.[1] ? range[1].toISOString() : null,
+            })}
+          />
+        </Form.Item>
+        <Form.Item label="Maximum responses" extra="Leave empty for no limit.">
+          <InputNumber
+            min={1}
+            precision={0}
+            style={{ width: "100%" }}
+            value={settings.maxResponses}
+            onChange={(maxResponses) => update({ maxResponses: maxResponses || null })}
+          />
+        </Form.Item>
+        <Form.Item label="One response per browser">
+          <Switch checked={settings.onePerBrowser} onChange={(onePerBrowser) => update({ onePerBrowser })} />
+        </Form.Item>
+        <Form.Item label="Message when closed">
+          <Input.TextArea
+            placeholder={DEFAULT_CLOSED_MESSAGE}
+            value={settings.closedMessage}
+            onChange={(e) => update({ closedMessage: e.target.value })}
+            autoSize={{ minRows: 2, maxRows: 4 }}
+          />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+}
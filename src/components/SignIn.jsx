@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { Alert, Button, Form, Input, Tabs, Typography } from "antd";
+import { LockOutlined, MailOutlined, UserOutlined } from "@ant-design/icons";
+
+const { Title } = Typography;
+
+/**
+ * Sign-in and account creation screen shown before the module list.
+ * `auth` is the sign-in provider from services/auth.
+ */
+export default function SignIn(props) {
+  const { auth } = props;
+
+  const [mode, setMode] = useState("signIn");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFinish = async (values) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (mode === "signIn") {
+        await auth.signIn(values);
+      } else {
+        await auth.signUp(values);
+      }
+    } catch (authError) {
+      setError(authError.message);
+      console.error("Error signing in:", authError);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{ display: "flex", justifyContent: "center", alignItems: "center", minHeight: "100vh", background: "#f5f5f5" }}>
+      <div style={{
+        background: "white",
+        borderRadius: "8px",
+        padding: "32px",
+        width: "400px",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.1)"
+      }}>
+        <Title level={3} style={{ marginTop: 0 }}>Survey Modules</Title>
+
+        <Tabs
+          activeKey={mode}
+          onChange={(key) => {
+            setMode(key);
+            setError(null);
+          }}
+          items={[
+            { key: "signIn", label: "Sign in" },
+            { key: "signUp", label: "Create account" },
+          ]}
+        />
+
+        {auth.name === "local" && (
+          <Alert
+            type="warning"
+            showIcon
+            message="Accounts are stored with the survey data on this backend. Use Supabase for real sign-in."
+            style={{ marginBottom: "16px" }}
+          />
+        )}
+
+        {error && <Alert type="error" showIcon message={error} style={{ marginBottom: "16px" }} />}
+
+        <Form layout="vertical" onFinish={handleFinish} requiredMark={false} key={mode}>
+          {mode === "signUp" && (
+            <Form.Item name="name" label="Name">
+              <Input prefix={<UserOutlined />} autoComplete="name" />
+            </Form.Item>
+          )}
+          <Form.Item name="email" label="Email" rules={[{ required: true, type: "email", message: "Enter your email address" }]}>
+            <Input prefix={<MailOutlined />} autoComplete="email" />
+          </Form.Item>
+          <Form.Item
+            name="password"
+            label="Password"
+            rules={[{ required: true, min: mode === "signUp" ? 6 : undefined, message: mode === "signUp" ? "Use at least 6 characters" : "Enter your password" }]}
+          >
+            <Input.Password prefix={<LockOutlined />} autoComplete={mode === "signUp" ? "new-password" : "current-password"} />
+          </Form.Item>
+          <Button type="primary" htmlType="submit" block loading={submitting}>
+            {mode === "signIn" ? "Sign in" : "Create account"}
+          </Button>
+        </Form>
+      </div>
+    </div>
+  );
+}
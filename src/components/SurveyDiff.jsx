@@ -0,0 +1,72 @@
+import { Empty, Tag, Typography } from "antd";
+
+const { Text } = Typography;
+
+const formatValue = (value) => {
+  if (value === undefined) return "∅";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+const questionLabel = (question) =>
+  question.title ? `${question.title} (${question.name})` : question.name;
+
+/**
+ * Human-readable rendering of a diffSurveys() result.
+ */
+export default function SurveyDiff({ diff }) {
+  if (diff.isEmpty) {
+    return <Empty description="No structural differences" image={Empty.PRESENTED_IMAGE_SIMPLE} />;
+  }
+
+  const { survey, pages, questions } = diff;
+
+  return (
+    <div style={{ fontSize: "13px" }}>
+      {survey.map((change) => (
+        <div key={change.property}>
+          <Tag color="blue">Survey</Tag>
+          {change.property}: <Text delete>{formatValue(change.from)}</Text> → {formatValue(change.to)}
+        </div>
+      ))}
+      {pages.added.map((name) => (
+        <div key={`page+${name}`}><Tag color="green">Page added</Tag>{name}</div>
+      ))}
+      {pages.removed.map((name) => (
+        <div key={`page-${name}`}><Tag color="red">Page removed</Tag>{name}</div>
+      ))}
+      {questions.added.map((question) => (
+        <div key={`q+${question.name}`}>
+          <Tag color="green">Added</Tag>{questionLabel(question)} <Text type="secondary">{question.type}</Text>
+        </div>
+      ))}
+      {questions.removed.map((question) => (
+        <div key={`q-${question.name}`}>
+          <Tag color="red">Removed</Tag>{questionLabel(question)} <Text type="secondary">{question.type}</Text>
+        </div>
+      ))}
+      {questions.changed.map((question) => (
+        <div key={`q~${question.name}`} style={{ marginTop: "8px" }}>
+          <Tag color="orange">Changed</Tag><strong>{questionLabel(question)}</strong>
+          <ul style={{ margin: "4px 0 0", paddingLeft: "24px" }}>
+            {question.properties.map((change) => (
+              <li key={change.property}>
+                {change.property}: <Text delete>{formatValue(change.from)}</Text> → {formatValue(change.to)}
+              </li>
+            ))}
+            {question.choices.added.map((text) => (
+              <li key={`c+${text}`}>choice added: {formatValue(text)}</li>
+            ))}
+            {question.choices.removed.map((text) => (
+              <li key={`c-${text}`}>choice removed: <Text delete>{formatValue(text)}</Text></li>
+            ))}
+            {question.choices.changed.map((change) => (
+              <li key={`c~${change.value}`}>
+                choice {formatValue(change.value)}: <Text delete>{formatValue(change.from)}</Text> → {formatValue(change.to)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
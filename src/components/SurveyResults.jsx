@@ -0,0 +1,54 @@
+import { Card, List, Progress, Tag } from "antd";
+
+const formatScore = (value) => Number(value.toFixed(2));
+
+/**
+ * Results shown to the respondent after completion. Only questions flagged
+ * with `show_result_after_completion` are listed.
+ */
+export default function SurveyResults(props) {
+  const { scores } = props;
+
+  const visibleQuestions = (scores?.questions || []).filter((question) => question.showResult);
+  if (visibleQuestions.length === 0) return null;
+
+  const visibleTypes = new Set(visibleQuestions.flatMap((question) => question.assessmentTypes));
+  const totals = Object.entries(scores.totals || {}).filter(([type]) => visibleTypes.has(type));
+
+  return (
+    <Card title="Your Results" style={{ marginTop: "16px" }}>
+      {totals.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "32px", marginBottom: "24px" }}>
+          {totals.map(([type, total]) => (
+            <div key={type} style={{ textAlign: "center" }}>
+              <Progress type="circle" percent={total.percent} size={96} />
+              <div style={{ marginTop: "8px", fontWeight: 500 }}>{type}</div>
+              <div style={{ color: "#666", fontSize: "12px" }}>
+                {formatScore(total.score)} / {formatScore(total.max)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <List
+        dataSource={visibleQuestions}
+        rowKey="name"
+        renderItem={(question) => (
+          <List.Item>
+            <div style={{ width: "100%" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: "16px" }}>
+                <span>{question.title}</span>
+                <span>
+                  {question.assessmentTypes.map((type) => <Tag key={type}>{type}</Tag>)}
+                  <strong>{formatScore(question.weighted)} / {formatScore(question.weight)}</strong>
+                </span>
+              </div>
+              <Progress percent={Math.round(question.normalized * 100)} showInfo={false} size="small" />
+            </div>
+          </List.Item>
+        )}
+      />
+    </Card>
+  );
+}
@@ -0,0 +1,222 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Model } from "survey-core";
+import { Survey } from "survey-react-ui";
+import { Button, Select, Steps, Switch, Tooltip } from "antd";
+import { EditOutlined, ReloadOutlined } from "@ant-design/icons";
+// CSS
+import "survey-core/survey-core.css";
+import "survey-core/survey.i18n";
+
+import { registerCustomProperties } from "../survey/customProperties";
+import { calculateScoresForSurvey } from "../survey/scoring";
+import { DEFAULT_LOCALE, localeLabel, preferredLocale, surveyLanguage } from "../survey/translations";
+import SurveyResults from "./SurveyResults";
+
+registerCustomProperties();
+
+/**
+ * Read-only runner: renders a module's survey as a fillable form.
+ * In preview mode answers stay in memory and are never sent to the API.
+ * Outside preview, `onProgress({ runId, startedAt, pageNo, pageName, pageCount, data })`
+ * reports the first answer and every page change of a run, and
+ * `onComplete(data, scores, { runId, startedAt, durationMs })` the submission.
+ * `respondentMode` is for public links: answers are always submitted and the
+ * builder controls (back, preview switch, restart, page jumps) are hidden.
+ * Modules with target `locales` get a language switcher; respondents start
+ * in the best match for their browser's languages.
+ */
+export default function SurveyRunner(props) {
+  const { surveyData, onBack, onEdit, onComplete, onProgress, respondentMode = false } = props;
+
+  const [previewMode, setPreviewMode] = useState(!respondentMode);
+  const [currentPageNo, setCurrentPageNo] = useState(0);
+  const [isCompleted, setIsCompleted] = useState(false);
+  const [previewAnswers, setPreviewAnswers] = useState(null);
+  const [scores, setScores] = useState(null);
+  const [runKey, setRunKey] = useState(0);
+  const runRef = useRef(null);
+
+  const locales = surveyData?.locales || [];
+  const [locale, setLocale] = useState(() => (respondentMode ? preferredLocale(locales) : DEFAULT_LOCALE));
+
+  // Without a completion handler there is nowhere to send answers
+  const canSubmit = typeof onComplete === "function";
+  const isPreview = previewMode || !canSubmit;
+
+  // Build a fresh model whenever the module changes or the run restarts
+  const survey = useMemo(() => {
+    const model = new Model(surveyData?.surveyJson || {});
+    model.showProgressBar = "top";
+    if (surveyData?.theme) {
+      model.applyTheme(surveyData.theme);
+    }
+    runRef.current = { runId: `${Date.now()}-${runKey}`, startedAt: new Date().toISOString(), reported: false };
+    return model;
+  }, [surveyData, runKey]);
+
+  // The default texts are in the survey's own language, which may not be SurveyJS's
+  useEffect(() => {
+    survey.locale = locale === DEFAULT_LOCALE ? surveyData?.surveyJson?.locale || "" : locale;
+  }, [survey, locale]);
+
+  // Reset run state for every new model
+  useEffect(() => {
+    setCurrentPageNo(0);
+    setIsCompleted(false);
+    setPreviewAnswers(null);
+    setScores(null);
+  }, [survey]);
+
+  useEffect(() => {
+    const reportProgress = (sender) => {
+      if (isPreview || typeof onProgress !== "function") return;
+      runRef.current.reported = true;
+      onProgress({
+        runId: runRef.current.runId,
+        startedAt: runRef.current.startedAt,
+        pageNo: sender.currentPageNo,
+        pageName: sender.currentPage?.name,
+        pageCount: sender.visiblePageCount,
+        data: sender.data,
+      });
+    };
+    const handlePageChanged = (sender) => {
+      setCurrentPageNo(sender.currentPageNo);
+      reportProgress(sender);
+    };
+    // A run counts as started once the first answer is given
+    const handleValueChanged = (sender) => {
+      if (!runRef.current.reported) reportProgress(sender);
+    };
+    const handleComplete = (sender) => {
+      const surveyScores = calculateScoresForSurvey(sender);
+      setIsCompleted(true);
+      setScores(surveyScores);
+      if (isPreview) {
+        // Preview answers are only shown, never persisted
+        setPreviewAnswers(sender.data);
+        return;
+      }
+      const { runId, startedAt } = runRef.current;
+      onComplete(sender.data, surveyScores, {
+        runId,
+        startedAt,
+        durationMs: Date.now() - new Date(startedAt).getTime(),
+      });
+    };
+
+    survey.onCurrentPageChanged.add(handlePageChanged);
+    survey.onValueChanged.add(handleValueChanged);
+    survey.onComplete.add(handleComplete);
+    return () => {
+      survey.onCurrentPageChanged.remove(handlePageChanged);
+      survey.onValueChanged.remove(handleValueChanged);
+      survey.onComplete.remove(handleComplete);
+    };
+  }, [survey, isPreview, onComplete, onProgress]);
+
+  const pages = survey.visiblePages;
+
+  const handleRestart = () => setRunKey((key) => key + 1);
+
+  const handleModeChange = (checked) => {
+    setPreviewMode(checked);
+    handleRestart();
+  };
+
+  return (
+    <div style={{ minHeight: "100vh", width: "100%", display: "flex", flexDirection: "column", background: "#f5f5f5" }}>
+      {/* Header */}
+      <div style={{
+        background: "#f5f5f5",
+        borderBottom: "1px solid #d9d9d9",
+        padding: "16px 24px",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        minHeight: "64px",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.1)"
+      }}>
+        <div style={{ display: "flex", alignItems: "center", gap: "16px" }}>
+          {!respondentMode && <Button onClick={() => onBack?.()}>← Back to Module List</Button>}
+          <h1 style={{
+            margin: 0,
+            fontSize: "20px",
+            fontWeight: "600",
+            color: "#262626"
+          }}>
+            {surveyData?.name || "View Survey"}
+          </h1>
+        </div>
+
+        <div style={{ display: "flex", alignItems: "center", gap: "16px" }}>
+          {locales.length > 0 && (
+            <Select
+              size="small"
+              value={locale}
+              onChange={setLocale}
+              style={{ minWidth: "140px" }}
+              aria-label="Language"
+              options={[
+                { value: DEFAULT_LOCALE, label: localeLabel(surveyLanguage(surveyData.surveyJson)) },
+                ...locales.map((code) => ({ value: code, label: localeLabel(code) })),
+              ]}
+            />
+          )}
+          {!respondentMode && canSubmit && (
+            <Tooltip title="Preview answers are kept in the browser and never saved">
+              <span style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "14px" }}>
+                <Switch checked={previewMode} onChange={handleModeChange} size="small" />
+                Preview mode
+              </span>
+            </Tooltip>
+          )}
+          {!respondentMode && (
+            <Button icon={<ReloadOutlined />} onClick={handleRestart}>
+              Restart
+            </Button>
+          )}
+          {!respondentMode && typeof onEdit === "function" && (
+            <Button type="primary" icon={<EditOutlined />} onClick={() => onEdit(surveyData)}>
+              Open in Designer
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Page navigation */}
+      {pages.length > 1 && !isCompleted && !respondentMode && (
+        <div style={{ padding: "16px 24px 0" }}>
+          <Steps
+            size="small"
+            current={currentPageNo}
+            onChange={(pageNo) => { survey.currentPageNo = pageNo; }}
+            items={pages.map((page) => ({ title: page.title || page.name }))}
+          />
+        </div>
+      )}
+
+      {/* Survey */}
+      <div style={{ flex: 1, padding: "16px 24px" }}>
+        <Survey key={runKey} model={survey} />
+
+        {scores && <SurveyResults scores={scores} />}
+
+        {previewAnswers && (
+          <div style={{
+            background: "white",
+            border: "1px solid #d9d9d9",
+            borderRadius: "6px",
+            padding: "16px",
+            marginTop: "16px"
+          }}>
+            <strong>Preview answers (not saved)</strong>
+            <pre style={{ margin: "8px 0 0", fontSize: "13px", whiteSpace: "pre-wrap" }}>
+              {JSON.stringify(previewAnswers, null, 2)}
+            </pre>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
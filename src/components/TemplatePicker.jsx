@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useState } from "react";
+import { Button, Card, Col, Divider, Empty, Modal, Popconfirm, Row, Spin, message } from "antd";
+import { DeleteOutlined } from "@ant-design/icons";
+import { collectQuestions } from "../survey/diff";
+import { BUILTIN_TEMPLATES } from "../survey/templates";
+import { ownsLibraryEntry } from "../services/permissions";
+
+function TemplateCard({ template, onPick, onDelete }) {
+  const questionCount = collectQuestions(template.surveyJson).size;
+  const actions = onDelete ? [
+    <Popconfirm
+      key="delete"
+      title="Delete Template"
+      description={`Delete the template "${template.name}"?`}
+      onConfirm={(e) => {
+        e?.stopPropagation();
+        onDelete(template);
+      }}
+      onCancel={(e) => e?.stopPropagation()}
+      okText="Delete"
+      okButtonProps={{ danger: true }}
+    >
+      <Button type="link" danger size="small" icon={<DeleteOutlined />} onClick={(e) => e.stopPropagation()}>
+        Delete
+      </Button>
+    </Popconfirm>,
+  ] : undefined;
+
+  return (
+    <Card hoverable size="small" title={template.name} actions={actions} onClick={() => onPick(template)}>
+      <p style={{ color: "#666", minHeight: "44px", margin: 0 }}>{template.description}</p>
+      <span style={{ color: "#999", fontSize: "12px" }}>
+        {questionCount} question{questionCount === 1 ? "" : "s"}
+      </span>
+    </Card>
+  );
+}
+
+/**
+ * Shown by "Create New Survey": pick a built-in template or one saved from
+ * an existing module as the starting point of the new survey. Saved
+ * templates can be deleted by the `user` who added them.
+ */
+export default function TemplatePicker(props) {
+  const { open, user, apiService, onPick, onCancel } = props;
+
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(true);
+    try {
+      setTemplates(await apiService.getTemplates());
+    } catch (error) {
+      message.error("Failed to load templates");
+      console.error("Error loading templates:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiService]);
+
+  useEffect(() => {
+    if (open) loadTemplates();
+  }, [open, loadTemplates]);
+
+  const handleDelete = async (template) => {
+    try {
+      await apiService.deleteTemplate(template.id);
+      message.success("Template deleted");
+      loadTemplates();
+    } catch (error) {
+      message.error(error.name === "PermissionDeniedError" ? error.message : "Failed to delete template");
+      console.error("Error deleting template:", error);
+    }
+  };
+
+  return (
+    <Modal title="Create New Survey" open={open} onCancel={onCancel} footer={null} width={800}>
+      <Row gutter={[16, 16]}>
+        {BUILTIN_TEMPLATES.map((template) => (
+          <Col span={8} key={template.id}>
+            <TemplateCard template={template} onPick={onPick} />
+          </Col>
+        ))}
+      </Row>
+
+      <Divider orientation="left">Your templates</Divider>
+      <Spin spinning={loading}>
+        {templates.length === 0 ? (
+          <Empty description='Use "Save as template" on a module to add it here' />
+        ) : (
+          <Row gutter={[16, 16]}>
+            {templates.map((template) => (
+              <Col span={8} key={template.id}>
+                <TemplateCard
+                  template={template}
+                  onPick={onPick}
+                  onDelete={ownsLibraryEntry(template, user) ? handleDelete : undefined}
+                />
+              </Col>
+            ))}
+          </Row>
+        )}
+      </Spin>
+    </Modal>
+  );
+}
@@ -0,0 +1,261 @@
+import { useEffect, useMemo, useState } from "react";
+import { Alert, Button, Card, Col, Dropdown, Input, Progress, Row, Select, Space, Switch, Table, Upload, message } from "antd";
+import { DownloadOutlined, SaveOutlined, UploadOutlined } from "@ant-design/icons";
+import "survey-core/survey.i18n";
+import {
+  applyTranslations,
+  availableLocales,
+  collectTranslatableStrings,
+  DEFAULT_LOCALE,
+  localeLabel,
+  surveyLanguage,
+  translationCoverage,
+} from "../survey/translations";
+import {
+  exportTranslationsCsv,
+  exportXliff,
+  parseTranslationsCsv,
+  parseXliff,
+} from "../services/translationFiles";
+import { downloadBlob, fileSlug } from "../services/download";
+import { isLocked } from "../services/moduleStatus";
+import { setNavigationGuard } from "../services/router";
+
+/**
+ * Translation workspace for one module: target locales, a grid of every
+ * translatable string across those locales, coverage per locale, and
+ * CSV/XLIFF export and import for translators. `readOnly` is for people
+ * who may see the module but not edit it.
+ */
+export default function TranslationManager(props) {
+  const { module, apiService, onBack, readOnly = false } = props;
+
+  const [surveyJson, setSurveyJson] = useState(module.surveyJson || {});
+  const [locales, setLocales] = useState(module.locales || []);
+  const [revision, setRevision] = useState(module.revision ?? 0);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [missingOnly, setMissingOnly] = useState(false);
+  const published = isLocked(module);
+  const locked = published || readOnly;
+
+  const entries = useMemo(() => collectTranslatableStrings(surveyJson), [surveyJson]);
+  const coverage = useMemo(() => translationCoverage(surveyJson, locales), [surveyJson, locales]);
+  const localeOptions = useMemo(
+    () => availableLocales().map((locale) => ({ value: locale, label: `${localeLabel(locale)} (${locale})` })),
+    []
+  );
+
+  // Unsaved translations are lost when leaving, so ask first
+  useEffect(() => {
+    if (!dirty) return undefined;
+    return setNavigationGuard(() => "Your translation changes have not been saved yet. Leave anyway?");
+  }, [dirty]);
+
+  const missingKeys = useMemo(
+    () => new Set(locales.flatMap((locale) => coverage.locales[locale]?.missing || [])),
+    [coverage, locales]
+  );
+  const visibleEntries = missingOnly ? entries.filter((entry) => missingKeys.has(entry.key)) : entries;
+
+  const applyUpdates = (updates) => {
+    const result = applyTranslations(surveyJson, updates);
+    setSurveyJson(result.surveyJson);
+    setDirty(true);
+    return result;
+  };
+
+  const handleLocalesChange = (next) => {
+    setLocales(next.filter((locale) => locale !== DEFAULT_LOCALE));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await apiService.updateModule(module.id, { surveyJson, locales }, { expectedRevision: revision });
+      setRevision(result.revision ?? revision);
+      setDirty(false);
+      message.success("Translations saved");
+    } catch (error) {
+      if (error.name === "ModuleConflictError") {
+        message.error("The survey was changed by someone else. Reload it before saving your translations.");
+      } else {
+        message.error(`Failed to save translations: ${error.message}`);
+      }
+      console.error("Error saving translations:", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = ({ key }) => {
+    const slug = fileSlug(module.name);
+    if (key === "csv") {
+      downloadBlob(new Blob([exportTranslationsCsv(surveyJson, locales)], { type: "text/csv;charset=utf-8" }), `${slug}-translations.csv`);
+      return;
+    }
+    const locale = key.replace(/^xliff:/, "");
+    const xliff = exportXliff(surveyJson, locale, { sourceLanguage: surveyLanguage(surveyJson), original: module.name });
+    downloadBlob(new Blob([xliff], { type: "application/xliff+xml" }), `${slug}-${locale}.xlf`);
+  };
+
+  // Read a translator's file, apply it and add any new locales it brings
+  const handleImport = async (file) => {
+    try {
+      const text = await file.text();
+      const parsed = /\.csv$/i.test(file.name) ? parseTranslationsCsv(text) : parseXliff(text);
+      const fileLocales = parsed.locales || [parsed.locale];
+      const { applied, unknownKeys } = applyUpdates(parsed.updates);
+      setLocales((current) => [...new Set([...current, ...fileLocales.filter((locale) => locale !== DEFAULT_LOCALE)])]);
+      const skipped = unknownKeys.length ? `, ${unknownKeys.length} unknown string${unknownKeys.length === 1 ? "" : "s"} skipped` : "";
+      message.success(`Imported ${applied} translation${applied === 1 ? "" : "s"}${skipped}. Review and save.`);
+    } catch (error) {
+      message.error(`Failed to import translations: ${error.message}`);
+      console.error("Error importing translations:", error);
+    }
+    return false;
+  };
+
+  const columns = [
+    {
+      title: "String",
+      key: "string",
+      width: 220,
+      fixed: "left",
+      render: (_, entry) => (
+        <Space direction="vertical" size={0}>
+          <span>{entry.context}</span>
+          <code style={{ fontSize: "11px", color: "#999" }}>{entry.key}</code>
+        </Space>
+      ),
+    },
+    {
+      title: `${localeLabel(surveyLanguage(surveyJson))} (default)`,
+      key: DEFAULT_LOCALE,
+      width: 260,
+      render: (_, entry) => entry.values[DEFAULT_LOCALE] || (
+        <span style={{ color: "#999", fontStyle: "italic" }}>{entry.fallback}</span>
+      ),
+    },
+    ...locales.map((locale) => ({
+      title: `${localeLabel(locale)} (${locale})`,
+      key: locale,
+      width: 260,
+      render: (_, entry) => (
+        <Input.TextArea
+          value={entry.values[locale] || ""}
+          status={entry.values[locale]?.trim() ? undefined : "warning"}
+          autoSize={{ minRows: 1, maxRows: 6 }}
+          disabled={locked}
+          onChange={(e) => applyUpdates([{ key: entry.key, locale, text: e.target.value }])}
+        />
+      ),
+    })),
+  ];
+
+  return (
+    <div style={{ padding: "32px", minHeight: "100vh", background: "#f5f5f5" }}>
+      <div style={{
+        background: "white",
+        borderRadius: "8px",
+        padding: "24px",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.1)"
+      }}>
+        <div style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "24px"
+        }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "16px" }}>
+            <Button onClick={() => onBack?.()}>← Back to Module List</Button>
+            <div>
+              <h2 style={{ margin: 0 }}>Translations</h2>
+              <p style={{ color: "#666", margin: 0 }}>{module.name}</p>
+            </div>
+          </div>
+          <Space>
+            <Upload accept=".csv,.xlf,.xliff,.xml" showUploadList={false} beforeUpload={handleImport} disabled={locked}>
+              <Button icon={<UploadOutlined />} disabled={locked}>Import</Button>
+            </Upload>
+            <Dropdown
+              disabled={locales.length === 0}
+              menu={{
+                onClick: handleExport,
+                items: [
+                  { key: "csv", label: "CSV (all locales)" },
+                  ...locales.map((locale) => ({ key: `xliff:${locale}`, label: `XLIFF: ${localeLabel(locale)}` })),
+                ],
+              }}
+            >
+              <Button icon={<DownloadOutlined />}>Export</Button>
+            </Dropdown>
+            <Button type="primary" icon={<SaveOutlined />} disabled={!dirty || locked} loading={saving} onClick={handleSave}>
+              Save
+            </Button>
+          </Space>
+        </div>
+
+        {locked && (
+          <Alert
+            type="info"
+            showIcon
+            message={published
+              ? "This survey is published and read-only. Edit a draft copy to change its translations."
+              : "You can view this survey's translations but not change them. Ask its owner for editor access."}
+            style={{ marginBottom: "16px" }}
+          />
+        )}
+
+        <div style={{ marginBottom: "16px" }}>
+          <strong>Target languages</strong>
+          <Select
+            mode="multiple"
+            allowClear
+            placeholder="Add languages to translate into"
+            options={localeOptions}
+            value={locales}
+            onChange={handleLocalesChange}
+            disabled={locked}
+            optionFilterProp="label"
+            style={{ width: "100%", marginTop: "8px" }}
+          />
+        </div>
+
+        {locales.length > 0 && (
+          <Row gutter={[16, 16]} style={{ marginBottom: "16px" }}>
+            {locales.map((locale) => {
+              const { translated, missing, percent } = coverage.locales[locale];
+              return (
+                <Col span={6} key={locale}>
+                  <Card size="small" title={localeLabel(locale)}>
+                    <Progress percent={percent} size="small" status={missing.length ? "active" : "success"} />
+                    <span style={{ color: missing.length ? "#d48806" : "#666", fontSize: "12px" }}>
+                      {translated} of {coverage.total} translated{missing.length ? ` · ${missing.length} missing` : ""}
+                    </span>
+                  </Card>
+                </Col>
+              );
+            })}
+          </Row>
+        )}
+
+        <Space style={{ marginBottom: "12px" }}>
+          <Switch size="small" checked={missingOnly} onChange={setMissingOnly} disabled={locales.length === 0} />
+          Show only strings with missing translations
+        </Space>
+
+        <Table
+          columns={columns}
+          dataSource={visibleEntries}
+          rowKey="key"
+          size="small"
+          bordered
+          pagination={{ pageSize: 50, showSizeChanger: false }}
+          scroll={{ x: 480 + locales.length * 260 }}
+        />
+      </div>
+    </div>
+  );
+}
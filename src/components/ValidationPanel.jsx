@@ -0,0 +1,68 @@
+import { Badge, Empty, List } from "antd";
+import { CheckCircleOutlined, CloseCircleOutlined, WarningOutlined } from "@ant-design/icons";
+
+const SEVERITY_ICONS = {
+  error: <CloseCircleOutlined style={{ color: "#ff4d4f" }} />,
+  warning: <WarningOutlined style={{ color: "#faad14" }} />,
+};
+
+/**
+ * Side panel next to the Creator listing validation errors and warnings.
+ * Clicking an issue selects the page, panel or question it is about.
+ */
+export default function ValidationPanel(props) {
+  const { issues, onSelect } = props;
+
+  const errorCount = issues.filter((item) => item.severity === "error").length;
+  const warningCount = issues.length - errorCount;
+
+  return (
+    <div style={{
+      width: "300px",
+      borderLeft: "1px solid #d9d9d9",
+      background: "white",
+      display: "flex",
+      flexDirection: "column"
+    }}>
+      <div style={{
+        padding: "12px 16px",
+        borderBottom: "1px solid #f0f0f0",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        fontWeight: 600
+      }}>
+        Validation
+        <span>
+          <Badge count={errorCount} showZero color={errorCount ? "#ff4d4f" : "#52c41a"} title="Errors" />{" "}
+          <Badge count={warningCount} color="#faad14" title="Warnings" />
+        </span>
+      </div>
+      <div style={{ flex: 1, overflow: "auto" }}>
+        {issues.length === 0 ? (
+          <Empty
+            image={<CheckCircleOutlined style={{ fontSize: "32px", color: "#52c41a" }} />}
+            imageStyle={{ height: "40px", marginTop: "24px" }}
+            description="No problems found"
+          />
+        ) : (
+          <List
+            size="small"
+            dataSource={issues}
+            renderItem={(item) => (
+              <List.Item
+                onClick={() => item.name && onSelect?.(item.name)}
+                style={{ cursor: item.name ? "pointer" : "default", padding: "8px 16px" }}
+              >
+                <List.Item.Meta
+                  avatar={SEVERITY_ICONS[item.severity]}
+                  description={<span style={{ color: "#262626" }}>{item.message}</span>}
+                />
+              </List.Item>
+            )}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
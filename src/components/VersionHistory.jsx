@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Button, Drawer, List, Popconfirm, Select, Space, Tag, message } from "antd";
+import { HistoryOutlined, RollbackOutlined } from "@ant-design/icons";
+import { diffSurveys } from "../survey/diff";
+import SurveyDiff from "./SurveyDiff";
+
+/**
+ * Drawer listing the saved versions of a module, with a diff between
+ * any two versions and one-click restore. Restore is hidden when the
+ * module is read-only (published).
+ */
+export default function VersionHistory(props) {
+  const { open, moduleId, apiService, onClose, onRestore, readOnly } = props;
+
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [compare, setCompare] = useState({ from: null, to: null });
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiService.getVersions(moduleId);
+      setVersions(data);
+      setCompare({ from: data[1]?.id ?? null, to: data[0]?.id ?? null });
+    } catch (error) {
+      message.error("Failed to load version history");
+      console.error("Error loading versions:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiService, moduleId]);
+
+  useEffect(() => {
+    if (open && moduleId) loadVersions();
+  }, [open, moduleId, loadVersions]);
+
+  const diff = useMemo(() => {
+    const from = versions.find((version) => version.id === compare.from);
+    const to = versions.find((version) => version.id === compare.to);
+    return from && to ? diffSurveys(from.surveyJson, to.surveyJson) : null;
+  }, [versions, compare]);
+
+  const handleRestore = async (version) => {
+    try {
+      const result = await apiService.restoreVersion(moduleId, version.id);
+      message.success(`Restored version ${version.number}`);
+      onRestore?.(result);
+      loadVersions();
+    } catch (error) {
+      message.error("Failed to restore version");
+      console.error("Error restoring version:", error);
+    }
+  };
+
+  const versionOptions = versions.map((version) => ({
+    value: version.id,
+    label: `v${version.number} — ${new Date(version.updatedAt).toLocaleString()}`,
+  }));
+
+  return (
+    <Drawer
+      title={<span><HistoryOutlined /> Version History</span>}
+      open={open}
+      onClose={onClose}
+      width={640}
+    >
+      <List
+        loading={loading}
+        dataSource={versions}
+        rowKey="id"
+        locale={{ emptyText: "No versions recorded yet" }}
+        renderItem={(version, index) => (
+          <List.Item
+            actions={index === 0 || readOnly ? [] : [
+              <Popconfirm
+                key="restore"
+                title="Restore Version"
+                description={`Replace the current survey with version ${version.number}?`}
+                onConfirm={() => handleRestore(version)}
+                okText="Restore"
+                cancelText="Cancel"
+              >
+                <Button type="link" icon={<RollbackOutlined />}>Restore</Button>
+              </Popconfirm>,
+            ]}
+          >
+            <List.Item.Meta
+              title={
+                <Space>
+                  <span>Version {version.number}</span>
+                  {index === 0 && <Tag color="green">Current</Tag>}
+                  {version.restoredFrom && <Tag color="blue">Restored from v{version.restoredFrom}</Tag>}
+                </Space>
+              }
+              description={
+                version.saveCount > 1
+                  ? `${new Date(version.createdAt).toLocaleString()} – ${new Date(version.updatedAt).toLocaleTimeString()} · ${version.saveCount} saves`
+                  : new Date(version.createdAt).toLocaleString()
+              }
+            />
+          </List.Item>
+        )}
+      />
+
+      {versions.length > 1 && (
+        <div style={{ marginTop: "24px" }}>
+          <h3>Compare versions</h3>
+          <Space style={{ marginBottom: "16px" }} wrap>
+            <Select
+              style={{ width: 250 }}
+              value={compare.from}
+              options={versionOptions}
+              onChange={(from) => setCompare((current) => ({ ...current, from }))}
+            />
+            →
+            <Select
+              style={{ width: 250 }}
+              value={compare.to}
+              options={versionOptions}
+              onChange={(to) => setCompare((current) => ({ ...current, to }))}
+            />
+          </Space>
+          {diff && <SurveyDiff diff={diff} />}
+        </div>
+      )}
+    </Drawer>
+  );
+}
@@ -1,47 +1,305 @@
-const API_BASE_URL = 'http://localhost:4000';
+import { storage, StorageNotFoundError } from './storage';
+import {
+  buildSearchText, CURRENT_SCHEMA_VERSION, needsMigration, needsResponseMigration, normalizeModule, normalizeResponse,
+} from './migrations';
+import { canTransition, isLocked, MODULE_STATUS, MODULE_STATUSES } from './moduleStatus';
+import { createBundle } from './bundle';
+import { checkAvailability, CLOSED_REASONS, closedMessageFor, createShareToken, sharingOf } from './sharing';
+import { AUDIT_ACTIONS, describeModuleChanges, getAuditActor, mergeChanges } from './audit';
+import { isPurgeDue } from './trash';
+import { applyTagChanges, normalizeTags } from './tags';
+import { auth } from './auth';
+import { can, inheritedMembers, normalizeMembers, ownsLibraryEntry } from './permissions';
+import { hasBlockingIssues, validateSurvey } from '../survey/validation';
 
+// Autosaves closer together than this are coalesced into one history version
+const VERSION_SESSION_GAP_MS = 5 * 60 * 1000;
 
-// Helper function to handle API responses with detailed error info
-const handleResponse = async (response, context = '') => {
-  if (!response.ok) {
-    let errorMessage = `HTTP ${response.status}`;
-    try {
-      const errorText = await response.text();
-      errorMessage += `: ${errorText}`;
-    } catch (e) {
-      errorMessage += ': Unknown error';
+// Append an event to a module's audit log. Edits by the same person within
+// the version session gap extend the previous entry instead of adding one
+// per autosave. Best effort: a failed write never fails the change itself.
+const recordAudit = async (moduleId, action, { changes = [], details } = {}) => {
+  try {
+    const actor = getAuditActor();
+    const now = new Date();
+    if (action === AUDIT_ACTIONS.UPDATE) {
+      if (changes.length === 0) return null;
+      const { items: [latest] } = await storage.list('audit', {
+        filters: { moduleId },
+        sort: 'at',
+        order: 'desc',
+        page: 1,
+        pageSize: 1,
+      });
+      if (latest && latest.action === action && latest.actor?.id === actor.id && !details &&
+        now - new Date(latest.at) < VERSION_SESSION_GAP_MS) {
+        return await storage.patch('audit', latest.id, {
+          changes: mergeChanges(latest.changes, changes),
+          saveCount: (latest.saveCount || 1) + 1,
+          at: now.toISOString(),
+        });
+      }
+    }
+    const entry = { moduleId, action, actor, at: now.toISOString(), changes };
+    if (details) entry.details = details;
+    return await storage.create('audit', entry);
+  } catch (error) {
+    console.warn('Failed to record audit event:', error);
+    return null;
+  }
+};
+
+// Delete a module with its responses, versions and audit log
+const removeModuleData = async (id) => {
+  for (const collection of ['responses', 'versions', 'audit']) {
+    const { items } = await storage.list(collection, { filters: { moduleId: id } });
+    for (const item of items) {
+      await storage.remove(collection, item.id);
     }
-    console.error(`API Error in ${context}:`, errorMessage);
-    throw new Error(errorMessage);
   }
-  return response.json();
+  await storage.remove('modules', id);
 };
 
-// Helper function to check if json-server is running
-const checkServerHealth = async () => {
+// Upgrade a legacy module record and write it back. Persisting is best
+// effort: callers always get the normalized record.
+const migrateOnLoad = async (record) => {
+  if (!needsMigration(record)) return record;
+  const migrated = normalizeModule(record);
   try {
-    const response = await fetch(`${API_BASE_URL}/modules?_limit=1`);
-    return response.ok;
+    await storage.replace('modules', record.id, migrated);
+    console.log('Migrated module to schema version', CURRENT_SCHEMA_VERSION, ':', record.id);
   } catch (error) {
-    console.error('Server health check failed:', error);
-    return false;
+    console.warn(`Failed to persist migrated module ${record.id}:`, error);
+  }
+  return migrated;
+};
+
+// Responses are created as partial when a respondent starts answering and
+// completed on submit; partial ones feed the drop-off analytics only
+export const RESPONSE_STATUS = {
+  PARTIAL: 'partial',
+  COMPLETE: 'complete',
+};
+
+// Where a module was copied from, kept when createModule is given them
+const MODULE_ORIGIN_FIELDS = ['forkedFrom', 'clonedFrom', 'importedFrom'];
+
+// Fields updateModule leaves alone: ownership belongs to updateMembers and
+// the trash state to deleteModule and restoreModule
+const MANAGED_FIELDS = ['ownerId', 'ownerEmail', 'members', 'deleted', 'deletedAt', 'deletedBy'];
+
+// Columns the module list can be sorted by
+const MODULE_SORT_FIELDS = ['name', 'status', 'createdAt', 'updatedAt'];
+
+// Legacy records lack the fields server-side queries rely on (searchText),
+// so they are migrated once per session before the first query.
+let modulesMigrated = null;
+const ensureModulesMigrated = () => {
+  if (!modulesMigrated) {
+    modulesMigrated = storage.list('modules')
+      .then(({ items }) => Promise.all(items.map(migrateOnLoad)))
+      .catch((error) => {
+        modulesMigrated = null;
+        throw error;
+      });
+  }
+  return modulesMigrated;
+};
+
+// Responses stored before partial responses existed lack `status`, which the
+// status filters below would skip; mark them complete once per module and session.
+const responsesMigrated = new Map();
+const ensureResponsesMigrated = (moduleId) => {
+  if (!responsesMigrated.has(moduleId)) {
+    responsesMigrated.set(moduleId, storage.list('responses', { filters: { moduleId } })
+      .then(({ items }) => Promise.all(items.filter(needsResponseMigration).map((response) =>
+        storage.patch('responses', response.id, { status: normalizeResponse(response).status }))))
+      .catch((error) => {
+        responsesMigrated.delete(moduleId);
+        throw error;
+      }));
   }
+  return responsesMigrated.get(moduleId);
 };
 
+// Thrown by updateModule when the module changed on the server since the
+// caller loaded it. `theirs` is the server copy, `mine` the rejected update.
+export class ModuleConflictError extends Error {
+  constructor(theirs, mine) {
+    super(`Module ${theirs.id} was changed by someone else (revision ${theirs.revision ?? 0})`);
+    this.name = 'ModuleConflictError';
+    this.theirs = theirs;
+    this.mine = mine;
+  }
+}
+
+// Thrown when a change would alter a published module's survey. Unpublish
+// it or fork a draft copy instead.
+export class ModuleLockedError extends Error {
+  constructor(module) {
+    super(`Module ${module.id} is published and cannot be edited`);
+    this.name = 'ModuleLockedError';
+    this.module = module;
+  }
+}
+
+// Thrown when a status change is not allowed by the module lifecycle
+export class InvalidStatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change module status from ${from} to ${to}`);
+    this.name = 'InvalidStatusTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Thrown when publishing a module whose survey still has validation errors
+export class SurveyValidationError extends Error {
+  constructor(issues) {
+    const errors = issues.filter((item) => item.severity === 'error');
+    super(`Survey has ${errors.length} error${errors.length === 1 ? '' : 's'}: ${errors[0]?.message}`);
+    this.name = 'SurveyValidationError';
+    this.issues = issues;
+  }
+}
+
+// Thrown when a module does not accept responses: its public link is off,
+// it is outside its open/close dates, full, or this browser already answered.
+// `message` is the text to show the respondent.
+export class SurveyClosedError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'SurveyClosedError';
+    this.reason = reason;
+  }
+}
+
+// Thrown when a change targets a module in the trash. Restore it first.
+export class ModuleTrashedError extends Error {
+  constructor(module) {
+    super(`"${module.name}" is in the trash. Restore it before changing it`);
+    this.name = 'ModuleTrashedError';
+    this.module = module;
+  }
+}
+
+// Refuse any change to a trashed module
+const ensureNotTrashed = (module) => {
+  if (module.deleted) {
+    throw new ModuleTrashedError(module);
+  }
+};
+
+// Thrown when the signed-in user's role on a module does not allow a change,
+// or when nobody is signed in
+export class PermissionDeniedError extends Error {
+  constructor(permission, module) {
+    super(module
+      ? `You do not have permission to ${PERMISSION_VERBS[permission]} "${module.name}"`
+      : 'Sign in to make changes');
+    this.name = 'PermissionDeniedError';
+    this.permission = permission;
+    this.moduleId = module?.id ?? null;
+  }
+}
+
+const PERMISSION_VERBS = {
+  respond: 'respond to',
+  view: 'view',
+  edit: 'edit',
+  delete: 'delete',
+  manageMembers: 'manage the members of',
+};
+
+// The signed-in user, or a PermissionDeniedError
+const requireUser = () => {
+  const user = auth.currentUser();
+  if (!user) {
+    throw new PermissionDeniedError();
+  }
+  return user;
+};
+
+// Refuse a change the signed-in user's role on the module does not allow
+const ensureCan = (module, permission) => {
+  const user = requireUser();
+  if (!can(module, user, permission)) {
+    throw new PermissionDeniedError(permission, module);
+  }
+  return user;
+};
+
+// Refuse removing a shared template or theme the user did not add
+const ensureOwnsEntry = (entry) => {
+  const user = requireUser();
+  if (!ownsLibraryEntry(entry, user)) {
+    throw new PermissionDeniedError('delete', entry);
+  }
+};
+
+// Refuse publishing a survey that still has validation errors
+const ensurePublishable = (surveyJson) => {
+  const issues = validateSurvey(surveyJson);
+  if (hasBlockingIssues(issues)) {
+    throw new SurveyValidationError(issues);
+  }
+};
+
+// Refuse a response the module's sharing settings do not allow. Public
+// submissions pass the respondent id used for one-response-per-browser.
+const ensureAcceptingResponses = async (moduleId, { respondentId, channel } = {}) => {
+  const module = await migrateOnLoad(await storage.get('modules', moduleId));
+  const sharing = sharingOf(module);
+  const isPublic = channel === 'public';
+  if (!isPublic) {
+    ensureCan(module, 'respond');
+  }
+
+  if (sharing.maxResponses || (isPublic && sharing.onePerBrowser && respondentId)) {
+    await ensureResponsesMigrated(moduleId);
+  }
+  const { total: responseCount } = sharing.maxResponses
+    ? await storage.list('responses', { filters: { moduleId, status: RESPONSE_STATUS.COMPLETE }, pageSize: 1 })
+    : { total: 0 };
+  // Only public runs count: in-app test runs carry the same respondent id
+  const { total: previous } = isPublic && sharing.onePerBrowser && respondentId
+    ? await storage.list('responses', {
+      filters: { moduleId, respondentId, channel: 'public', status: RESPONSE_STATUS.COMPLETE },
+      pageSize: 1,
+    })
+    : { total: 0 };
+
+  const { open, reason } = checkAvailability(module, { isPublic, responseCount, alreadyResponded: previous > 0 });
+  if (!open) {
+    throw new SurveyClosedError(reason, closedMessageFor(module, reason));
+  }
+  return module;
+};
+
+const isModuleStateError = (error) =>
+  error instanceof ModuleConflictError ||
+  error instanceof ModuleLockedError ||
+  error instanceof InvalidStatusTransitionError ||
+  error instanceof SurveyValidationError ||
+  error instanceof PermissionDeniedError ||
+  error instanceof ModuleTrashedError;
+
 export const apiService = {
   // Get all modules
   async getModules() {
     try {
-      console.log('Fetching modules from:', `${API_BASE_URL}/modules`);
+      console.log('Fetching modules from:', storage.description);
       
       // Check server health first
-      const isServerHealthy = await checkServerHealth();
+      const isServerHealthy = await storage.health();
       if (!isServerHealthy) {
-        throw new Error('json-server is not running. Please start it with: json-server --watch db.json --port 3001');
+        throw new Error(`${storage.name} backend at ${storage.description} is not reachable. For json-server, start it with: npm run server`);
       }
 
-      const response = await fetch(`${API_BASE_URL}/modules`);
-      const result = await handleResponse(response, 'getModules');
+      await ensureModulesMigrated();
+
+      const { items } = await storage.list('modules', { filters: { deleted: false } });
+      const result = await Promise.all(items.map(migrateOnLoad));
       console.log('Modules fetched successfully:', result.length, 'modules');
       return result;
     } catch (error) {
@@ -50,16 +308,63 @@ export const apiService = {
     }
   },
 
+  // Get one page of modules matching the list toolbar's search and filters
+  async queryModules({
+    search,
+    statuses,
+    createdFrom,
+    createdTo,
+    updatedFrom,
+    updatedTo,
+    sortField = 'updatedAt',
+    sortOrder = 'desc',
+    page = 1,
+    pageSize = 10,
+  } = {}) {
+    try {
+      console.log('Querying modules:', { search, statuses, sortField, sortOrder, page, pageSize });
+
+      const isServerHealthy = await storage.health();
+      if (!isServerHealthy) {
+        throw new Error(`${storage.name} backend at ${storage.description} is not reachable. For json-server, start it with: npm run server`);
+      }
+      await ensureModulesMigrated();
+
+      const { items, total } = await storage.list('modules', {
+        filters: {
+          deleted: false,
+          searchText_like: search?.trim().toLowerCase(),
+          status: statuses?.length ? statuses : undefined,
+          createdAt_gte: createdFrom,
+          createdAt_lte: createdTo,
+          updatedAt_gte: updatedFrom,
+          updatedAt_lte: updatedTo,
+        },
+        sort: MODULE_SORT_FIELDS.includes(sortField) ? sortField : 'updatedAt',
+        order: sortOrder === 'asc' ? 'asc' : 'desc',
+        page,
+        pageSize,
+      });
+      console.log('Modules queried successfully:', items.length, 'of', total);
+      return { items, total };
+    } catch (error) {
+      console.error('Error querying modules:', error);
+      throw new Error(`Failed to fetch modules: ${error.message}`);
+    }
+  },
+
   // Create a new module
   async createModule(moduleData) {
     try {
       console.log('Creating module with data:', moduleData);
-      
+
+      const user = requireUser();
       const payload = {
         name: moduleData.name || 'Untitled Survey',
         description: moduleData.description || 'No description provided',
-        status: moduleData.status || 'Active',
-        surveyJson: moduleData.surveyJson || moduleData.form_data || {
+        status: MODULE_STATUSES.includes(moduleData.status) ? moduleData.status : MODULE_STATUS.DRAFT,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        surveyJson: moduleData.surveyJson || {
           pages: [
             {
               name: "page1",
@@ -73,31 +378,56 @@ export const apiService = {
             }
           ]
         },
+        deleted: false,
+        ownerId: user.id,
+        ownerEmail: user.email,
+        members: normalizeMembers(moduleData.members, { ownerEmail: user.email }),
+        revision: 1,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
+      if (payload.status === MODULE_STATUS.PUBLISHED) {
+        ensurePublishable(payload.surveyJson);
+        payload.publishedAt = payload.createdAt;
+      }
+      MODULE_ORIGIN_FIELDS.forEach((field) => {
+        if (moduleData[field]) payload[field] = moduleData[field];
+      });
+      if (Array.isArray(moduleData.locales) && moduleData.locales.length > 0) {
+        payload.locales = moduleData.locales;
+      }
+      if (moduleData.theme) {
+        payload.theme = moduleData.theme;
+      }
+      if (normalizeTags(moduleData.tags).length > 0) {
+        payload.tags = normalizeTags(moduleData.tags);
+      }
+      payload.searchText = buildSearchText(payload);
 
       console.log('Sending payload:', payload);
 
-      const response = await fetch(`${API_BASE_URL}/modules`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-      });
-      
-      const result = await handleResponse(response, 'createModule');
+      const result = await storage.create('modules', payload);
       console.log('Module created successfully:', result);
+
+      await this.recordVersion(result.id, result.surveyJson, { forceNew: true });
+      const origin = Object.fromEntries(MODULE_ORIGIN_FIELDS.filter((field) => payload[field]).map((field) => [field, payload[field]]));
+      await recordAudit(result.id, payload.importedFrom ? AUDIT_ACTIONS.IMPORT : AUDIT_ACTIONS.CREATE, {
+        details: { name: result.name, status: result.status, ...origin },
+      });
       return result;
     } catch (error) {
       console.error('Error creating module:', error);
+      if (isModuleStateError(error)) {
+        throw error;
+      }
       throw new Error(`Failed to create module: ${error.message}`);
     }
   },
 
-  // Update an existing module - FIXED VERSION
-  async updateModule(id, moduleData) {
+  // Update an existing module. Pass expectedRevision to reject the update
+  // with a ModuleConflictError when someone else saved in the meantime.
+  // Published modules only accept status changes (ModuleLockedError).
+  async updateModule(id, moduleData, { expectedRevision } = {}) {
     try {
       console.log('Updating module:', id, 'with data:', moduleData);
       
@@ -115,111 +445,992 @@ export const apiService = {
         });
       }
 
+      ensureNotTrashed(existingModule);
+
+      ensureCan(existingModule, 'edit');
+      const currentRevision = existingModule.revision ?? 0;
+      if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+        throw new ModuleConflictError(existingModule, moduleData);
+      }
+
+      const { status, ...contentChanges } = moduleData;
+      MANAGED_FIELDS.forEach((field) => delete contentChanges[field]);
+      if (status !== undefined && status !== existingModule.status &&
+        !canTransition(existingModule.status, status)) {
+        throw new InvalidStatusTransitionError(existingModule.status, status);
+      }
+      if (isLocked(existingModule) && Object.keys(contentChanges).length > 0) {
+        throw new ModuleLockedError(existingModule);
+      }
+
       // Prepare the update payload
+      const applied = status !== undefined ? { ...contentChanges, status } : contentChanges;
+      if (status === MODULE_STATUS.PUBLISHED && existingModule.status !== MODULE_STATUS.PUBLISHED) {
+        ensurePublishable(contentChanges.surveyJson || existingModule.surveyJson);
+        applied.publishedAt = new Date().toISOString();
+      }
       const updatePayload = {
         ...existingModule,
-        ...moduleData,
+        ...applied,
+        revision: currentRevision + 1,
         updatedAt: new Date().toISOString(),
       };
-
-      // Handle different data formats (surveyJson vs form_data)
-      if (moduleData.form_data && !moduleData.surveyJson) {
-        updatePayload.surveyJson = moduleData.form_data;
-      }
-      if (moduleData.surveyJson && !moduleData.form_data) {
-        updatePayload.form_data = moduleData.surveyJson;
-      }
+      updatePayload.searchText = buildSearchText(updatePayload);
 
       console.log('Sending update payload:', updatePayload);
 
-      const response = await fetch(`${API_BASE_URL}/modules/${id}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(updatePayload),
-      });
-      
-      const result = await handleResponse(response, 'updateModule');
+      const result = await storage.replace('modules', id, updatePayload);
       console.log('Module updated successfully:', result);
+
+      if (moduleData.surveyJson) {
+        await this.recordVersion(id, result.surveyJson, {
+          previousSurveyJson: existingModule.surveyJson,
+        });
+      }
+      const changes = describeModuleChanges(existingModule, applied);
+      const statusChanged = changes.some((change) => change.field === 'status');
+      await recordAudit(id, statusChanged ? AUDIT_ACTIONS.STATUS_CHANGE : AUDIT_ACTIONS.UPDATE, { changes });
       return result;
     } catch (error) {
       console.error('Error updating module:', error);
+      if (isModuleStateError(error)) {
+        throw error;
+      }
       throw new Error(`Failed to update module: ${error.message}`);
     }
   },
 
-  // Delete a module
-  async deleteModule(id) {
+  // Move a module along its lifecycle (publish, unpublish, archive, reactivate).
+  // Publishing is refused while the survey has validation errors.
+  async changeModuleStatus(id, status) {
     try {
-      console.log('Deleting module:', id);
-      
-      const response = await fetch(`${API_BASE_URL}/modules/${id}`, {
-        method: 'DELETE',
+      console.log('Changing module status:', id, 'to', status);
+
+      const existingModule = await this.getModule(id);
+      ensureNotTrashed(existingModule);
+      ensureCan(existingModule, 'edit');
+      if (!canTransition(existingModule.status, status)) {
+        throw new InvalidStatusTransitionError(existingModule.status, status);
+      }
+      if (status === MODULE_STATUS.PUBLISHED) {
+        ensurePublishable(existingModule.surveyJson);
+      }
+
+      const now = new Date().toISOString();
+      const changes = {
+        status,
+        revision: (existingModule.revision ?? 0) + 1,
+        updatedAt: now,
+      };
+      if (status === MODULE_STATUS.PUBLISHED) {
+        changes.publishedAt = now;
+      }
+
+      const result = await storage.patch('modules', id, changes);
+      console.log('Module status changed successfully:', result.status);
+      await recordAudit(id, AUDIT_ACTIONS.STATUS_CHANGE, {
+        changes: [{ field: 'status', from: existingModule.status, to: status }],
       });
-      
-      if (response.status === 404) {
-        throw new Error('Module not found');
+      return result;
+    } catch (error) {
+      console.error('Error changing module status:', error);
+      if (isModuleStateError(error)) {
+        throw error;
       }
-      
-      const result = await handleResponse(response, 'deleteModule');
-      console.log('Module deleted successfully');
+      throw new Error(`Failed to change module status: ${error.message}`);
+    }
+  },
+
+  // Copy a module into a new draft, e.g. to edit a published survey.
+  // Pass surveyJson to fork with local edits instead of the stored survey.
+  async forkModule(id, { surveyJson } = {}) {
+    try {
+      console.log('Forking module:', id);
+
+      const source = await this.getModule(id);
+      ensureCan(source, 'view');
+      return await this.createModule({
+        name: `${source.name} (draft)`,
+        description: source.description,
+        status: MODULE_STATUS.DRAFT,
+        surveyJson: surveyJson || source.surveyJson,
+        locales: source.locales,
+        theme: source.theme,
+        tags: source.tags,
+        members: inheritedMembers(source, auth.currentUser()),
+        forkedFrom: source.id,
+      });
+    } catch (error) {
+      console.error('Error forking module:', error);
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to fork module: ${error.message}`);
+    }
+  },
+
+  // Copy a module under a new name as a fresh draft with its own history
+  async cloneModule(id, { name } = {}) {
+    try {
+      console.log('Cloning module:', id);
+
+      const source = await this.getModule(id);
+      ensureCan(source, 'view');
+      return await this.createModule({
+        name: name || `Copy of ${source.name}`,
+        description: source.description,
+        status: MODULE_STATUS.DRAFT,
+        surveyJson: source.surveyJson,
+        locales: source.locales,
+        theme: source.theme,
+        tags: source.tags,
+        clonedFrom: source.id,
+      });
+    } catch (error) {
+      console.error('Error cloning module:', error);
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to clone module: ${error.message}`);
+    }
+  },
+
+  // Keep one module of a duplicate group and archive the others. Archived
+  // duplicates point at the kept module and can be reactivated later.
+  async archiveDuplicates(keepId, duplicateIds) {
+    try {
+      console.log('Archiving duplicates of module:', keepId, duplicateIds);
+
+      const results = [];
+      for (const id of duplicateIds.filter((duplicateId) => duplicateId !== keepId)) {
+        const existingModule = await this.getModule(id);
+        ensureNotTrashed(existingModule);
+        ensureCan(existingModule, 'edit');
+        const changes = {
+          duplicateOf: keepId,
+          revision: (existingModule.revision ?? 0) + 1,
+          updatedAt: new Date().toISOString(),
+        };
+        if (existingModule.status !== MODULE_STATUS.INACTIVE) {
+          changes.status = MODULE_STATUS.INACTIVE;
+        }
+        results.push(await storage.patch('modules', id, changes));
+        await recordAudit(id, changes.status ? AUDIT_ACTIONS.STATUS_CHANGE : AUDIT_ACTIONS.UPDATE, {
+          changes: describeModuleChanges(existingModule, changes),
+          details: { duplicateOf: keepId },
+        });
+      }
+      console.log('Duplicates archived successfully:', results.length);
+      return results;
+    } catch (error) {
+      console.error('Error archiving duplicates:', error);
+      if (isModuleStateError(error)) {
+        throw error;
+      }
+      throw new Error(`Failed to archive duplicates: ${error.message}`);
+    }
+  },
+
+  // Move a module to the trash. It disappears from the module list and
+  // stops taking responses, but can be restored until it is purged.
+  async deleteModule(id) {
+    try {
+      console.log('Moving module to trash:', id);
+
+      ensureCan(await storage.get('modules', id), 'delete');
+      const result = await storage.patch('modules', id, {
+        deleted: true,
+        deletedAt: new Date().toISOString(),
+        deletedBy: getAuditActor(),
+      });
+      await recordAudit(id, AUDIT_ACTIONS.DELETE);
+      console.log('Module moved to trash successfully');
       return result;
     } catch (error) {
       console.error('Error deleting module:', error);
+      if (error instanceof StorageNotFoundError) {
+        throw new Error('Failed to delete module: Module not found');
+      }
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
       throw new Error(`Failed to delete module: ${error.message}`);
     }
   },
 
+  // Bring a module back from the trash
+  async restoreModule(id) {
+    try {
+      console.log('Restoring module from trash:', id);
+
+      ensureCan(await storage.get('modules', id), 'delete');
+      const result = await storage.patch('modules', id, {
+        deleted: false,
+        deletedAt: null,
+        deletedBy: null,
+      });
+      await recordAudit(id, AUDIT_ACTIONS.RESTORE);
+      console.log('Module restored successfully');
+      return result;
+    } catch (error) {
+      console.error('Error restoring module:', error);
+      if (error instanceof StorageNotFoundError) {
+        throw new Error('Failed to restore module: Module not found');
+      }
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to restore module: ${error.message}`);
+    }
+  },
+
+  // Get the modules in the trash, newest deletion first. Modules past the
+  // retention period are purged first.
+  async getTrash() {
+    try {
+      console.log('Fetching trash');
+
+      await this.purgeExpiredTrash();
+      const { items } = await storage.list('modules', {
+        filters: { deleted: true },
+        sort: 'deletedAt',
+        order: 'desc',
+      });
+      console.log('Trash fetched successfully:', items.length, 'modules');
+      return items;
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      throw new Error(`Failed to fetch trash: ${error.message}`);
+    }
+  },
+
+  // Delete a trashed module for good, with its responses, versions and audit log
+  async purgeModule(id) {
+    try {
+      console.log('Purging module:', id);
+
+      ensureCan(await storage.get('modules', id), 'delete');
+      await removeModuleData(id);
+      console.log('Module purged successfully');
+    } catch (error) {
+      console.error('Error purging module:', error);
+      if (error instanceof StorageNotFoundError) {
+        throw new Error('Failed to purge module: Module not found');
+      }
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to purge module: ${error.message}`);
+    }
+  },
+
+  // Purge every trashed module past the retention period; returns their ids
+  async purgeExpiredTrash(now = new Date()) {
+    const { items } = await storage.list('modules', { filters: { deleted: true } });
+    const expired = items.filter((module) => isPurgeDue(module, now));
+    for (const module of expired) {
+      await removeModuleData(module.id);
+    }
+    if (expired.length > 0) {
+      console.log('Purged expired modules from trash:', expired.length);
+    }
+    return expired.map((module) => module.id);
+  },
+
+  // Get a module's audit log, newest event first
+  async getAuditLog(moduleId) {
+    try {
+      console.log('Fetching audit log for module:', moduleId);
+
+      const { items } = await storage.list('audit', {
+        filters: { moduleId },
+        sort: 'at',
+        order: 'desc',
+      });
+      return items;
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      throw new Error(`Failed to fetch audit log: ${error.message}`);
+    }
+  },
+
   // Get a single module by ID
   async getModule(id) {
     try {
       console.log('Fetching module:', id);
       
-      const response = await fetch(`${API_BASE_URL}/modules/${id}`);
-      
-      if (response.status === 404) {
-        throw new Error(`Module with ID ${id} not found`);
-      }
-      
-      const result = await handleResponse(response, 'getModule');
+      const result = await migrateOnLoad(await storage.get('modules', id));
       console.log('Module fetched successfully:', result);
       return result;
     } catch (error) {
       console.error('Error fetching module:', error);
+      if (error instanceof StorageNotFoundError) {
+        throw new Error(`Module with ID ${id} not found`);
+      }
+      throw error;
+    }
+  },
+
+  // Save a module's public link settings. Sharing is not survey content, so
+  // published modules can change it and the revision is left alone.
+  async updateSharing(id, settings) {
+    try {
+      console.log('Updating sharing settings for module:', id);
+
+      const existingModule = await this.getModule(id);
+      ensureNotTrashed(existingModule);
+      ensureCan(existingModule, 'edit');
+      const changes = {
+        shareToken: existingModule.shareToken || createShareToken(),
+        sharing: { ...sharingOf(existingModule), ...settings },
+      };
+      const result = await storage.patch('modules', id, changes);
+      await recordAudit(id, AUDIT_ACTIONS.UPDATE, { changes: describeModuleChanges(existingModule, changes) });
+      return result;
+    } catch (error) {
+      console.error('Error updating sharing settings:', error);
+      if (isModuleStateError(error)) {
+        throw error;
+      }
+      throw new Error(`Failed to update sharing settings: ${error.message}`);
+    }
+  },
+
+  // Save the theme from the designer's Themes tab. Styling is kept out of the
+  // survey's versions and revision, but published modules cannot change it.
+  async updateTheme(id, theme) {
+    try {
+      console.log('Updating theme for module:', id);
+
+      const existingModule = await this.getModule(id);
+      ensureNotTrashed(existingModule);
+      ensureCan(existingModule, 'edit');
+      if (isLocked(existingModule)) {
+        throw new ModuleLockedError(existingModule);
+      }
+      const result = await storage.patch('modules', id, { theme: theme || null });
+      await recordAudit(id, AUDIT_ACTIONS.UPDATE, { changes: describeModuleChanges(existingModule, { theme: result.theme }) });
+      return result;
+    } catch (error) {
+      console.error('Error updating theme:', error);
+      if (isModuleStateError(error)) {
+        throw error;
+      }
+      throw new Error(`Failed to update theme: ${error.message}`);
+    }
+  },
+
+  // Add and remove tags on a module. Tags only label modules in the list,
+  // so published modules can change them and the revision is left alone.
+  async updateTags(id, { add = [], remove = [] } = {}) {
+    try {
+      console.log('Updating tags for module:', id, { add, remove });
+
+      const existingModule = await this.getModule(id);
+      ensureNotTrashed(existingModule);
+      ensureCan(existingModule, 'edit');
+      const tags = applyTagChanges(existingModule.tags, { add, remove });
+      const result = await storage.patch('modules', id, {
+        tags,
+        searchText: buildSearchText({ ...existingModule, tags }),
+      });
+      await recordAudit(id, AUDIT_ACTIONS.UPDATE, { changes: describeModuleChanges(existingModule, { tags }) });
+      return result;
+    } catch (error) {
+      console.error('Error updating tags:', error);
+      if (isModuleStateError(error)) {
+        throw error;
+      }
+      throw new Error(`Failed to update tags: ${error.message}`);
+    }
+  },
+
+  // Replace who may work on a module: `members` is a list of { email, role }.
+  // Only owners may do this; a module created before accounts existed
+  // becomes owned by the administrator who first sets its members.
+  async updateMembers(id, members) {
+    try {
+      console.log('Updating members of module:', id);
+
+      const existingModule = await this.getModule(id);
+      ensureNotTrashed(existingModule);
+      const user = ensureCan(existingModule, 'manageMembers');
+      const owner = existingModule.ownerId
+        ? { ownerId: existingModule.ownerId, ownerEmail: existingModule.ownerEmail }
+        : { ownerId: user.id, ownerEmail: user.email };
+      const changes = { ...owner, members: normalizeMembers(members, { ownerEmail: owner.ownerEmail }) };
+      const result = await storage.patch('modules', id, changes);
+      await recordAudit(id, AUDIT_ACTIONS.UPDATE, { changes: describeModuleChanges(existingModule, changes) });
+      return result;
+    } catch (error) {
+      console.error('Error updating members:', error);
+      if (isModuleStateError(error)) {
+        throw error;
+      }
+      throw new Error(`Failed to update members: ${error.message}`);
+    }
+  },
+
+  // Replace a module's share token, so links sent out earlier stop working
+  async regenerateShareToken(id) {
+    try {
+      console.log('Regenerating share token for module:', id);
+
+      const existingModule = await this.getModule(id);
+      ensureNotTrashed(existingModule);
+      ensureCan(existingModule, 'edit');
+      const result = await storage.patch('modules', id, { shareToken: createShareToken() });
+      await recordAudit(id, AUDIT_ACTIONS.UPDATE, { changes: [{ field: 'shareToken' }] });
+      return result;
+    } catch (error) {
+      console.error('Error regenerating share token:', error);
+      if (isModuleStateError(error)) {
+        throw error;
+      }
+      throw new Error(`Failed to regenerate share token: ${error.message}`);
+    }
+  },
+
+  // Load the module behind a public link, with whether this respondent may
+  // answer it now: { module, open, reason, closedMessage }
+  async getPublicSurvey(token, { respondentId } = {}) {
+    try {
+      console.log('Fetching public survey:', token);
+
+      // Trashed modules are skipped here rather than filtered, so links to
+      // modules not yet migrated to carry `deleted` keep working
+      const { items } = await storage.list('modules', { filters: { shareToken: token }, pageSize: 1 });
+      if (items.length === 0 || items[0].deleted) {
+        throw new SurveyClosedError(CLOSED_REASONS.NOT_SHARED, 'This survey link is not valid.');
+      }
+      const module = await migrateOnLoad(items[0]);
+      try {
+        await ensureAcceptingResponses(module.id, { respondentId, channel: 'public' });
+        return { module, open: true, reason: null, closedMessage: null };
+      } catch (error) {
+        if (!(error instanceof SurveyClosedError)) throw error;
+        return { module, open: false, reason: error.reason, closedMessage: error.message };
+      }
+    } catch (error) {
+      console.error('Error fetching public survey:', error);
+      if (error instanceof SurveyClosedError) {
+        throw error;
+      }
+      throw new Error(`Failed to load survey: ${error.message}`);
+    }
+  },
+
+  // Submit a response for a module
+  async submitResponse(moduleId, answers, extra = {}) {
+    try {
+      console.log('Submitting response for module:', moduleId);
+
+      await ensureAcceptingResponses(moduleId, extra);
+
+      const payload = {
+        ...extra,
+        moduleId,
+        status: RESPONSE_STATUS.COMPLETE,
+        data: answers || {},
+        submittedAt: new Date().toISOString(),
+      };
+
+      const result = await storage.create('responses', payload);
+      console.log('Response submitted successfully:', result.id);
+      return result;
+    } catch (error) {
+      console.error('Error submitting response:', error);
+      if (error instanceof SurveyClosedError) {
+        throw error;
+      }
+      throw new Error(`Failed to submit response: ${error.message}`);
+    }
+  },
+
+  // Record that a respondent started answering; returns the partial response.
+  // Public runs pass `channel: 'public'` and their `respondentId`.
+  async startResponse(moduleId, { startedAt, pageNo = 0, pageName, pageCount, respondentId, channel } = {}) {
+    try {
+      console.log('Starting response for module:', moduleId);
+
+      await ensureAcceptingResponses(moduleId, { respondentId, channel });
+
+      return await storage.create('responses', {
+        moduleId,
+        ...(channel ? { channel } : {}),
+        ...(respondentId ? { respondentId } : {}),
+        status: RESPONSE_STATUS.PARTIAL,
+        data: {},
+        startedAt: startedAt || new Date().toISOString(),
+        lastPageNo: pageNo,
+        lastPageName: pageName,
+        pageCount,
+      });
+    } catch (error) {
+      console.error('Error starting response:', error);
+      if (error instanceof SurveyClosedError) {
+        throw error;
+      }
+      throw new Error(`Failed to start response: ${error.message}`);
+    }
+  },
+
+  // Save how far a respondent got. Progress is best effort and never fails
+  // the survey run.
+  async updateResponseProgress(id, { pageNo, pageName, data }) {
+    try {
+      return await storage.patch('responses', id, {
+        lastPageNo: pageNo,
+        lastPageName: pageName,
+        data: data || {},
+        updatedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.warn('Failed to save response progress:', error);
+      return null;
+    }
+  },
+
+  // Complete a response created by startResponse
+  async completeResponse(id, answers, extra = {}) {
+    try {
+      console.log('Completing response:', id);
+
+      const response = await storage.get('responses', id);
+      await ensureAcceptingResponses(response.moduleId, {
+        respondentId: response.respondentId,
+        channel: response.channel,
+      });
+
+      const result = await storage.patch('responses', id, {
+        ...extra,
+        status: RESPONSE_STATUS.COMPLETE,
+        data: answers || {},
+        submittedAt: new Date().toISOString(),
+      });
+      console.log('Response completed successfully:', result.id);
+      return result;
+    } catch (error) {
+      console.error('Error completing response:', error);
+      if (error instanceof SurveyClosedError) {
+        throw error;
+      }
+      throw new Error(`Failed to submit response: ${error.message}`);
+    }
+  },
+
+  // Get a page of submitted responses for a module (newest first)
+  async getResponses(moduleId, { page = 1, pageSize = 10 } = {}) {
+    try {
+      console.log('Fetching responses for module:', moduleId, 'page:', page);
+
+      ensureCan(await this.getModule(moduleId), 'view');
+      await ensureResponsesMigrated(moduleId);
+
+      const { items, total } = await storage.list('responses', {
+        filters: { moduleId, status: RESPONSE_STATUS.COMPLETE },
+        sort: 'submittedAt',
+        order: 'desc',
+        page,
+        pageSize,
+      });
+      console.log('Responses fetched successfully:', items.length, 'of', total);
+      return { items, total };
+    } catch (error) {
+      console.error('Error fetching responses:', error);
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch responses: ${error.message}`);
+    }
+  },
+
+  // Get every response of a module, partial ones included, for analytics
+  async getAllResponses(moduleId) {
+    try {
+      console.log('Fetching all responses for module:', moduleId);
+
+      ensureCan(await this.getModule(moduleId), 'view');
+      const { items } = await storage.list('responses', {
+        filters: { moduleId },
+        sort: 'submittedAt',
+        order: 'asc',
+      });
+      console.log('Responses fetched successfully:', items.length, 'responses');
+      return items;
+    } catch (error) {
+      console.error('Error fetching responses:', error);
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to fetch responses: ${error.message}`);
+    }
+  },
+
+  // Get a single response by ID
+  async getResponse(id) {
+    try {
+      console.log('Fetching response:', id);
+
+      const response = await storage.get('responses', id);
+      ensureCan(await this.getModule(response.moduleId), 'view');
+      return response;
+    } catch (error) {
+      console.error('Error fetching response:', error);
+      if (error instanceof StorageNotFoundError) {
+        throw new Error(`Response with ID ${id} not found`);
+      }
       throw error;
     }
   },
 
+  // Delete a response
+  async deleteResponse(id) {
+    try {
+      console.log('Deleting response:', id);
+
+      const response = await storage.get('responses', id);
+      const module = await this.getModule(response.moduleId);
+      ensureNotTrashed(module);
+      ensureCan(module, 'edit');
+      await storage.remove('responses', id);
+      console.log('Response deleted successfully');
+    } catch (error) {
+      console.error('Error deleting response:', error);
+      if (error instanceof StorageNotFoundError) {
+        throw new Error('Failed to delete response: Response not found');
+      }
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to delete response: ${error.message}`);
+    }
+  },
+
+  // Get the version history of a module (newest first)
+  async getVersions(moduleId) {
+    try {
+      console.log('Fetching versions for module:', moduleId);
+
+      const { items: result } = await storage.list('versions', {
+        filters: { moduleId },
+        sort: 'number',
+        order: 'desc',
+      });
+      console.log('Versions fetched successfully:', result.length, 'versions');
+      return result;
+    } catch (error) {
+      console.error('Error fetching versions:', error);
+      throw new Error(`Failed to fetch versions: ${error.message}`);
+    }
+  },
+
+  // Snapshot a module's survey. Saves within one editing session update the
+  // latest version instead of creating a new one, unless forceNew is set.
+  // History is best effort: a failure here never fails the module save.
+  // Modules created before history existed get their previous survey
+  // recorded as a baseline version first.
+  async recordVersion(moduleId, surveyJson, { forceNew = false, restoredFrom, previousSurveyJson } = {}) {
+    try {
+      const now = new Date();
+      let [latest] = await this.getVersions(moduleId);
+
+      if (!latest && previousSurveyJson) {
+        latest = await storage.create('versions', {
+          moduleId,
+          number: 1,
+          surveyJson: previousSurveyJson,
+          saveCount: 1,
+          baseline: true,
+          createdAt: now.toISOString(),
+          updatedAt: now.toISOString(),
+        });
+      }
+
+      const isSameSession = latest && !forceNew && !latest.restoredFrom && !latest.baseline &&
+        now - new Date(latest.updatedAt) < VERSION_SESSION_GAP_MS;
+
+      if (isSameSession) {
+        return await storage.patch('versions', latest.id, {
+          surveyJson,
+          saveCount: (latest.saveCount || 1) + 1,
+          updatedAt: now.toISOString(),
+        });
+      }
+
+      const payload = {
+        moduleId,
+        number: (latest?.number || 0) + 1,
+        surveyJson,
+        saveCount: 1,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+      };
+      if (restoredFrom) {
+        payload.restoredFrom = restoredFrom;
+      }
+
+      const result = await storage.create('versions', payload);
+      console.log('Version recorded:', result.number);
+      return result;
+    } catch (error) {
+      console.warn('Failed to record version history:', error);
+      return null;
+    }
+  },
+
+  // Restore a module to an earlier version. The restore itself becomes a new version.
+  async restoreVersion(moduleId, versionId) {
+    try {
+      console.log('Restoring module:', moduleId, 'to version:', versionId);
+
+      const existingModule = await this.getModule(moduleId);
+      ensureNotTrashed(existingModule);
+      ensureCan(existingModule, 'edit');
+      if (isLocked(existingModule)) {
+        throw new ModuleLockedError(existingModule);
+      }
+      const version = await storage.get('versions', versionId);
+      const restoredModule = {
+        ...existingModule,
+        surveyJson: version.surveyJson,
+        revision: (existingModule.revision ?? 0) + 1,
+        updatedAt: new Date().toISOString(),
+      };
+      restoredModule.searchText = buildSearchText(restoredModule);
+      const result = await storage.replace('modules', moduleId, restoredModule);
+
+      await this.recordVersion(moduleId, version.surveyJson, {
+        forceNew: true,
+        restoredFrom: version.number,
+      });
+      await recordAudit(moduleId, AUDIT_ACTIONS.UPDATE, {
+        changes: describeModuleChanges(existingModule, { surveyJson: version.surveyJson }),
+        details: { restoredVersion: version.number },
+      });
+      console.log('Module restored successfully to version:', version.number);
+      return result;
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      if (isModuleStateError(error)) {
+        throw error;
+      }
+      throw new Error(`Failed to restore version: ${error.message}`);
+    }
+  },
+
+  // Export modules, optionally with all their responses, as a portable bundle
+  async exportModules(ids, { includeResponses = false } = {}) {
+    try {
+      console.log('Exporting modules:', ids, 'with responses:', includeResponses);
+
+      const modules = await Promise.all(ids.map((id) => this.getModule(id)));
+      modules.forEach((module) => ensureCan(module, 'view'));
+      let responsesByModule;
+      if (includeResponses) {
+        responsesByModule = {};
+        for (const module of modules) {
+          await ensureResponsesMigrated(module.id);
+          const { items } = await storage.list('responses', {
+            filters: { moduleId: module.id, status: RESPONSE_STATUS.COMPLETE },
+            sort: 'submittedAt',
+            order: 'asc',
+          });
+          responsesByModule[module.id] = items;
+        }
+      }
+
+      const bundle = createBundle(modules, responsesByModule);
+      console.log('Modules exported successfully:', bundle.modules.length);
+      return bundle;
+    } catch (error) {
+      console.error('Error exporting modules:', error);
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to export modules: ${error.message}`);
+    }
+  },
+
+  // Create the modules of an import plan (see planImport in ./bundle) with
+  // fresh ids. Modules are imported one by one so a failure does not stop
+  // the rest; returns one report row per module.
+  async importModules(plan, { includeResponses = true } = {}) {
+    console.log('Importing modules:', plan.length);
+
+    const report = [];
+    for (const { entry, name, status } of plan) {
+      try {
+        const module = await this.createModule({
+          name,
+          description: entry.description,
+          status,
+          surveyJson: entry.surveyJson,
+          locales: entry.locales,
+          theme: entry.theme,
+          tags: entry.tags,
+          importedFrom: entry.sourceId,
+        });
+
+        let responseCount = 0;
+        let responseErrors = 0;
+        if (includeResponses) {
+          for (const { sourceId, ...response } of entry.responses || []) {
+            try {
+              await storage.create('responses', { ...normalizeResponse(response), moduleId: module.id });
+              responseCount += 1;
+            } catch (error) {
+              console.warn(`Failed to import response ${sourceId}:`, error);
+              responseErrors += 1;
+            }
+          }
+        }
+
+        report.push({ sourceId: entry.sourceId, name, ok: true, id: module.id, responseCount, responseErrors });
+      } catch (error) {
+        console.error(`Error importing module ${name}:`, error);
+        report.push({ sourceId: entry.sourceId, name, ok: false, error: error.message });
+      }
+    }
+
+    console.log('Import finished:', report.filter((row) => row.ok).length, 'of', plan.length, 'modules created');
+    return report;
+  },
+
+  // Get the saved survey templates (built-in templates are not stored)
+  async getTemplates() {
+    try {
+      console.log('Fetching templates');
+
+      const { items } = await storage.list('templates', { sort: 'name', order: 'asc' });
+      console.log('Templates fetched successfully:', items.length, 'templates');
+      return items;
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      throw new Error(`Failed to fetch templates: ${error.message}`);
+    }
+  },
+
+  // Save a module's survey into the template library
+  async saveAsTemplate(moduleId, { name, description } = {}) {
+    try {
+      console.log('Saving module as template:', moduleId);
+
+      const source = await this.getModule(moduleId);
+      const user = ensureCan(source, 'view');
+      const result = await storage.create('templates', {
+        name: name || source.name,
+        description: description ?? source.description,
+        surveyJson: source.surveyJson,
+        sourceModuleId: source.id,
+        ownerId: user.id,
+        createdAt: new Date().toISOString(),
+      });
+      console.log('Template saved successfully:', result.id);
+      return result;
+    } catch (error) {
+      console.error('Error saving template:', error);
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to save template: ${error.message}`);
+    }
+  },
+
+  // Delete a saved template
+  async deleteTemplate(id) {
+    try {
+      console.log('Deleting template:', id);
+
+      ensureOwnsEntry(await storage.get('templates', id));
+      await storage.remove('templates', id);
+      console.log('Template deleted successfully');
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      if (error instanceof StorageNotFoundError) {
+        throw new Error('Failed to delete template: Template not found');
+      }
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to delete template: ${error.message}`);
+    }
+  },
+
+  // Get the shared theme library, which every module's designer can pick from
+  async getThemes() {
+    try {
+      console.log('Fetching themes');
+
+      const { items } = await storage.list('themes', { sort: 'name', order: 'asc' });
+      console.log('Themes fetched successfully:', items.length, 'themes');
+      return items;
+    } catch (error) {
+      console.error('Error fetching themes:', error);
+      throw new Error(`Failed to fetch themes: ${error.message}`);
+    }
+  },
+
+  // Save a theme JSON object into the library under a name
+  async saveThemeToLibrary({ name, theme, sourceModuleId } = {}) {
+    try {
+      console.log('Saving theme to library:', name);
+
+      const user = requireUser();
+      const result = await storage.create('themes', {
+        name: name || 'Untitled theme',
+        theme: theme || {},
+        sourceModuleId: sourceModuleId ?? null,
+        ownerId: user.id,
+        createdAt: new Date().toISOString(),
+      });
+      console.log('Theme saved successfully:', result.id);
+      return result;
+    } catch (error) {
+      console.error('Error saving theme:', error);
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to save theme: ${error.message}`);
+    }
+  },
+
+  // Delete a theme from the library; modules using it keep their own copy
+  async deleteTheme(id) {
+    try {
+      console.log('Deleting theme:', id);
+
+      ensureOwnsEntry(await storage.get('themes', id));
+      await storage.remove('themes', id);
+      console.log('Theme deleted successfully');
+    } catch (error) {
+      console.error('Error deleting theme:', error);
+      if (error instanceof StorageNotFoundError) {
+        throw new Error('Failed to delete theme: Theme not found');
+      }
+      if (error instanceof PermissionDeniedError) {
+        throw error;
+      }
+      throw new Error(`Failed to delete theme: ${error.message}`);
+    }
+  },
+
   // Backward compatibility methods for AddModule component
   async createSurvey(surveyData) {
     console.log('createSurvey called with:', surveyData);
     return this.createModule({
       name: surveyData.name,
       description: surveyData.description,
-      status: surveyData.status || 'Active',
+      status: surveyData.status || MODULE_STATUS.DRAFT,
       surveyJson: surveyData.surveyJson,
+      theme: surveyData.theme,
     });
   },
 
-  async updateSurvey(id, surveyData) {
+  async updateSurvey(id, surveyData, options) {
     console.log('updateSurvey called with:', id, surveyData);
     try {
-      // For backward compatibility, handle both surveyJson and form_data
-      const updateData = {};
-      
-      if (surveyData.surveyJson) {
-        updateData.surveyJson = surveyData.surveyJson;
-        updateData.form_data = surveyData.surveyJson; // Keep both for compatibility
-      }
-      
-      if (surveyData.form_data) {
-        updateData.form_data = surveyData.form_data;
-        updateData.surveyJson = surveyData.form_data; // Keep both for compatibility
-      }
-
-      console.log('Calling updateModule with:', updateData);
-      return this.updateModule(id, updateData);
+      return this.updateModule(id, { surveyJson: surveyData.surveyJson }, options);
     } catch (error) {
       console.error('Error in updateSurvey:', error);
       throw error;
@@ -229,20 +1440,22 @@ export const apiService = {
   // Debug function to check API health
   async debugInfo() {
     try {
-      const health = await checkServerHealth();
+      const health = await storage.health();
       const modules = health ? await this.getModules() : [];
       
       return {
         serverHealthy: health,
         moduleCount: modules.length,
-        apiBaseUrl: API_BASE_URL,
+        storageBackend: storage.name,
+        apiBaseUrl: storage.description,
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
       return {
         serverHealthy: false,
         error: error.message,
-        apiBaseUrl: API_BASE_URL,
+        storageBackend: storage.name,
+        apiBaseUrl: storage.description,
         timestamp: new Date().toISOString(),
       };
     }
@@ -0,0 +1,157 @@
+import { diffSurveys } from '../survey/diff';
+
+// Audit trail of what happened to each module, stored in the `audit`
+// collection as { moduleId, action, actor, at, changes, details }.
+
+export const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  STATUS_CHANGE: 'status-change',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  IMPORT: 'import',
+};
+
+export const AUDIT_ACTION_LABELS = {
+  [AUDIT_ACTIONS.CREATE]: 'Created',
+  [AUDIT_ACTIONS.UPDATE]: 'Edited',
+  [AUDIT_ACTIONS.STATUS_CHANGE]: 'Status changed',
+  [AUDIT_ACTIONS.DELETE]: 'Moved to trash',
+  [AUDIT_ACTIONS.RESTORE]: 'Restored',
+  [AUDIT_ACTIONS.IMPORT]: 'Imported',
+};
+
+// Module fields worth recording; the survey itself is summarized by diff
+const TRACKED_FIELDS = ['name', 'description', 'status', 'locales', 'tags'];
+// Fields recorded as changed without their (large) values
+const OPAQUE_FIELDS = ['theme', 'sharing', 'shareToken', 'members', 'ownerId'];
+
+const ACTOR_KEY = 'survey-audit-actor-id';
+
+let signedInActor = null;
+
+/**
+ * Use `{ id, name }` as the author of every following audit entry, or
+ * pass null to fall back to the anonymous per-browser actor.
+ */
+export function setAuditActor(actor) {
+  signedInActor = actor ? { id: actor.id, name: actor.name || null } : null;
+}
+
+// Who is acting: the signed-in user, or an id remembered by this browser
+export function getAuditActor() {
+  if (signedInActor) return signedInActor;
+  try {
+    let id = window.localStorage.getItem(ACTOR_KEY);
+    if (!id) {
+      id = `browser-${Math.random().toString(36).slice(2, 10)}`;
+      window.localStorage.setItem(ACTOR_KEY, id);
+    }
+    return { id, name: null };
+  } catch (error) {
+    return { id: null, name: null };
+  }
+}
+
+export const actorLabel = (actor) => actor?.name || (actor?.id ? `Anonymous (${actor.id})` : 'Unknown');
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * What changed between two copies of a module, as a list of
+ * `{ field, from, to }`. Survey edits become one `surveyJson` change with
+ * the names of added, removed and changed questions.
+ */
+export function describeModuleChanges(before, after) {
+  const changes = TRACKED_FIELDS
+    .filter((field) => field in after && !isEqual(before?.[field], after[field]))
+    .map((field) => ({ field, from: before?.[field] ?? null, to: after[field] ?? null }));
+
+  OPAQUE_FIELDS
+    .filter((field) => field in after && !isEqual(before?.[field], after[field]))
+    .forEach((field) => changes.push({ field }));
+
+  if ('surveyJson' in after && !isEqual(before?.surveyJson, after.surveyJson)) {
+    const diff = diffSurveys(before?.surveyJson, after.surveyJson);
+    changes.push({
+      field: 'surveyJson',
+      questions: {
+        added: diff.questions.added.map((question) => question.name),
+        removed: diff.questions.removed.map((question) => question.name),
+        changed: diff.questions.changed.map((question) => question.name),
+      },
+      pages: diff.pages,
+      surveyProperties: diff.survey.map((change) => change.property),
+    });
+  }
+  return changes;
+}
+
+const union = (a = [], b = []) => [...new Set([...a, ...b])];
+
+/**
+ * Fold the changes of a later edit into an earlier entry's changes: each
+ * field keeps its first `from` and takes the latest `to`.
+ */
+export function mergeChanges(earlier = [], later = []) {
+  const merged = earlier.map((change) => ({ ...change }));
+  later.forEach((change) => {
+    const existing = merged.find((candidate) => candidate.field === change.field);
+    if (!existing) {
+      merged.push(change);
+    } else if (change.field === 'surveyJson') {
+      existing.questions = {
+        added: union(existing.questions?.added, change.questions?.added),
+        removed: union(existing.questions?.removed, change.questions?.removed),
+        changed: union(existing.questions?.changed, change.questions?.changed),
+      };
+      existing.pages = {
+        added: union(existing.pages?.added, change.pages?.added),
+        removed: union(existing.pages?.removed, change.pages?.removed),
+      };
+      existing.surveyProperties = union(existing.surveyProperties, change.surveyProperties);
+    } else if ('to' in change) {
+      existing.to = change.to;
+    }
+  });
+  return merged;
+}
+
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  status: 'Status',
+  locales: 'Languages',
+  tags: 'Tags',
+  theme: 'Theme',
+  sharing: 'Sharing settings',
+  shareToken: 'Public link',
+  members: 'Members',
+  ownerId: 'Owner',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  return Array.isArray(value) ? value.join(', ') || '(none)' : String(value);
+};
+
+/**
+ * One readable line per change, e.g. `Status: Draft → Published` or
+ * `Survey: added q3; changed q1`.
+ */
+export function describeChange(change) {
+  if (change.field === 'surveyJson') {
+    const parts = [];
+    const { questions = {}, pages = {}, surveyProperties = [] } = change;
+    if (questions.added?.length) parts.push(`added ${questions.added.join(', ')}`);
+    if (questions.removed?.length) parts.push(`removed ${questions.removed.join(', ')}`);
+    if (questions.changed?.length) parts.push(`changed ${questions.changed.join(', ')}`);
+    if (pages.added?.length) parts.push(`added page ${pages.added.join(', ')}`);
+    if (pages.removed?.length) parts.push(`removed page ${pages.removed.join(', ')}`);
+    if (surveyProperties.length) parts.push(`changed survey ${surveyProperties.join(', ')}`);
+    return `Survey: ${parts.join('; ') || 'layout or settings changed'}`;
+  }
+  const label = FIELD_LABELS[change.field] || change.field;
+  if (!('to' in change)) return `${label} changed`;
+  return `${label}: ${formatValue(change.from)} → ${formatValue(change.to)}`;
+}
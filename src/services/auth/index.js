@@ -0,0 +1,30 @@
+import { storage, supabaseClient } from '../storage';
+import { createLocalAuth } from './localAuth';
+import { createSupabaseAuth } from './supabaseAuth';
+
+// VITE_ADMIN_EMAILS: comma-separated emails of administrators, who own the
+// modules created before accounts existed
+const adminEmails = (import.meta.env.VITE_ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Without administrators, modules that have no owner cannot be edited by anyone
+export const hasAdmins = adminEmails.length > 0;
+
+/**
+ * Sign-in providers share a small interface:
+ *   name                           provider identifier
+ *   ready                          promise settled once a saved session is restored
+ *   currentUser()                  -> { id, email, name, admin } | null
+ *   signIn({ email, password })    -> user
+ *   signUp({ email, password, name })   -> user
+ *   signOut()
+ *   subscribe(listener)            -> unsubscribe; listener(user) on every change
+ *
+ * The supabase backend signs in with Supabase Auth; the other backends use
+ * the local stand-in so accounts and roles can be tried without a server.
+ */
+export const auth = supabaseClient
+  ? createSupabaseAuth(supabaseClient, { adminEmails })
+  : createLocalAuth(storage, { adminEmails });
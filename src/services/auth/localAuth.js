@@ -0,0 +1,103 @@
+import { generateId } from '../storage/adapter';
+
+const SESSION_KEY = 'module-builder:session';
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const hashPassword = async (password, salt) => {
+  const data = new TextEncoder().encode(`${salt}:${password}`);
+  return toHex(await crypto.subtle.digest('SHA-256', data));
+};
+
+/**
+ * Stand-in for Supabase Auth on the json-server and local backends: users
+ * live in the storage `users` collection with salted password hashes and
+ * the session in localStorage. It keeps honest people apart during
+ * development and demos; it is not a security boundary, since anyone with
+ * access to the storage can read or change the users.
+ */
+export function createLocalAuth(storage, { sessionStore, adminEmails = [] } = {}) {
+  const store = sessionStore || (typeof window !== 'undefined' ? window.localStorage : null);
+  let user = null;
+
+  // Admin rights come from configuration, never from the saved session
+  const toUser = (record) => ({
+    id: record.id,
+    email: record.email,
+    name: record.name || null,
+    admin: adminEmails.includes(record.email),
+  });
+
+  const listeners = new Set();
+
+  const setUser = (next) => {
+    user = next;
+    try {
+      if (next) {
+        store?.setItem(SESSION_KEY, JSON.stringify(next));
+      } else {
+        store?.removeItem(SESSION_KEY);
+      }
+    } catch (error) {
+      console.warn('Failed to remember the session:', error);
+    }
+    listeners.forEach((listener) => listener(user));
+  };
+
+  try {
+    const saved = store?.getItem(SESSION_KEY);
+    if (saved) user = toUser(JSON.parse(saved));
+  } catch (error) {
+    console.warn('Failed to restore the session:', error);
+  }
+
+  const findByEmail = async (email) => {
+    const { items } = await storage.list('users', { filters: { email } });
+    return items[0] || null;
+  };
+
+  return {
+    name: 'local',
+    ready: Promise.resolve(),
+
+    currentUser() {
+      return user;
+    },
+
+    async signIn({ email, password }) {
+      const record = await findByEmail(String(email || '').trim().toLowerCase());
+      if (!record || record.passwordHash !== await hashPassword(password, record.salt)) {
+        throw new Error('Invalid email or password');
+      }
+      setUser(toUser(record));
+      return user;
+    },
+
+    async signUp({ email, password, name }) {
+      const normalizedEmail = String(email || '').trim().toLowerCase();
+      if (!/^[^@\s]+@[^@\s]+$/.test(normalizedEmail)) throw new Error('Enter a valid email address');
+      if (!password || password.length < 6) throw new Error('Password must be at least 6 characters');
+      if (await findByEmail(normalizedEmail)) throw new Error('An account with this email already exists');
+
+      const salt = generateId();
+      const record = await storage.create('users', {
+        email: normalizedEmail,
+        name: name?.trim() || null,
+        salt,
+        passwordHash: await hashPassword(password, salt),
+        createdAt: new Date().toISOString(),
+      });
+      setUser(toUser(record));
+      return user;
+    },
+
+    async signOut() {
+      setUser(null);
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
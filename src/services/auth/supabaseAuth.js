@@ -0,0 +1,67 @@
+/**
+ * Email and password sign-in through Supabase Auth, sharing the client the
+ * supabase storage backend uses so row level security sees the same user.
+ */
+export function createSupabaseAuth(client, { adminEmails = [] } = {}) {
+  let user = null;
+
+  // Supabase Auth users carry their display name in user_metadata
+  const toUser = (authUser) => (authUser
+    ? {
+      id: authUser.id,
+      email: authUser.email,
+      name: authUser.user_metadata?.name || null,
+      admin: adminEmails.includes(String(authUser.email).toLowerCase()),
+    }
+    : null);
+
+  const listeners = new Set();
+
+  const setUser = (next) => {
+    user = next;
+    listeners.forEach((listener) => listener(user));
+  };
+
+  const ready = client.auth.getSession()
+    .then(({ data }) => setUser(toUser(data.session?.user)))
+    .catch((error) => console.error('Failed to restore the Supabase session:', error));
+
+  client.auth.onAuthStateChange((_event, session) => setUser(toUser(session?.user)));
+
+  return {
+    name: 'supabase',
+    ready,
+
+    currentUser() {
+      return user;
+    },
+
+    async signIn({ email, password }) {
+      const { data, error } = await client.auth.signInWithPassword({ email, password });
+      if (error) throw new Error(error.message);
+      setUser(toUser(data.user));
+      return user;
+    },
+
+    async signUp({ email, password, name }) {
+      const { data, error } = await client.auth.signUp({ email, password, options: { data: { name } } });
+      if (error) throw new Error(error.message);
+      if (!data.session) {
+        throw new Error('Check your email to confirm the account, then sign in');
+      }
+      setUser(toUser(data.user));
+      return user;
+    },
+
+    async signOut() {
+      const { error } = await client.auth.signOut();
+      if (error) throw new Error(error.message);
+      setUser(null);
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,29 @@
+// Runs one action over many modules for the module list's bulk actions.
+
+/**
+ * Run `action(module)` for each module in turn. Returns one report row per
+ * module: `{ id, name, ok: true, result }` or `{ id, name, ok: false, error }`.
+ * Modules for which `isUnchanged(module)` holds already have the outcome and
+ * are skipped with `{ id, name, ok: true, unchanged: true }`.
+ * A failure never stops the rest; `onProgress(done, total)` follows along.
+ */
+export async function runBulk(modules, action, { onProgress, isUnchanged } = {}) {
+  const report = [];
+  onProgress?.(0, modules.length);
+  for (const module of modules) {
+    if (isUnchanged?.(module)) {
+      report.push({ id: module.id, name: module.name, ok: true, unchanged: true });
+      onProgress?.(report.length, modules.length);
+      continue;
+    }
+    try {
+      const result = await action(module);
+      report.push({ id: module.id, name: module.name, ok: true, result });
+    } catch (error) {
+      console.error(`Bulk action failed for module ${module.id}:`, error);
+      report.push({ id: module.id, name: module.name, ok: false, error: error.message });
+    }
+    onProgress?.(report.length, modules.length);
+  }
+  return report;
+}
@@ -0,0 +1,138 @@
+import { downloadBlob } from './download';
+import { normalizeModule } from './migrations';
+import { MODULE_STATUS, MODULE_STATUSES } from './moduleStatus';
+import { hasBlockingIssues, validateSurvey } from '../survey/validation';
+
+// Portable export format for moving modules between environments
+export const BUNDLE_FORMAT = 'survey-module-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Module fields carried in a bundle; ids, revisions and search text are
+// environment specific and regenerated on import
+const EXPORTED_FIELDS = ['name', 'description', 'status', 'schemaVersion', 'surveyJson', 'locales', 'theme', 'tags', 'createdAt', 'updatedAt'];
+
+// Thrown by parseBundle with every problem found in the file
+export class BundleError extends Error {
+  constructor(problems) {
+    super(`Invalid bundle: ${problems.join('; ')}`);
+    this.name = 'BundleError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Build a bundle from module records. `responsesByModule` maps module id to
+ * its responses and is only given when responses are exported.
+ */
+export function createBundle(modules, responsesByModule) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    modules: modules.map((module) => {
+      const entry = { sourceId: module.id };
+      EXPORTED_FIELDS.forEach((field) => {
+        if (module[field] !== undefined) entry[field] = module[field];
+      });
+      if (responsesByModule) {
+        entry.responses = (responsesByModule[module.id] || []).map(({ id, moduleId, ...response }) => ({
+          sourceId: id,
+          ...response,
+        }));
+      }
+      return entry;
+    }),
+  };
+}
+
+/**
+ * Parse and validate bundle file contents. Module entries are brought up to
+ * the current schema. Throws a BundleError listing what is wrong.
+ */
+export function parseBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new BundleError([`not valid JSON (${error.message})`]);
+  }
+
+  const problems = [];
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    problems.push(`not a ${BUNDLE_FORMAT} file`);
+  } else if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+    problems.push(`unsupported bundle version ${bundle.version}`);
+  }
+  if (!Array.isArray(bundle?.modules) || bundle.modules.length === 0) {
+    problems.push('no modules to import');
+  }
+  if (problems.length > 0) throw new BundleError(problems);
+
+  bundle.modules.forEach((entry, index) => {
+    const label = `module ${index + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`${label} is not an object`);
+      return;
+    }
+    if (typeof entry.name !== 'string' || !entry.name.trim()) {
+      problems.push(`${label} has no name`);
+    }
+    if (!entry.surveyJson || typeof entry.surveyJson !== 'object') {
+      problems.push(`${label} (${entry.name || 'unnamed'}) has no survey definition`);
+    }
+    if (entry.theme !== undefined && entry.theme !== null && (typeof entry.theme !== 'object' || Array.isArray(entry.theme))) {
+      problems.push(`${label} (${entry.name || 'unnamed'}) has a malformed theme`);
+    }
+    if (entry.responses !== undefined && !Array.isArray(entry.responses)) {
+      problems.push(`${label} (${entry.name || 'unnamed'}) has malformed responses`);
+    }
+  });
+  if (problems.length > 0) throw new BundleError(problems);
+
+  return {
+    ...bundle,
+    modules: bundle.modules.map((entry) => normalizeModule(entry)),
+  };
+}
+
+/**
+ * Work out what importing a bundle will create. Names that already exist
+ * (or repeat within the bundle) get an "(imported)" suffix; unknown
+ * statuses fall back to Draft, and so do published surveys that fail
+ * validation here (`unpublished` is set for those).
+ */
+export function planImport(bundle, existingNames) {
+  const taken = new Set(existingNames.map((name) => name.toLowerCase()));
+
+  return bundle.modules.map((entry) => {
+    let name = entry.name.trim();
+    if (taken.has(name.toLowerCase())) {
+      let suffix = 1;
+      do {
+        name = `${entry.name.trim()} (imported${suffix > 1 ? ` ${suffix}` : ''})`;
+        suffix += 1;
+      } while (taken.has(name.toLowerCase()));
+    }
+    taken.add(name.toLowerCase());
+
+    const unpublished = entry.status === MODULE_STATUS.PUBLISHED &&
+      hasBlockingIssues(validateSurvey(entry.surveyJson));
+    const status = MODULE_STATUSES.includes(entry.status) && !unpublished ? entry.status : MODULE_STATUS.DRAFT;
+
+    return {
+      entry,
+      name,
+      renamed: name !== entry.name.trim(),
+      status,
+      unpublished,
+      responseCount: entry.responses?.length || 0,
+    };
+  });
+}
+
+/**
+ * Offer a bundle to the browser as a .json download.
+ */
+export function downloadBundle(bundle, filename = `modules-${new Date().toISOString().slice(0, 10)}.json`) {
+  downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }), filename);
+}
@@ -0,0 +1,28 @@
+// Save a Blob through a temporary link so the browser downloads it
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// File-name friendly version of a module name, e.g. "Customer Feedback" -> "customer-feedback"
+export function fileSlug(name, fallback = 'module') {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || fallback;
+}
+
+// Spreadsheet apps evaluate cells starting with these as formulas. A leading
+// apostrophe makes them plain text; text that already starts with apostrophes
+// before such a character gets one more, so unescapeFormula is lossless.
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+export const escapeFormula = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+export const unescapeFormula = (text) => (/^'+[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
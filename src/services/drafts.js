@@ -0,0 +1,182 @@
+// Local drafts and the queue of saves that did not reach the server.
+// Drafts are stored per module so editing one survey never leaks into another,
+// and both are kept per signed-in user so nobody else on the same browser
+// sees, or sends under their own name, what another user has not saved.
+import { auth } from './auth';
+
+const DRAFT_PREFIX = 'survey-draft:';
+const QUEUE_KEY = 'survey-sync-queue';
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+// Drafts of surveys that have not been created on the server yet
+export const NEW_DRAFT_KEY = 'new';
+
+const getStorage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+
+const userScoped = (key) => {
+  const user = auth.currentUser();
+  return user ? `${key}:${user.id}` : key;
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = getStorage()?.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`Failed to read ${key} from localStorage:`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    getStorage()?.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to write ${key} to localStorage:`, error);
+  }
+};
+
+export const draftKeyFor = (moduleId) => (moduleId ? String(moduleId) : NEW_DRAFT_KEY);
+
+export function loadDraft(key) {
+  return readJson(userScoped(`${DRAFT_PREFIX}${key}`), null);
+}
+
+// `baseRevision` is the server revision the draft was edited from
+export function saveDraft(key, surveyJson, { synced = false, baseRevision } = {}) {
+  const draft = {
+    surveyJson,
+    synced,
+    baseRevision,
+    savedAt: new Date().toISOString(),
+  };
+  writeJson(userScoped(`${DRAFT_PREFIX}${key}`), draft);
+  return draft;
+}
+
+export function clearDraft(key) {
+  getStorage()?.removeItem(userScoped(`${DRAFT_PREFIX}${key}`));
+}
+
+/**
+ * True when a local draft holds unsynced edits made after the server copy
+ * was last updated.
+ */
+export function isDraftNewer(draft, module) {
+  if (!draft || draft.synced) return false;
+  const serverJson = module?.surveyJson;
+  if (serverJson && JSON.stringify(serverJson) === JSON.stringify(draft.surveyJson)) return false;
+  if (!module?.updatedAt) return true;
+  return new Date(draft.savedAt) > new Date(module.updatedAt);
+}
+
+const listeners = new Set();
+let flushing = false;
+
+const notify = (event) => listeners.forEach((listener) => listener(event));
+
+/**
+ * Queue of failed saves, retried when the browser comes back online and
+ * periodically while entries remain. Entries are coalesced per draft key so
+ * only the latest survey of each module is retried. Only the signed-in
+ * user's queue is read, written and retried.
+ */
+export const syncQueue = {
+  entries() {
+    return readJson(userScoped(QUEUE_KEY), []);
+  },
+
+  has(key) {
+    return this.entries().some((entry) => entry.key === key);
+  },
+
+  enqueue({ key, moduleId = null, surveyJson, expectedRevision }) {
+    const entries = this.entries().filter((entry) => entry.key !== key);
+    entries.push({ key, moduleId, surveyJson, expectedRevision, queuedAt: new Date().toISOString(), attempts: 0 });
+    writeJson(userScoped(QUEUE_KEY), entries);
+    notify({ type: 'queued', key });
+  },
+
+  remove(key) {
+    if (!this.has(key)) return;
+    writeJson(userScoped(QUEUE_KEY), this.entries().filter((entry) => entry.key !== key));
+    notify({ type: 'removed', key });
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Try every queued save once. Conflicting and locked entries are dropped
+  // from the queue but their draft stays unsynced so the editor can resolve them.
+  async flush(apiService) {
+    if (flushing) return;
+    flushing = true;
+    const queueKey = userScoped(QUEUE_KEY);
+    try {
+      for (const entry of this.entries()) {
+        // Stop if the user changed meanwhile; the rest belongs to their queue
+        if (userScoped(QUEUE_KEY) !== queueKey) break;
+        try {
+          const result = entry.moduleId
+            ? await apiService.updateSurvey(entry.moduleId, { surveyJson: entry.surveyJson }, {
+              expectedRevision: entry.expectedRevision,
+            })
+            : await apiService.createSurvey({
+              name: entry.surveyJson.title || `Survey ${new Date().toLocaleDateString()}`,
+              description: `Created on ${new Date().toLocaleDateString()}`,
+              surveyJson: entry.surveyJson,
+            });
+
+          this.remove(entry.key);
+          clearDraft(entry.key);
+          notify({ type: 'synced', key: entry.key, result });
+        } catch (error) {
+          if (error.name === 'ModuleConflictError') {
+            this.remove(entry.key);
+            notify({ type: 'conflict', key: entry.key, error });
+            continue;
+          }
+          // The module was published, trashed or the user lost edit access
+          // meanwhile; retrying can never succeed. Saves refused because the
+          // session ended wait for the user to sign in again.
+          if (error.name === 'ModuleLockedError' || error.name === 'ModuleTrashedError' ||
+            (error.name === 'PermissionDeniedError' && error.moduleId !== null)) {
+            this.remove(entry.key);
+            notify({ type: 'locked', key: entry.key, error });
+            continue;
+          }
+          writeJson(userScoped(QUEUE_KEY), this.entries().map((queued) =>
+            queued.key === entry.key ? { ...queued, attempts: queued.attempts + 1, lastError: error.message } : queued
+          ));
+          notify({ type: 'failed', key: entry.key, error });
+        }
+      }
+    } finally {
+      flushing = false;
+    }
+  },
+};
+
+/**
+ * Start retrying queued saves. Returns a function that stops it.
+ */
+export function startSyncQueue(apiService) {
+  if (typeof window === 'undefined') return () => {};
+
+  const retry = () => {
+    if (syncQueue.entries().length > 0) {
+      syncQueue.flush(apiService);
+    }
+  };
+
+  window.addEventListener('online', retry);
+  const timer = window.setInterval(retry, RETRY_INTERVAL_MS);
+  retry();
+
+  return () => {
+    window.removeEventListener('online', retry);
+    window.clearInterval(timer);
+  };
+}
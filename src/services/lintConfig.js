@@ -0,0 +1,22 @@
+import { DEFAULT_LINT_CONFIG } from '../survey/lint';
+
+// Per-browser lint rule severities, edited from the lint report
+const LINT_CONFIG_KEY = 'survey-lint-config';
+
+export function loadLintConfig() {
+  try {
+    const raw = typeof window !== 'undefined' ? window.localStorage.getItem(LINT_CONFIG_KEY) : null;
+    return { ...DEFAULT_LINT_CONFIG, ...(raw ? JSON.parse(raw) : {}) };
+  } catch (error) {
+    console.warn('Failed to read lint config:', error);
+    return { ...DEFAULT_LINT_CONFIG };
+  }
+}
+
+export function saveLintConfig(config) {
+  try {
+    window.localStorage.setItem(LINT_CONFIG_KEY, JSON.stringify(config));
+  } catch (error) {
+    console.warn('Failed to save lint config:', error);
+  }
+}
@@ -0,0 +1,96 @@
+import dayjs from 'dayjs';
+
+// Module list state that is mirrored into the URL query string
+export const DEFAULT_LIST_QUERY = {
+  search: '',
+  statuses: [],
+  createdFrom: null,
+  createdTo: null,
+  updatedFrom: null,
+  updatedTo: null,
+  sortField: 'updatedAt',
+  sortOrder: 'desc',
+  page: 1,
+  pageSize: 10,
+};
+
+// URL parameter name for each query key
+const PARAMS = {
+  search: 'q',
+  statuses: 'status',
+  createdFrom: 'createdFrom',
+  createdTo: 'createdTo',
+  updatedFrom: 'updatedFrom',
+  updatedTo: 'updatedTo',
+  sortField: 'sort',
+  sortOrder: 'order',
+  page: 'page',
+  pageSize: 'pageSize',
+};
+
+const toPositiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const toDate = (value) => (value && dayjs(value).isValid() ? value : null);
+
+/**
+ * Read the module list state from a query string (`window.location.search`).
+ */
+export function parseListQuery(search) {
+  const params = new URLSearchParams(search);
+  const get = (key) => params.get(PARAMS[key]);
+
+  return {
+    search: get('search') || '',
+    statuses: get('statuses') ? get('statuses').split(',').filter(Boolean) : [],
+    createdFrom: toDate(get('createdFrom')),
+    createdTo: toDate(get('createdTo')),
+    updatedFrom: toDate(get('updatedFrom')),
+    updatedTo: toDate(get('updatedTo')),
+    sortField: get('sortField') || DEFAULT_LIST_QUERY.sortField,
+    sortOrder: get('sortOrder') === 'asc' ? 'asc' : DEFAULT_LIST_QUERY.sortOrder,
+    page: toPositiveInt(get('page'), DEFAULT_LIST_QUERY.page),
+    pageSize: toPositiveInt(get('pageSize'), DEFAULT_LIST_QUERY.pageSize),
+  };
+}
+
+/**
+ * Build the query string for the module list state, leaving out defaults.
+ */
+export function serializeListQuery(query) {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    const value = query[key];
+    const defaultValue = DEFAULT_LIST_QUERY[key];
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(param, value.join(','));
+    } else if (value !== null && value !== undefined && value !== '' && value !== defaultValue) {
+      params.set(param, String(value));
+    }
+  });
+  const result = params.toString();
+  return result ? `?${result}` : '';
+}
+
+/**
+ * Convert list state (dates as YYYY-MM-DD) into apiService.queryModules options.
+ */
+export function toModuleQuery(query) {
+  const startOf = (date) => (date ? dayjs(date).startOf('day').toISOString() : undefined);
+  const endOf = (date) => (date ? dayjs(date).endOf('day').toISOString() : undefined);
+
+  return {
+    search: query.search,
+    statuses: query.statuses,
+    createdFrom: startOf(query.createdFrom),
+    createdTo: endOf(query.createdTo),
+    updatedFrom: startOf(query.updatedFrom),
+    updatedTo: endOf(query.updatedTo),
+    sortField: query.sortField,
+    sortOrder: query.sortOrder,
+    page: query.page,
+    pageSize: query.pageSize,
+  };
+}
@@ -0,0 +1,123 @@
+// Module record schema migrations. Records without `schemaVersion` are the
+// legacy shape that stored the survey as `surveyJson`, `form_data` or both.
+// This file has no imports so scripts/migrate-db.js can run it under Node.
+
+export const CURRENT_SCHEMA_VERSION = 4;
+
+const EMPTY_SURVEY = { pages: [] };
+
+const collectTitles = (elements, titles) => {
+  (elements || []).forEach((element) => {
+    if (element?.title) titles.push(element.title);
+    collectTitles(element?.elements, titles);
+    collectTitles(element?.templateElements, titles);
+  });
+  return titles;
+};
+
+/**
+ * Lowercased text the module list searches: name, description, tags, survey
+ * title/description and every page, panel and question title.
+ */
+export function buildSearchText(record) {
+  const survey = record?.surveyJson || {};
+  const titles = collectTitles(survey.elements, []);
+  (survey.pages || []).forEach((page) => {
+    if (page.title) titles.push(page.title);
+    collectTitles(page.elements, titles);
+  });
+  const tags = Array.isArray(record?.tags) ? record.tags : [];
+  return [record?.name, record?.description, ...tags, survey.title, survey.description, ...titles]
+    .filter((text) => typeof text === 'string' && text.trim())
+    .join(' ')
+    .toLowerCase();
+}
+
+// Each step upgrades a record from `version - 1` to `version`
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Keep a single `surveyJson`; when both copies exist `surveyJson` wins
+    up(record) {
+      const { form_data: formData, ...rest } = record;
+      return {
+        ...rest,
+        surveyJson: rest.surveyJson || formData || EMPTY_SURVEY,
+      };
+    },
+  },
+  {
+    version: 2,
+    // Denormalized text for server-side search of the module list
+    up(record) {
+      return { ...record, searchText: buildSearchText(record) };
+    },
+  },
+  {
+    version: 3,
+    // Status lifecycle: the old always-on "Active" meant live, so it becomes
+    // Published; anything unrecognised starts over as a Draft
+    up(record) {
+      const status = record.status === 'Active' ? 'Published' : record.status;
+      return {
+        ...record,
+        status: ['Draft', 'Published', 'Inactive'].includes(status) ? status : 'Draft',
+      };
+    },
+  },
+  {
+    version: 4,
+    // Trash: every module carries `deleted`, because json-server cannot
+    // filter on a field that some records lack
+    up(record) {
+      return { ...record, deleted: record.deleted === true };
+    },
+  },
+];
+
+export const needsMigration = (record) =>
+  (record?.schemaVersion ?? 0) < CURRENT_SCHEMA_VERSION;
+
+/**
+ * Bring a module record up to the current schema. Returns the record
+ * unchanged when it is already current.
+ */
+export function normalizeModule(record) {
+  if (!needsMigration(record)) return record;
+
+  const fromVersion = record.schemaVersion ?? 0;
+  return MIGRATIONS
+    .filter((migration) => migration.version > fromVersion)
+    .reduce(
+      (migrated, migration) => ({ ...migration.up(migrated), schemaVersion: migration.version }),
+      record
+    );
+}
+
+// Responses stored before partial responses existed have no `status`; all
+// of them were submitted, so they are complete
+export const needsResponseMigration = (record) => !record?.status;
+
+export const normalizeResponse = (record) =>
+  (needsResponseMigration(record) ? { ...record, status: 'complete' } : record);
+
+/**
+ * Normalize every module and response in a json-server database object (the
+ * contents of db.json). Returns the new database and the ids of the
+ * migrated modules and responses.
+ */
+export function migrateDatabase(db) {
+  const migratedIds = [];
+  const migratedResponseIds = [];
+  const modules = (db.modules || []).map((record) => {
+    if (!needsMigration(record)) return record;
+    migratedIds.push(record.id);
+    return normalizeModule(record);
+  });
+  const responses = (db.responses || []).map((record) => {
+    if (!needsResponseMigration(record)) return record;
+    migratedResponseIds.push(record.id);
+    return normalizeResponse(record);
+  });
+  return { db: { ...db, modules, responses }, migratedIds, migratedResponseIds };
+}
@@ -0,0 +1,35 @@
+// Module status lifecycle: Draft -> Published -> Inactive. Published
+// surveys are live for respondents, so their content cannot change.
+
+export const MODULE_STATUS = {
+  DRAFT: 'Draft',
+  PUBLISHED: 'Published',
+  INACTIVE: 'Inactive',
+};
+
+export const MODULE_STATUSES = Object.values(MODULE_STATUS);
+
+// Allowed moves out of each status, with the action label shown for them
+const STATUS_TRANSITIONS = {
+  [MODULE_STATUS.DRAFT]: {
+    [MODULE_STATUS.PUBLISHED]: 'Publish',
+    [MODULE_STATUS.INACTIVE]: 'Archive',
+  },
+  [MODULE_STATUS.PUBLISHED]: {
+    [MODULE_STATUS.DRAFT]: 'Unpublish',
+    [MODULE_STATUS.INACTIVE]: 'Archive',
+  },
+  [MODULE_STATUS.INACTIVE]: {
+    [MODULE_STATUS.DRAFT]: 'Reactivate',
+  },
+};
+
+export const canTransition = (from, to) => Boolean(STATUS_TRANSITIONS[from]?.[to]);
+
+/**
+ * Status changes available from `status`, as `[{ status, label }]`.
+ */
+export const availableTransitions = (status) =>
+  Object.entries(STATUS_TRANSITIONS[status] || {}).map(([to, label]) => ({ status: to, label }));
+
+export const isLocked = (module) => module?.status === MODULE_STATUS.PUBLISHED;
@@ -0,0 +1,84 @@
+// Who may do what with a module. Each module has an owner (`ownerId`,
+// `ownerEmail`) and members (`members: [{ email, role }]`) matched by the
+// signed-in user's email. Signed-in users without a role may only fill
+// the survey in.
+
+export const ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+  RESPONDENT: 'respondent',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.OWNER]: 'Owner',
+  [ROLES.EDITOR]: 'Editor',
+  [ROLES.VIEWER]: 'Viewer',
+  [ROLES.RESPONDENT]: 'Respondent only',
+};
+
+// Roles allowed for each permission
+const PERMISSIONS = {
+  // Fill the survey in
+  respond: [ROLES.OWNER, ROLES.EDITOR, ROLES.VIEWER, ROLES.RESPONDENT],
+  // Open the design read-only, see responses, analytics and the audit log, copy it
+  view: [ROLES.OWNER, ROLES.EDITOR, ROLES.VIEWER],
+  // Change content, status, sharing, theme, translations, tags and responses
+  edit: [ROLES.OWNER, ROLES.EDITOR],
+  // Move to the trash, restore and purge
+  delete: [ROLES.OWNER],
+  // Choose who else may work on the module
+  manageMembers: [ROLES.OWNER],
+};
+
+const sameEmail = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * The user's role on a module, or null when nobody is signed in. Modules
+ * created before accounts existed have no owner; administrators own them
+ * (and can claim them by managing their members), everyone else may only
+ * respond.
+ */
+export function roleFor(module, user) {
+  if (!user || !module) return null;
+  if (!module.ownerId) return user.admin ? ROLES.OWNER : ROLES.RESPONDENT;
+  if (module.ownerId === user.id) return ROLES.OWNER;
+  const member = (module.members || []).find((candidate) => sameEmail(candidate.email, user.email));
+  return member?.role || ROLES.RESPONDENT;
+}
+
+export const can = (module, user, permission) => PERMISSIONS[permission].includes(roleFor(module, user));
+
+/**
+ * Whether `user` may remove a shared template or theme: whoever added it,
+ * or an administrator, who alone may remove entries added before accounts
+ * existed.
+ */
+export const ownsLibraryEntry = (entry, user) =>
+  Boolean(user) && (Boolean(user.admin) || (Boolean(entry?.ownerId) && entry.ownerId === user.id));
+
+/**
+ * Clean a member list: valid emails only, one entry per email, known roles,
+ * and never the owner (who is not a member).
+ */
+export function normalizeMembers(members, { ownerEmail } = {}) {
+  const seen = new Set();
+  return (Array.isArray(members) ? members : [])
+    .map((member) => ({ email: String(member?.email || '').trim().toLowerCase(), role: member?.role }))
+    .filter((member) => {
+      if (!/^[^@\s]+@[^@\s]+$/.test(member.email) || seen.has(member.email)) return false;
+      if (!Object.values(ROLES).includes(member.role) || sameEmail(member.email, ownerEmail)) return false;
+      seen.add(member.email);
+      return true;
+    });
+}
+
+/**
+ * Members for a draft forked from `source` by `user`: the same team, with
+ * the source's owner kept on as an owner of the new draft.
+ */
+export function inheritedMembers(source, user) {
+  const members = [...(source.members || [])];
+  if (source.ownerEmail) members.push({ email: source.ownerEmail, role: ROLES.OWNER });
+  return normalizeMembers(members, { ownerEmail: user?.email });
+}
@@ -0,0 +1,188 @@
+import { Zip, ZipDeflate, ZipPassThrough, strToU8 } from 'fflate';
+import { escapeFormula, fileSlug } from './download';
+
+// Spreadsheet formats offered by the response export
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+};
+
+// Rows written between yields to the event loop, so the UI keeps painting
+const ROWS_PER_CHUNK = 250;
+
+// Responses requested per page while collecting them for an export
+const FETCH_PAGE_SIZE = 200;
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Load every submitted response of a module, page by page.
+ * `onProgress({ phase: 'fetching', done, total })` follows along.
+ */
+export async function fetchExportResponses(apiService, moduleId, onProgress) {
+  const responses = [];
+  let total = Infinity;
+  for (let page = 1; responses.length < total; page += 1) {
+    const result = await apiService.getResponses(moduleId, { page, pageSize: FETCH_PAGE_SIZE });
+    total = result.total;
+    responses.push(...result.items);
+    onProgress?.({ phase: 'fetching', done: responses.length, total });
+    if (result.items.length === 0) break;
+  }
+  return responses;
+}
+
+const csvCell = (value) => {
+  if (value === '' || value === undefined || value === null) return '';
+  if (typeof value !== 'string') return String(value);
+  const text = escapeFormula(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => cells.map(csvCell).join(',') + '\r\n';
+
+async function writeCsv(header, rows, onRow) {
+  // Byte order mark so Excel reads the file as UTF-8
+  const parts = ['\uFEFF', csvRow(header)];
+  for await (const cells of rows) {
+    parts.push(csvRow(cells));
+    onRow();
+  }
+  return new Blob(parts, { type: 'text/csv;charset=utf-8' });
+}
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const xmlEscape = (text) => String(text)
+  .replace(INVALID_XML, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+const xlsxCell = (value, ref) => {
+  if (value === '' || value === undefined || value === null) return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+};
+
+const xlsxRow = (cells, rowNumber, letters) =>
+  `<row r="${rowNumber}">${cells.map((value, index) => xlsxCell(value, `${letters[index]}${rowNumber}`)).join('')}</row>`;
+
+// Fixed workbook parts: one sheet, inline strings, no shared string table
+const XLSX_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets><sheet name="Responses" sheetId="1" r:id="rId1"/></sheets>'
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>',
+};
+
+async function writeXlsx(header, rows, onRow) {
+  const output = [];
+  let zipError = null;
+  const zip = new Zip((error, data) => {
+    if (error) zipError = error;
+    else output.push(data);
+  });
+
+  Object.entries(XLSX_PARTS).forEach(([path, xml]) => {
+    const part = new ZipPassThrough(path);
+    zip.add(part);
+    part.push(strToU8(xml), true);
+  });
+
+  // The sheet is compressed as it is written, one chunk of rows at a time
+  const sheet = new ZipDeflate('xl/worksheets/sheet1.xml', { level: 6 });
+  zip.add(sheet);
+  const letters = header.map((_, index) => columnLetter(index));
+  sheet.push(strToU8(
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${xlsxRow(header, 1, letters)}`
+  ));
+
+  let rowNumber = 1;
+  let pending = [];
+  for await (const cells of rows) {
+    rowNumber += 1;
+    pending.push(xlsxRow(cells, rowNumber, letters));
+    onRow();
+    if (pending.length >= ROWS_PER_CHUNK) {
+      sheet.push(strToU8(pending.join('')));
+      pending = [];
+    }
+  }
+  sheet.push(strToU8(`${pending.join('')}</sheetData></worksheet>`), true);
+  zip.end();
+
+  if (zipError) throw zipError;
+  return new Blob(output, { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+const WRITERS = {
+  [EXPORT_FORMATS.CSV]: writeCsv,
+  [EXPORT_FORMATS.XLSX]: writeXlsx,
+};
+
+/**
+ * Write responses to a CSV or XLSX Blob. `columns` come from
+ * buildExportColumns (already narrowed to the chosen ones); `headers` is
+ * 'name' for question-name headers or 'title' for question titles.
+ * Rows are generated in chunks with a yield in between, and
+ * `onProgress({ phase: 'writing', done, total })` reports each chunk.
+ */
+export async function exportResponses({ responses, columns, format = EXPORT_FORMATS.CSV, headers = 'name', onProgress }) {
+  const write = WRITERS[format];
+  if (!write) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const header = columns.map((column) => (headers === 'title' ? column.title : column.key));
+  let done = 0;
+
+  async function* rows() {
+    for (let start = 0; start < responses.length; start += ROWS_PER_CHUNK) {
+      for (const response of responses.slice(start, start + ROWS_PER_CHUNK)) {
+        yield columns.map((column) => column.get(response));
+      }
+      onProgress?.({ phase: 'writing', done, total: responses.length });
+      await nextTick();
+    }
+  }
+
+  const blob = await write(header, rows(), () => { done += 1; });
+  onProgress?.({ phase: 'writing', done, total: responses.length });
+  return blob;
+}
+
+// File name for a module's export, e.g. "customer-feedback-responses-2024-05-01.xlsx"
+export function exportFilename(module, format) {
+  return `${fileSlug(module?.name)}-responses-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
@@ -0,0 +1,39 @@
+/**
+ * Records survey runs of one module as responses: the first progress
+ * report of a run creates a partial response, later ones update it, and
+ * complete() turns it into a submitted response. Runs whose partial
+ * response could not be created are submitted as new responses.
+ * `extra` ({ respondentId, channel }) is stored on every response.
+ */
+export function createResponseSession(apiService, moduleId, extra = {}) {
+  // The current run: { runId, response } where response is a promise
+  let run = null;
+
+  return {
+    // SurveyRunner's onProgress
+    progress(progress) {
+      if (!run || run.runId !== progress.runId) {
+        run = {
+          runId: progress.runId,
+          response: apiService.startResponse(moduleId, { ...progress, ...extra }).catch((error) => {
+            console.warn('Failed to record response start:', error);
+            return null;
+          }),
+        };
+        return;
+      }
+      run.response.then((response) => response && apiService.updateResponseProgress(response.id, progress));
+    },
+
+    // SurveyRunner's onComplete; resolves with the submitted response
+    async complete(answers, scores, timing = {}) {
+      const response = run?.runId === timing.runId ? await run.response : null;
+      const details = { ...extra, scores, startedAt: timing.startedAt, durationMs: timing.durationMs };
+      const result = response
+        ? await apiService.completeResponse(response.id, answers, details)
+        : await apiService.submitResponse(moduleId, answers, details);
+      run = null;
+      return result;
+    },
+  };
+}
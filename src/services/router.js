@@ -0,0 +1,126 @@
+// Client-side routes on top of the History API. Screens are addressed by
+// path so they survive reloads, can be bookmarked and follow the browser's
+// back and forward buttons.
+
+export const ROUTES = {
+  MODULES: '/modules',
+  NEW_MODULE: '/modules/new',
+  TRASH: '/modules/trash',
+  EDIT_MODULE: '/modules/:id/edit',
+  VIEW_MODULE: '/modules/:id/view',
+  MODULE_RESPONSES: '/modules/:id/responses',
+  MODULE_ANALYTICS: '/modules/:id/analytics',
+  MODULE_TRANSLATIONS: '/modules/:id/translations',
+  // Respondent-facing runner behind a module's share token
+  PUBLIC_SURVEY: '/s/:token',
+};
+
+// Tried in order, so fixed paths come before parameterized ones
+const ROUTE_ORDER = [
+  ROUTES.MODULES,
+  ROUTES.NEW_MODULE,
+  ROUTES.TRASH,
+  ROUTES.EDIT_MODULE,
+  ROUTES.VIEW_MODULE,
+  ROUTES.MODULE_RESPONSES,
+  ROUTES.MODULE_ANALYTICS,
+  ROUTES.MODULE_TRANSLATIONS,
+  ROUTES.PUBLIC_SURVEY,
+];
+
+const compile = (pattern) => {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${source}/?$`), names };
+};
+
+const COMPILED = ROUTE_ORDER.map((pattern) => ({ pattern, ...compile(pattern) }));
+
+/**
+ * Match a pathname against the routes. Returns `{ route, params }` where
+ * `route` is one of ROUTES, or null when nothing matches.
+ */
+export function matchRoute(pathname) {
+  for (const { pattern, regex, names } of COMPILED) {
+    const match = regex.exec(pathname);
+    if (match) {
+      const params = Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+      return { route: pattern, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the path for a route, e.g. routePath(ROUTES.EDIT_MODULE, { id: 3 }).
+ */
+export function routePath(route, params = {}) {
+  return route.replace(/:(\w+)/g, (_, name) => encodeURIComponent(String(params[name])));
+}
+
+const listeners = new Set();
+let guard = null;
+let currentUrl = typeof window !== 'undefined' ? window.location.href : '';
+
+const notify = () => listeners.forEach((listener) => listener(window.location));
+
+// Ask before leaving when the active guard reports something would be lost
+const confirmLeave = () => {
+  const reason = guard?.();
+  return !reason || window.confirm(reason);
+};
+
+/**
+ * Go to `path` (which may carry a query string). Returns false when the user
+ * chose to stay on the current screen.
+ */
+export function navigate(path, { replace = false } = {}) {
+  if (!replace && !confirmLeave()) return false;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+  currentUrl = window.location.href;
+  notify();
+  return true;
+}
+
+/**
+ * Listen to location changes from navigate() and the back/forward buttons.
+ * Returns an unsubscribe function.
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Register the check run before leaving the current screen. `check()`
+ * returns a message to confirm with the user, or nothing to leave freely.
+ * Returns a function that removes the guard.
+ */
+export function setNavigationGuard(check) {
+  guard = check;
+  return () => {
+    if (guard === check) guard = null;
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('popstate', () => {
+    // History has already moved; put the previous entry back if the user stays
+    if (!confirmLeave()) {
+      window.history.pushState(null, '', currentUrl);
+      return;
+    }
+    currentUrl = window.location.href;
+    notify();
+  });
+
+  window.addEventListener('beforeunload', (event) => {
+    if (guard?.()) {
+      event.preventDefault();
+      event.returnValue = '';
+    }
+  });
+}
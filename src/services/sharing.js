@@ -0,0 +1,99 @@
+import { MODULE_STATUS } from './moduleStatus';
+import { routePath, ROUTES } from './router';
+
+// Per-module settings for the public fill-out link, stored as `module.sharing`.
+// The link's token is kept at the top level (`module.shareToken`) so every
+// storage backend can look a module up by it.
+export const DEFAULT_SHARING = {
+  enabled: false,
+  opensAt: null,
+  closesAt: null,
+  maxResponses: null,
+  onePerBrowser: false,
+  closedMessage: '',
+};
+
+// Why a survey is not accepting responses
+export const CLOSED_REASONS = {
+  NOT_SHARED: 'not-shared',
+  NOT_OPEN: 'not-open',
+  CLOSED: 'closed',
+  FULL: 'full',
+  ALREADY_RESPONDED: 'already-responded',
+};
+
+export const DEFAULT_CLOSED_MESSAGE = 'This survey is not accepting responses right now.';
+
+const RESPONDENT_KEY = 'survey-respondent-id';
+
+const randomId = (length) => {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => 'abcdefghijklmnopqrstuvwxyz0123456789'[byte % 36]).join('');
+};
+
+// Unguessable token for a module's public link
+export const createShareToken = () => randomId(16);
+
+export const sharingOf = (module) => ({ ...DEFAULT_SHARING, ...(module?.sharing || {}) });
+
+// Path and absolute URL of a module's public link
+export const publicSurveyPath = (token) => routePath(ROUTES.PUBLIC_SURVEY, { token });
+export const publicSurveyUrl = (token) => `${window.location.origin}${publicSurveyPath(token)}`;
+
+/**
+ * Identifies this browser to enforce one response per browser. Created on
+ * first use and kept in localStorage; clearing site data resets it.
+ */
+export function getRespondentId() {
+  try {
+    let id = window.localStorage.getItem(RESPONDENT_KEY);
+    if (!id) {
+      id = randomId(20);
+      window.localStorage.setItem(RESPONDENT_KEY, id);
+    }
+    return id;
+  } catch (error) {
+    console.warn('Failed to read the respondent id from localStorage:', error);
+    return null;
+  }
+}
+
+/**
+ * Whether a module accepts a response now. Public submissions also need
+ * the link enabled on a published module; the dates and response limit
+ * apply to every submission, and trashed modules take none. Returns
+ * `{ open, reason }`.
+ */
+export function checkAvailability(module, { isPublic = false, responseCount = 0, alreadyResponded = false, now = new Date() } = {}) {
+  const sharing = sharingOf(module);
+  const time = now.toISOString();
+  let reason = null;
+
+  if (module.deleted) {
+    reason = CLOSED_REASONS.CLOSED;
+  } else if (isPublic && (!sharing.enabled || module.status !== MODULE_STATUS.PUBLISHED)) {
+    reason = CLOSED_REASONS.NOT_SHARED;
+  } else if (sharing.opensAt && time < sharing.opensAt) {
+    reason = CLOSED_REASONS.NOT_OPEN;
+  } else if (sharing.closesAt && time >= sharing.closesAt) {
+    reason = CLOSED_REASONS.CLOSED;
+  } else if (sharing.maxResponses && responseCount >= sharing.maxResponses) {
+    reason = CLOSED_REASONS.FULL;
+  } else if (isPublic && sharing.onePerBrowser && alreadyResponded) {
+    reason = CLOSED_REASONS.ALREADY_RESPONDED;
+  }
+  return { open: reason === null, reason };
+}
+
+// Text shown to respondents for a closed reason
+export function closedMessageFor(module, reason) {
+  const sharing = sharingOf(module);
+  if (reason === CLOSED_REASONS.ALREADY_RESPONDED) {
+    return 'You have already responded to this survey. Thank you!';
+  }
+  if (reason === CLOSED_REASONS.NOT_OPEN && !sharing.closedMessage) {
+    return `This survey opens on ${new Date(sharing.opensAt).toLocaleString()}.`;
+  }
+  return sharing.closedMessage || DEFAULT_CLOSED_MESSAGE;
+}
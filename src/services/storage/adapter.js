@@ -0,0 +1,46 @@
+/**
+ * Storage adapters give apiService a small document-store interface so the
+ * builder can run against json-server, Supabase or the browser.
+ *
+ * Every adapter exposes:
+ *   name                                  backend identifier
+ *   description                           where the data lives (URL, key prefix)
+ *   health()                              -> boolean
+ *   list(collection, query)               -> { items, total }
+ *   get(collection, id)                   -> record (throws StorageNotFoundError)
+ *   create(collection, data)              -> record with generated id
+ *   replace(collection, id, data)         -> record
+ *   patch(collection, id, partial)        -> record
+ *   remove(collection, id)                -> void
+ *
+ * `query` follows json-server conventions:
+ *   filters   { field: value | value[] , field_gte, field_lte, field_ne, field_like }
+ *             (`_like` is a case-insensitive substring match on every backend;
+ *             like the other operators, `_ne` skips records that lack the field)
+ *   q         full-text search over the whole record
+ *   sort      field name, order 'asc' | 'desc'
+ *   page, pageSize   1-based pagination; omit both to get every record
+ */
+
+export class StorageNotFoundError extends Error {
+  constructor(collection, id) {
+    super(`${collection}/${id} not found`);
+    this.name = 'StorageNotFoundError';
+    this.collection = collection;
+    this.id = id;
+  }
+}
+
+// Short random ids, the same shape json-server generates
+export const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID().replace(/-/g, '').slice(0, 12);
+  }
+  return Math.random().toString(36).slice(2, 14);
+};
+
+// Split a json-server style filter key into field and operator
+export const parseFilterKey = (key) => {
+  const match = key.match(/^(.+)_(gte|lte|ne|like)$/);
+  return match ? { field: match[1], operator: match[2] } : { field: key, operator: 'eq' };
+};
@@ -0,0 +1,52 @@
+import { createClient } from '@supabase/supabase-js';
+import { createJsonServerAdapter } from './jsonServerAdapter';
+import { createLocalAdapter } from './localAdapter';
+import { createSupabaseAdapter } from './supabaseAdapter';
+import { getRespondentId } from '../sharing';
+import sampleData from '../../../db.json';
+
+export { StorageNotFoundError } from './adapter';
+
+// One Supabase client for storage and sign-in, or null on other backends
+export function createSupabaseClient(env = {}) {
+  if ((env.VITE_STORAGE_BACKEND || 'json-server') !== 'supabase') return null;
+  if (!env.VITE_SUPABASE_URL || !env.VITE_SUPABASE_ANON_KEY) {
+    throw new Error('VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are required for the supabase backend');
+  }
+  // Row level security lets respondents read back the responses carrying this id
+  const respondentId = getRespondentId();
+  return createClient(env.VITE_SUPABASE_URL, env.VITE_SUPABASE_ANON_KEY, {
+    global: { headers: respondentId ? { 'x-respondent-id': respondentId } : {} },
+  });
+}
+
+/**
+ * Pick the storage backend from Vite env config:
+ *   VITE_STORAGE_BACKEND   json-server (default) | supabase | local
+ *   VITE_API_BASE_URL      json-server URL, default http://localhost:4000
+ *   VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY   for the supabase backend
+ */
+export function createStorageAdapter(env = {}, { supabaseClient } = {}) {
+  const backend = env.VITE_STORAGE_BACKEND || 'json-server';
+
+  switch (backend) {
+    case 'supabase': {
+      const client = supabaseClient || createSupabaseClient(env);
+      return createSupabaseAdapter(client, {
+        description: env.VITE_SUPABASE_URL,
+        publicViews: { modules: 'public_modules' },
+      });
+    }
+    case 'local':
+      // Start from the same sample modules as json-server
+      return createLocalAdapter({ seed: sampleData });
+    case 'json-server':
+      return createJsonServerAdapter({ baseUrl: env.VITE_API_BASE_URL || 'http://localhost:4000' });
+    default:
+      throw new Error(`Unknown storage backend "${backend}"`);
+  }
+}
+
+export const supabaseClient = createSupabaseClient(import.meta.env);
+
+export const storage = createStorageAdapter(import.meta.env, { supabaseClient });
@@ -0,0 +1,117 @@
+import { StorageNotFoundError } from './adapter';
+
+// Helper function to handle API responses with detailed error info
+const handleResponse = async (response, context = '') => {
+  if (!response.ok) {
+    let errorMessage = `HTTP ${response.status}`;
+    try {
+      const errorText = await response.text();
+      errorMessage += `: ${errorText}`;
+    } catch (e) {
+      errorMessage += ': Unknown error';
+    }
+    console.error(`API Error in ${context}:`, errorMessage);
+    throw new Error(errorMessage);
+  }
+  return response.json();
+};
+
+// json-server treats `_like` values as regular expressions
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildParams = ({ filters = {}, q, sort, order, page, pageSize } = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((item) => params.append(key, key.endsWith('_like') ? escapeRegExp(item) : String(item)));
+  });
+  if (q) params.set('q', q);
+  if (sort) {
+    params.set('_sort', sort);
+    params.set('_order', order || 'asc');
+  }
+  if (page && pageSize) {
+    params.set('_page', String(page));
+    params.set('_limit', String(pageSize));
+  }
+  return params;
+};
+
+/**
+ * Adapter for a json-server REST API (`npm run server`).
+ */
+export function createJsonServerAdapter({ baseUrl = 'http://localhost:4000' } = {}) {
+  const send = async (method, path, body, context) => {
+    const response = await fetch(`${baseUrl}/${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { response, result: response.status === 404 ? null : await handleResponse(response, context) };
+  };
+
+  return {
+    name: 'json-server',
+    description: baseUrl,
+
+    // Helper function to check if json-server is running
+    async health() {
+      try {
+        const response = await fetch(`${baseUrl}/modules?_limit=1`);
+        return response.ok;
+      } catch (error) {
+        console.error('Server health check failed:', error);
+        return false;
+      }
+    },
+
+    async list(collection, query = {}) {
+      const params = buildParams(query);
+      const response = await fetch(`${baseUrl}/${collection}?${params}`);
+      const items = await handleResponse(response, `list ${collection}`);
+
+      // json-server reports the unpaginated count in X-Total-Count
+      const total = Number(response.headers.get('X-Total-Count')) || items.length;
+      return { items, total };
+    },
+
+    async get(collection, id) {
+      const response = await fetch(`${baseUrl}/${collection}/${id}`);
+      if (response.status === 404) {
+        throw new StorageNotFoundError(collection, id);
+      }
+      return handleResponse(response, `get ${collection}`);
+    },
+
+    async create(collection, data) {
+      const { result } = await send('POST', collection, data, `create ${collection}`);
+      return result;
+    },
+
+    async replace(collection, id, data) {
+      const { response, result } = await send('PUT', `${collection}/${id}`, data, `replace ${collection}`);
+      if (response.status === 404) {
+        throw new StorageNotFoundError(collection, id);
+      }
+      return result;
+    },
+
+    async patch(collection, id, partial) {
+      const { response, result } = await send('PATCH', `${collection}/${id}`, partial, `patch ${collection}`);
+      if (response.status === 404) {
+        throw new StorageNotFoundError(collection, id);
+      }
+      return result;
+    },
+
+    async remove(collection, id) {
+      const { response } = await send('DELETE', `${collection}/${id}`, undefined, `remove ${collection}`);
+      if (response.status === 404) {
+        throw new StorageNotFoundError(collection, id);
+      }
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import { StorageNotFoundError, generateId } from './adapter';
+import { applyQuery } from './query';
+
+/**
+ * Browser-only adapter for offline demos. Each collection is kept as a JSON
+ * array in localStorage under `<prefix><collection>`; collections that have
+ * never been written start from `seed` (typically the contents of db.json).
+ */
+export function createLocalAdapter({ prefix = 'module-builder:', seed = {}, storage } = {}) {
+  const store = storage || (typeof window !== 'undefined' ? window.localStorage : null);
+  const memory = {};
+
+  const read = (collection) => {
+    const key = `${prefix}${collection}`;
+    try {
+      const raw = store ? store.getItem(key) : memory[key];
+      if (raw) return JSON.parse(raw);
+    } catch (error) {
+      console.warn(`Failed to read ${key} from local storage:`, error);
+    }
+    return JSON.parse(JSON.stringify(seed[collection] || []));
+  };
+
+  const write = (collection, records) => {
+    const key = `${prefix}${collection}`;
+    const raw = JSON.stringify(records);
+    if (store) {
+      store.setItem(key, raw);
+    } else {
+      memory[key] = raw;
+    }
+  };
+
+  const findIndex = (records, collection, id) => {
+    const index = records.findIndex((record) => String(record.id) === String(id));
+    if (index < 0) {
+      throw new StorageNotFoundError(collection, id);
+    }
+    return index;
+  };
+
+  return {
+    name: 'local',
+    description: store ? `localStorage (${prefix}*)` : 'in-memory',
+
+    async health() {
+      return true;
+    },
+
+    async list(collection, query = {}) {
+      return applyQuery(read(collection), query);
+    },
+
+    async get(collection, id) {
+      const records = read(collection);
+      return records[findIndex(records, collection, id)];
+    },
+
+    async create(collection, data) {
+      const records = read(collection);
+      const record = { ...data, id: data.id ?? generateId() };
+      write(collection, [...records, record]);
+      return record;
+    },
+
+    async replace(collection, id, data) {
+      const records = read(collection);
+      const index = findIndex(records, collection, id);
+      records[index] = { ...data, id: records[index].id };
+      write(collection, records);
+      return records[index];
+    },
+
+    async patch(collection, id, partial) {
+      const records = read(collection);
+      const index = findIndex(records, collection, id);
+      records[index] = { ...records[index], ...partial, id: records[index].id };
+      write(collection, records);
+      return records[index];
+    },
+
+    async remove(collection, id) {
+      const records = read(collection);
+      const index = findIndex(records, collection, id);
+      records.splice(index, 1);
+      write(collection, records);
+    },
+  };
+}
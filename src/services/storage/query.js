@@ -0,0 +1,61 @@
+import { parseFilterKey } from './adapter';
+
+const getField = (record, path) =>
+  path.split('.').reduce((value, key) => (value == null ? value : value[key]), record);
+
+const matchesFilter = (record, key, expected) => {
+  const { field, operator } = parseFilterKey(key);
+  const actual = getField(record, field);
+
+  switch (operator) {
+    case 'gte':
+      return actual != null && String(actual) >= String(expected);
+    case 'lte':
+      return actual != null && String(actual) <= String(expected);
+    case 'ne':
+      return actual != null && String(actual) !== String(expected);
+    case 'like':
+      return actual != null && String(actual).toLowerCase().includes(String(expected).toLowerCase());
+    default: {
+      const allowed = Array.isArray(expected) ? expected : [expected];
+      return allowed.some((value) => String(actual) === String(value));
+    }
+  }
+};
+
+const compareValues = (a, b) => {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+/**
+ * Apply a storage query (filters, q, sort, pagination) to records in memory.
+ * Used by adapters that have no query engine of their own.
+ */
+export function applyQuery(records, { filters = {}, q, sort, order = 'asc', page, pageSize } = {}) {
+  let items = records.filter((record) =>
+    Object.entries(filters)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .every(([key, value]) => matchesFilter(record, key, value))
+  );
+
+  if (q) {
+    const needle = String(q).toLowerCase();
+    items = items.filter((record) => JSON.stringify(record).toLowerCase().includes(needle));
+  }
+
+  if (sort) {
+    const direction = order === 'desc' ? -1 : 1;
+    items = [...items].sort((a, b) => direction * compareValues(getField(a, sort), getField(b, sort)));
+  }
+
+  const total = items.length;
+  if (page && pageSize) {
+    items = items.slice((page - 1) * pageSize, page * pageSize);
+  }
+
+  return { items, total };
+}
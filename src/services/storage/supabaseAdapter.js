@@ -0,0 +1,151 @@
+import { StorageNotFoundError, generateId, parseFilterKey } from './adapter';
+
+const toRecord = (row) => ({ ...row.data, id: row.id });
+
+// The id lives in its own column, never inside `data`
+const withoutId = (record) => {
+  const data = { ...record };
+  delete data.id;
+  return data;
+};
+
+const throwOnError = (error, context) => {
+  if (error) {
+    console.error(`Supabase error in ${context}:`, error);
+    throw new Error(error.message || String(error));
+  }
+};
+
+/**
+ * Adapter for Supabase (or any PostgREST server). Each collection is a table
+ * holding whole records as JSON, see supabase/schema.sql:
+ *   id text primary key, data jsonb, search text (generated from data)
+ *
+ * `client` is a supabase-js client; pass one pointed at a local stand-in
+ * (e.g. `supabase start`) for development and tests. Signed-out visitors
+ * read the collections named in `publicViews` through those views instead,
+ * since row level security keeps them out of the tables.
+ */
+export function createSupabaseAdapter(client, { description = 'supabase', publicViews = {} } = {}) {
+  const readSource = async (collection) => {
+    if (!publicViews[collection]) return collection;
+    const { data } = await client.auth.getSession();
+    return data.session ? collection : publicViews[collection];
+  };
+
+  const applyFilters = (request, filters = {}) => {
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      const { field, operator } = parseFilterKey(key);
+      const column = field === 'id' ? 'id' : `data->>${field}`;
+
+      switch (operator) {
+        case 'gte':
+          request = request.gte(column, String(value));
+          break;
+        case 'lte':
+          request = request.lte(column, String(value));
+          break;
+        case 'ne':
+          // Records without the field are left out, as on json-server
+          request = request.neq(column, String(value));
+          break;
+        case 'like':
+          request = request.ilike(column, `%${String(value).replace(/[%_\\]/g, '\\$&')}%`);
+          break;
+        default:
+          request = Array.isArray(value)
+            ? request.in(column, value.map(String))
+            : request.eq(column, String(value));
+      }
+    });
+    return request;
+  };
+
+  const fetchRow = async (collection, id) => {
+    const { data, error } = await client.from(await readSource(collection)).select('id, data').eq('id', String(id)).maybeSingle();
+    throwOnError(error, `get ${collection}`);
+    if (!data) {
+      throw new StorageNotFoundError(collection, id);
+    }
+    return data;
+  };
+
+  const writeRow = async (collection, id, data, context) => {
+    const { data: row, error } = await client
+      .from(collection)
+      .update({ data })
+      .eq('id', String(id))
+      .select('id, data')
+      .maybeSingle();
+    throwOnError(error, context);
+    if (!row) {
+      throw new StorageNotFoundError(collection, id);
+    }
+    return toRecord(row);
+  };
+
+  return {
+    name: 'supabase',
+    description,
+
+    async health() {
+      try {
+        const { error } = await client.from('modules').select('id').limit(1);
+        return !error;
+      } catch (error) {
+        console.error('Supabase health check failed:', error);
+        return false;
+      }
+    },
+
+    async list(collection, { filters, q, sort, order = 'asc', page, pageSize } = {}) {
+      let request = client.from(await readSource(collection)).select('id, data', { count: 'exact' });
+      request = applyFilters(request, filters);
+      if (q) {
+        request = request.ilike('search', `%${q}%`);
+      }
+      if (sort) {
+        request = request.order(sort === 'id' ? 'id' : `data->${sort}`, { ascending: order !== 'desc' });
+      }
+      if (page && pageSize) {
+        request = request.range((page - 1) * pageSize, page * pageSize - 1);
+      }
+
+      const { data, count, error } = await request;
+      throwOnError(error, `list ${collection}`);
+      return { items: data.map(toRecord), total: count ?? data.length };
+    },
+
+    async get(collection, id) {
+      return toRecord(await fetchRow(collection, id));
+    },
+
+    async create(collection, record) {
+      const { data: row, error } = await client
+        .from(collection)
+        .insert({ id: String(record.id ?? generateId()), data: withoutId(record) })
+        .select('id, data')
+        .single();
+      throwOnError(error, `create ${collection}`);
+      return toRecord(row);
+    },
+
+    async replace(collection, id, record) {
+      return writeRow(collection, id, withoutId(record), `replace ${collection}`);
+    },
+
+    async patch(collection, id, partial) {
+      const existing = await fetchRow(collection, id);
+      return writeRow(collection, id, { ...existing.data, ...withoutId(partial) }, `patch ${collection}`);
+    },
+
+    async remove(collection, id) {
+      const { data, error } = await client.from(collection).delete().eq('id', String(id)).select('id');
+      throwOnError(error, `remove ${collection}`);
+      if (!data || data.length === 0) {
+        throw new StorageNotFoundError(collection, id);
+      }
+    },
+  };
+}
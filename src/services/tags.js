@@ -0,0 +1,24 @@
+// Free-form labels on modules (`module.tags`), used to group surveys in the
+// module list. Tags are trimmed and compared case-insensitively.
+
+/**
+ * Clean a tag list: trimmed, without empties and without duplicates that
+ * differ only in case (the first spelling wins).
+ */
+export function normalizeTags(tags) {
+  const seen = new Set();
+  return (Array.isArray(tags) ? tags : [])
+    .map((tag) => String(tag ?? '').trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Tags after adding `add` and removing `remove`
+export function applyTagChanges(tags, { add = [], remove = [] } = {}) {
+  const removed = new Set(normalizeTags(remove).map((tag) => tag.toLowerCase()));
+  return normalizeTags([...(tags || []), ...add]).filter((tag) => !removed.has(tag.toLowerCase()));
+}
@@ -0,0 +1,171 @@
+import { collectTranslatableStrings, DEFAULT_LOCALE } from '../survey/translations';
+import { escapeFormula, unescapeFormula } from './download';
+
+// Exchange formats for sending survey texts to translators and reading
+// their work back: CSV with one column per locale, or XLIFF per locale.
+
+// Thrown by the parsers when a file cannot be read as translations
+export class TranslationFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranslationFileError';
+  }
+}
+
+const CSV_FIXED_COLUMNS = ['key', 'context', DEFAULT_LOCALE];
+
+// Survey text can start like a formula; translators open the file in a spreadsheet
+const csvCell = (value) => {
+  const text = escapeFormula(value === undefined || value === null ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Text shown for an entry in the survey's own language
+const sourceText = (entry) => entry.values[DEFAULT_LOCALE] || entry.fallback || '';
+
+/**
+ * CSV with a row per translatable string: key, context, the default text
+ * and one column per target locale.
+ */
+export function exportTranslationsCsv(surveyJson, locales) {
+  const rows = collectTranslatableStrings(surveyJson).map((entry) => [
+    entry.key,
+    entry.context,
+    sourceText(entry),
+    ...locales.map((locale) => entry.values[locale] || ''),
+  ]);
+  return '\uFEFF' + [[...CSV_FIXED_COLUMNS, ...locales], ...rows]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// RFC 4180 records; quoted cells may contain commas, quotes and line breaks
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records.filter((cells) => cells.some((value) => value !== ''));
+};
+
+/**
+ * Read a translations CSV. Returns `{ locales, updates: [{ key, locale, text }] }`;
+ * empty cells are skipped so they never erase existing translations.
+ */
+export function parseTranslationsCsv(text) {
+  const [header, ...rows] = parseCsv(text).map((cells) => cells.map(unescapeFormula));
+  const keyColumn = header ? header.indexOf('key') : -1;
+  if (keyColumn < 0) {
+    throw new TranslationFileError('The CSV file has no "key" column');
+  }
+  const localeColumns = header
+    .map((name, index) => ({ locale: name.trim(), index }))
+    .filter(({ locale }) => locale && !CSV_FIXED_COLUMNS.includes(locale));
+
+  const updates = rows.flatMap((cells) => localeColumns
+    .filter(({ index }) => cells[index])
+    .map(({ locale, index }) => ({ key: cells[keyColumn], locale, text: cells[index] })));
+  return { locales: localeColumns.map(({ locale }) => locale), updates };
+}
+
+const xmlEscape = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * XLIFF 1.2 document for one target locale. `sourceLanguage` is the
+ * survey's own language and `original` names the module.
+ */
+export function exportXliff(surveyJson, locale, { sourceLanguage = 'en', original = 'survey' } = {}) {
+  const units = collectTranslatableStrings(surveyJson).map((entry) => {
+    const target = entry.values[locale];
+    return [
+      `      <trans-unit id="${xmlEscape(entry.key)}">`,
+      `        <source>${xmlEscape(sourceText(entry))}</source>`,
+      target ? `        <target>${xmlEscape(target)}</target>` : null,
+      `        <note>${xmlEscape(entry.context)}</note>`,
+      '      </trans-unit>',
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    `  <file source-language="${xmlEscape(sourceLanguage)}" target-language="${xmlEscape(locale)}" datatype="plaintext" original="${xmlEscape(original)}">`,
+    '    <body>',
+    ...units,
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Read an XLIFF 1.2 or 2.0 file. Returns `{ locale, updates }` where the
+ * locale is the file's target language; units without a target are skipped.
+ */
+export function parseXliff(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new TranslationFileError('The XLIFF file is not valid XML');
+  }
+  const root = doc.documentElement;
+  if (root.localName !== 'xliff') {
+    throw new TranslationFileError('The file is not an XLIFF document');
+  }
+
+  const file = root.getElementsByTagNameNS('*', 'file')[0];
+  const locale = root.getAttribute('trgLang') || file?.getAttribute('target-language');
+  if (!locale) {
+    throw new TranslationFileError('The XLIFF file does not name a target language');
+  }
+
+  // 1.2 uses <trans-unit>, 2.0 uses <unit> with <segment>s
+  const units = [
+    ...root.getElementsByTagNameNS('*', 'trans-unit'),
+    ...root.getElementsByTagNameNS('*', 'unit'),
+  ];
+  const updates = units
+    .map((unit) => ({
+      key: unit.getAttribute('id'),
+      target: unit.getElementsByTagNameNS('*', 'target')[0],
+    }))
+    .filter(({ key, target }) => key && target && target.textContent !== '')
+    .map(({ key, target }) => ({ key, locale, text: target.textContent }));
+  return { locale, updates };
+}
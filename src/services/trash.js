@@ -0,0 +1,14 @@
+// Deleted modules are kept in the trash (`deleted: true`, `deletedAt`,
+// `deletedBy`) and can be restored until they are purged for good.
+
+// Days a module stays in the trash before it is purged
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a trashed module will be purged
+export const purgeDateOf = (module) =>
+  new Date(new Date(module.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+export const isPurgeDue = (module, now = new Date()) =>
+  Boolean(module?.deleted && module.deletedAt) && purgeDateOf(module) <= now;
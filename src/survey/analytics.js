@@ -0,0 +1,193 @@
+import { collectQuestions } from "./diff";
+
+// Question types summarized as a distribution over their choices
+const CHOICE_TYPES = ["radiogroup", "dropdown", "checkbox", "tagbox", "imagepicker", "buttongroup", "boolean"];
+const TEXT_TYPES = ["comment", "text"];
+
+const choiceValue = (choice) =>
+  choice !== null && typeof choice === "object" ? choice.value : choice;
+
+const choiceText = (choice) =>
+  choice !== null && typeof choice === "object" ? choice.text ?? choice.value : choice;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+const percent = (count, total) => (total ? Math.round((count / total) * 100) : 0);
+
+// When a response was started (legacy responses only have submittedAt)
+export const responseDate = (response) => response.startedAt || response.submittedAt;
+
+// The values a rating question can take, in scale order
+const ratingScale = (question) => {
+  if (Array.isArray(question.rateValues) && question.rateValues.length > 0) {
+    return question.rateValues.map((item) => ({ value: choiceValue(item), text: String(choiceText(item)) }));
+  }
+  const min = question.rateMin ?? 1;
+  const max = question.rateMax ?? 5;
+  const step = question.rateStep ?? 1;
+  const scale = [];
+  for (let value = min; value <= max; value += step) {
+    scale.push({ value, text: String(value) });
+  }
+  return scale;
+};
+
+/**
+ * NPS-style split of answers on an ordinal scale. On a 0-10 scale this is
+ * the classic 9-10 promoters / 7-8 passives / 0-6 detractors; other scales
+ * use the same relative cut-offs (90% and 70% of the way up the scale).
+ */
+export function npsBreakdown(values, scale) {
+  const positions = new Map(scale.map((item, index) => [String(item.value), index / Math.max(scale.length - 1, 1)]));
+  const counts = { promoters: 0, passives: 0, detractors: 0 };
+  values.forEach((value) => {
+    const position = positions.get(String(value));
+    if (position === undefined) return;
+    if (position >= 0.9) counts.promoters += 1;
+    else if (position >= 0.7) counts.passives += 1;
+    else counts.detractors += 1;
+  });
+  const total = counts.promoters + counts.passives + counts.detractors;
+  return {
+    ...counts,
+    total,
+    score: total ? Math.round(((counts.promoters - counts.detractors) / total) * 100) : null,
+  };
+}
+
+const distribution = (options, answers) => {
+  const counts = new Map(options.map((option) => [String(option.value), 0]));
+  let other = 0;
+  answers.forEach((answer) => {
+    (Array.isArray(answer) ? answer : [answer]).forEach((value) => {
+      const key = String(value);
+      if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+      else other += 1;
+    });
+  });
+  const rows = options.map((option) => ({
+    value: option.value,
+    text: option.text,
+    count: counts.get(String(option.value)),
+    percent: percent(counts.get(String(option.value)), answers.length),
+  }));
+  if (other > 0) {
+    rows.push({ value: "__other", text: "Other", count: other, percent: percent(other, answers.length) });
+  }
+  return rows;
+};
+
+const summarizeQuestion = (question, completed) => {
+  const answered = completed.filter((response) => {
+    const value = response.data?.[question.name];
+    return value !== undefined && value !== null && value !== "" && !(Array.isArray(value) && value.length === 0);
+  });
+  const answers = answered.map((response) => response.data[question.name]);
+  const summary = {
+    name: question.name,
+    title: question.title || question.name,
+    type: question.type,
+    pageName: question.pageName,
+    answered: answered.length,
+    skipped: completed.length - answered.length,
+  };
+
+  if (question.type === "rating") {
+    const scale = ratingScale(question);
+    const numbers = answers.map(Number).filter(Number.isFinite);
+    return {
+      ...summary,
+      kind: "rating",
+      distribution: distribution(scale, answers),
+      average: average(numbers),
+      nps: npsBreakdown(answers, scale),
+    };
+  }
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    const options = question.type === "boolean"
+      ? [
+        { value: question.valueTrue ?? true, text: question.labelTrue || "Yes" },
+        { value: question.valueFalse ?? false, text: question.labelFalse || "No" },
+      ]
+      : (question.choices || []).map((choice) => ({ value: choiceValue(choice), text: String(choiceText(choice)) }));
+    return { ...summary, kind: "choice", distribution: distribution(options, answers) };
+  }
+
+  if (TEXT_TYPES.includes(question.type)) {
+    return {
+      ...summary,
+      kind: "text",
+      answers: answered.map((response) => ({
+        responseId: response.id,
+        text: String(response.data[question.name]),
+        submittedAt: response.submittedAt,
+      })),
+    };
+  }
+
+  return { ...summary, kind: "other" };
+};
+
+/**
+ * Aggregate a module's responses (partial ones included) for the analytics
+ * view. `from`/`to` are ISO timestamps limiting when responses were started.
+ */
+export function analyzeResponses(surveyJson, responses, { from, to } = {}) {
+  const inRange = responses.filter((response) => {
+    const date = responseDate(response);
+    return (!from || (date && date >= from)) && (!to || (date && date <= to));
+  });
+  const completed = inRange.filter((response) => response.status !== "partial");
+  const pages = (surveyJson?.pages || []).map((page) => page.name);
+
+  // Page a partial response stopped on, by name since hidden pages shift numbers
+  const stoppedAt = (response) => {
+    const index = pages.indexOf(response.lastPageName);
+    return index >= 0 ? index : response.lastPageNo ?? 0;
+  };
+  // Furthest page each respondent reached; completed responses saw every page
+  const furthestPage = (response) =>
+    response.status === "partial" ? stoppedAt(response) : pages.length - 1;
+
+  const funnel = pages.map((name, index) => {
+    const reached = inRange.filter((response) => furthestPage(response) >= index).length;
+    const droppedOff = inRange.filter(
+      (response) => response.status === "partial" && stoppedAt(response) === index
+    ).length;
+    return {
+      name,
+      reached,
+      reachedPercent: percent(reached, inRange.length),
+      droppedOff,
+      dropOffPercent: percent(droppedOff, reached),
+    };
+  });
+
+  const durations = completed
+    .map((response) => response.durationMs)
+    .filter((duration) => Number.isFinite(duration) && duration > 0);
+
+  const questions = [...collectQuestions(surveyJson).values()]
+    .filter((question) => !["panel", "paneldynamic", "html", "image", "expression"].includes(question.type))
+    .map((question) => summarizeQuestion(question, completed));
+
+  return {
+    started: inRange.length,
+    completed: completed.length,
+    completionRate: percent(completed.length, inRange.length),
+    averageDurationMs: average(durations),
+    medianDurationMs: median(durations),
+    timedResponses: durations.length,
+    funnel,
+    questions,
+  };
+}
@@ -0,0 +1,93 @@
+import { Serializer } from "survey-core";
+
+// Property grid category that groups our assessment settings
+const PROPERTY_CATEGORY = "assessment";
+
+export const QUESTION_CATEGORIES = ["Standard", "Core", "Advanced", "Optional"];
+export const ASSESSMENT_TYPES = ["Performance", "Understanding", "Knowledge", "Behavior"];
+export const WEIGHT_MIN = 0;
+export const WEIGHT_MAX = 10;
+export const DEFAULT_WEIGHT = 1;
+
+/**
+ * Register the assessment properties used by our modules on every question
+ * type so they are serialized and editable in the Creator property grid.
+ * Safe to call more than once.
+ */
+export function registerCustomProperties() {
+  if (Serializer.findProperty("question", "weight")) return;
+
+  Serializer.addProperties("question", [
+    {
+      name: "category",
+      displayName: "Category",
+      category: PROPERTY_CATEGORY,
+      type: "dropdown",
+      choices: QUESTION_CATEGORIES,
+      default: "Standard",
+      visibleIndex: 0,
+    },
+    {
+      name: "weight:number",
+      displayName: "Weight",
+      category: PROPERTY_CATEGORY,
+      default: DEFAULT_WEIGHT,
+      minValue: WEIGHT_MIN,
+      maxValue: WEIGHT_MAX,
+      visibleIndex: 1,
+    },
+    {
+      name: "assessment_type:multiplevalues",
+      displayName: "Assessment type",
+      category: PROPERTY_CATEGORY,
+      choices: ASSESSMENT_TYPES,
+      default: [],
+      visibleIndex: 2,
+    },
+    {
+      name: "show_result_after_completion:boolean",
+      displayName: "Show result after completion",
+      category: PROPERTY_CATEGORY,
+      default: false,
+      visibleIndex: 3,
+    },
+  ]);
+
+  // Optional per-choice score used instead of the choice position when scoring
+  Serializer.addProperty("itemvalue", {
+    name: "score:number",
+    displayName: "Score",
+  });
+}
+
+/**
+ * Validate a custom property value entered in the property grid.
+ * Returns an error message, or an empty string when the value is valid.
+ */
+export function validateCustomProperty(propertyName, value) {
+  switch (propertyName) {
+    case "category":
+      if (value && !QUESTION_CATEGORIES.includes(value)) {
+        return `Category must be one of: ${QUESTION_CATEGORIES.join(", ")}`;
+      }
+      return "";
+    case "weight":
+      if (value === undefined || value === null || value === "") return "";
+      if (!Number.isFinite(Number(value))) {
+        return "Weight must be a number";
+      }
+      if (Number(value) < WEIGHT_MIN || Number(value) > WEIGHT_MAX) {
+        return `Weight must be between ${WEIGHT_MIN} and ${WEIGHT_MAX}`;
+      }
+      return "";
+    case "assessment_type": {
+      const unknown = (value || []).filter((type) => !ASSESSMENT_TYPES.includes(type));
+      if (unknown.length > 0) {
+        return `Unknown assessment type: ${unknown.join(", ")}`;
+      }
+      return "";
+    }
+    default:
+      return "";
+  }
+}
@@ -0,0 +1,119 @@
+// Question properties compared by the diff; nested elements and choices are
+// reported separately so they are left out here.
+const IGNORED_QUESTION_KEYS = ["elements", "templateElements", "choices", "name"];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const choiceValue = (choice) =>
+  choice !== null && typeof choice === "object" ? choice.value : choice;
+
+const choiceText = (choice) =>
+  choice !== null && typeof choice === "object" ? choice.text ?? choice.value : choice;
+
+/**
+ * Flatten a survey definition into question entries keyed by name,
+ * walking into panels and dynamic panels.
+ */
+export function collectQuestions(surveyJson) {
+  const questions = new Map();
+
+  const walk = (elements, pageName) => {
+    (elements || []).forEach((element) => {
+      if (!element?.name) return;
+      questions.set(element.name, { ...element, pageName });
+      walk(element.elements, pageName);
+      walk(element.templateElements, pageName);
+    });
+  };
+
+  (surveyJson?.pages || []).forEach((page) => walk(page.elements, page.name));
+  // Single-page surveys may keep elements at the root
+  walk(surveyJson?.elements, null);
+  return questions;
+}
+
+const diffChoices = (before = [], after = []) => {
+  const beforeByValue = new Map(before.map((choice) => [String(choiceValue(choice)), choice]));
+  const afterByValue = new Map(after.map((choice) => [String(choiceValue(choice)), choice]));
+
+  const added = after.filter((choice) => !beforeByValue.has(String(choiceValue(choice))));
+  const removed = before.filter((choice) => !afterByValue.has(String(choiceValue(choice))));
+  const changed = after
+    .filter((choice) => {
+      const previous = beforeByValue.get(String(choiceValue(choice)));
+      return previous !== undefined && !isEqual(previous, choice);
+    })
+    .map((choice) => ({
+      value: choiceValue(choice),
+      from: choiceText(beforeByValue.get(String(choiceValue(choice)))),
+      to: choiceText(choice),
+    }));
+
+  return {
+    added: added.map(choiceText),
+    removed: removed.map(choiceText),
+    changed,
+  };
+};
+
+const diffProperties = (before, after) => {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys]
+    .filter((key) => !IGNORED_QUESTION_KEYS.includes(key))
+    .filter((key) => !isEqual(before[key], after[key]))
+    .map((key) => ({ property: key, from: before[key], to: after[key] }));
+};
+
+/**
+ * Structural diff between two survey definitions: pages, questions
+ * (matched by name) and their choices.
+ */
+export function diffSurveys(beforeJson, afterJson) {
+  const beforePages = (beforeJson?.pages || []).map((page) => page.name);
+  const afterPages = (afterJson?.pages || []).map((page) => page.name);
+  const pages = {
+    added: afterPages.filter((name) => !beforePages.includes(name)),
+    removed: beforePages.filter((name) => !afterPages.includes(name)),
+  };
+
+  const beforeQuestions = collectQuestions(beforeJson);
+  const afterQuestions = collectQuestions(afterJson);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  afterQuestions.forEach((question, name) => {
+    const previous = beforeQuestions.get(name);
+    if (!previous) {
+      added.push({ name, title: question.title, type: question.type });
+      return;
+    }
+    const properties = diffProperties(previous, question);
+    const choices = diffChoices(previous.choices, question.choices);
+    const hasChoiceChanges = choices.added.length + choices.removed.length + choices.changed.length > 0;
+    if (properties.length > 0 || hasChoiceChanges) {
+      changed.push({ name, title: question.title, properties, choices });
+    }
+  });
+
+  beforeQuestions.forEach((question, name) => {
+    if (!afterQuestions.has(name)) {
+      removed.push({ name, title: question.title, type: question.type });
+    }
+  });
+
+  const surveyProperties = diffProperties(
+    { title: beforeJson?.title, description: beforeJson?.description },
+    { title: afterJson?.title, description: afterJson?.description }
+  );
+
+  return {
+    survey: surveyProperties,
+    pages,
+    questions: { added, removed, changed },
+    isEmpty: surveyProperties.length === 0 &&
+      pages.added.length + pages.removed.length === 0 &&
+      added.length + removed.length + changed.length === 0,
+  };
+}
@@ -0,0 +1,51 @@
+import { MODULE_STATUS } from "../services/moduleStatus";
+
+// Stable form of a value: object keys sorted, strings trimmed and empty
+// values dropped, so formatting and key order do not hide duplicates
+const normalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((result, key) => {
+        const normalized = normalize(value[key]);
+        if (normalized !== undefined) result[key] = normalized;
+        return result;
+      }, {});
+  }
+  if (typeof value === "string") {
+    return value.trim() || undefined;
+  }
+  return value ?? undefined;
+};
+
+/**
+ * Content key of a survey definition. Two surveys with the same key have
+ * the same pages, questions and settings, whatever their module names.
+ */
+export const surveyFingerprint = (surveyJson) => JSON.stringify(normalize(surveyJson || {}));
+
+/**
+ * Group modules whose surveys have identical content. Archived (Inactive)
+ * modules are left out. Each group lists the newest module first.
+ */
+export function findDuplicateGroups(modules) {
+  const groups = new Map();
+
+  modules
+    .filter((module) => module.status !== MODULE_STATUS.INACTIVE)
+    .forEach((module) => {
+      const key = surveyFingerprint(module.surveyJson);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(module);
+    });
+
+  const newestFirst = (a, b) =>
+    new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt);
+
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => [...group].sort(newestFirst));
+}
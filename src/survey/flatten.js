@@ -0,0 +1,217 @@
+// Flatten survey answers into spreadsheet columns. Every question becomes a
+// column group; complex questions (matrices, multiple choice, dynamic
+// panels) spread over several columns named `question.row.column` or
+// `question[2].inner` so each cell holds a single value.
+
+const choiceValue = (choice) =>
+  choice !== null && typeof choice === "object" ? choice.value : choice;
+
+const choiceText = (choice) =>
+  choice !== null && typeof choice === "object" ? String(choice.text ?? choice.value) : String(choice);
+
+const itemName = (item) => (item !== null && typeof item === "object" ? item.name ?? item.value : item);
+
+const itemTitle = (item) =>
+  item !== null && typeof item === "object" ? String(item.title ?? item.text ?? item.name ?? item.value) : String(item);
+
+// Cell value for anything that does not flatten further
+export const toCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "number" || typeof value === "boolean") return value;
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const SKIPPED_TYPES = ["html", "image"];
+
+// Questions in answer order, walking into panels; panel values live at the top level
+const collectAnswerQuestions = (elements, result = []) => {
+  (elements || []).forEach((element) => {
+    if (!element || SKIPPED_TYPES.includes(element.type)) return;
+    if (element.type === "panel") {
+      collectAnswerQuestions(element.elements, result);
+    } else {
+      result.push(element);
+    }
+  });
+  return result;
+};
+
+// Largest number of rows/panels any response has for a dynamic question
+const maxLength = (responses, getValue) =>
+  responses.reduce((max, response) => {
+    const value = getValue(response);
+    return Array.isArray(value) ? Math.max(max, value.length) : max;
+  }, 0);
+
+// Columns for the answer itself, without the comment column
+const valueColumns = (question, { key, title, getValue, responses }) => {
+  const column = (suffixKey, suffixTitle, get) => ({
+    key: `${key}${suffixKey}`,
+    title: `${title}${suffixTitle}`,
+    get,
+  });
+
+  switch (question.type) {
+    case "checkbox":
+    case "tagbox": {
+      const columns = (question.choices || []).map((choice) =>
+        column(`.${choiceValue(choice)}`, ` - ${choiceText(choice)}`, (response) => {
+          const value = getValue(response);
+          return Array.isArray(value) && value.some((selected) => String(selected) === String(choiceValue(choice))) ? 1 : "";
+        })
+      );
+      if (question.showOtherItem || question.hasOther) {
+        const known = new Set((question.choices || []).map((choice) => String(choiceValue(choice))));
+        columns.push(column(".other", " - Other", (response) => {
+          const value = getValue(response);
+          return Array.isArray(value) ? value.filter((selected) => !known.has(String(selected))).join(", ") : "";
+        }));
+      }
+      return columns;
+    }
+
+    case "ranking":
+      return (question.choices || []).map((choice) =>
+        column(`.${choiceValue(choice)}`, ` - ${choiceText(choice)}`, (response) => {
+          const value = getValue(response);
+          const rank = Array.isArray(value) ? value.findIndex((item) => String(item) === String(choiceValue(choice))) : -1;
+          return rank >= 0 ? rank + 1 : "";
+        })
+      );
+
+    case "matrix":
+      return (question.rows || []).map((row) =>
+        column(`.${itemName(row)}`, ` - ${itemTitle(row)}`, (response) => toCell(getValue(response)?.[itemName(row)]))
+      );
+
+    case "multipletext":
+      return (question.items || []).map((item) =>
+        column(`.${itemName(item)}`, ` - ${itemTitle(item)}`, (response) => toCell(getValue(response)?.[itemName(item)]))
+      );
+
+    case "matrixdropdown":
+      return (question.rows || []).flatMap((row) =>
+        (question.columns || []).map((col) =>
+          column(
+            `.${itemName(row)}.${itemName(col)}`,
+            ` - ${itemTitle(row)} - ${itemTitle(col)}`,
+            (response) => toCell(getValue(response)?.[itemName(row)]?.[itemName(col)])
+          )
+        )
+      );
+
+    case "matrixdynamic": {
+      const rowCount = Math.max(maxLength(responses, getValue), question.rowCount ?? 0);
+      return Array.from({ length: rowCount }, (_, index) =>
+        (question.columns || []).map((col) =>
+          column(
+            `[${index + 1}].${itemName(col)}`,
+            ` [${index + 1}] - ${itemTitle(col)}`,
+            (response) => toCell(getValue(response)?.[index]?.[itemName(col)])
+          )
+        )
+      ).flat();
+    }
+
+    case "paneldynamic": {
+      const panelCount = maxLength(responses, getValue);
+      const inner = collectAnswerQuestions(question.templateElements);
+      return Array.from({ length: panelCount }, (_, index) =>
+        inner.flatMap((innerQuestion) =>
+          questionColumns(innerQuestion, {
+            key: `${key}[${index + 1}].${innerQuestion.name}`,
+            title: `${title} [${index + 1}] - ${innerQuestion.title || innerQuestion.name}`,
+            getValue: (response) => getValue(response)?.[index]?.[innerQuestion.valueName || innerQuestion.name],
+            getComment: (response) => getValue(response)?.[index]?.[`${innerQuestion.valueName || innerQuestion.name}-Comment`],
+            responses,
+          })
+        )
+      ).flat();
+    }
+
+    case "file":
+      return [column("", "", (response) => {
+        const value = getValue(response);
+        return Array.isArray(value) ? value.map((file) => file?.name ?? "").join(", ") : toCell(value);
+      })];
+
+    default:
+      return [column("", "", (response) => toCell(getValue(response)))];
+  }
+};
+
+/**
+ * Columns for one question. `key` and `title` are the header paths so far,
+ * `getValue(response)` reads the question's answer from a response and
+ * `getComment(response)` the text typed into its "Other" or comment box,
+ * which SurveyJS stores next to the answer as `<name>-Comment`.
+ */
+const questionColumns = (question, { key, title, getValue, getComment, responses }) => {
+  const columns = valueColumns(question, { key, title, getValue, responses });
+  if (question.showOtherItem || question.hasOther || question.showCommentArea || question.hasComment) {
+    const commentTitle = question.showOtherItem || question.hasOther ? "Other (text)" : "Comment";
+    columns.push({ key: `${key}-Comment`, title: `${title} - ${commentTitle}`, get: (response) => toCell(getComment(response)) });
+  }
+  return columns;
+};
+
+/**
+ * Column groups for exporting a module's responses: metadata first, then
+ * one group per question in survey order. Dynamic matrices and panels get
+ * as many columns as the longest answer in `responses`.
+ * Returns `[{ id, label, columns: [{ key, title, get(response) }] }]`.
+ */
+export function buildExportColumns(surveyJson, responses) {
+  const metadata = {
+    id: "__metadata",
+    label: "Response details",
+    columns: [
+      { key: "response_id", title: "Response ID", get: (response) => toCell(response.id) },
+      { key: "submitted_at", title: "Submitted at", get: (response) => toCell(response.submittedAt) },
+      { key: "started_at", title: "Started at", get: (response) => toCell(response.startedAt) },
+      {
+        key: "duration_seconds",
+        title: "Duration (seconds)",
+        get: (response) => (Number.isFinite(response.durationMs) ? Math.round(response.durationMs / 1000) : ""),
+      },
+    ],
+  };
+
+  // One score column per assessment type found in any response
+  const scoreTypes = [...new Set(responses.flatMap((response) => Object.keys(response.scores?.totals || {})))];
+  const scores = {
+    id: "__scores",
+    label: "Scores",
+    columns: [
+      { key: "score_overall", title: "Overall score (%)", get: (response) => toCell(response.scores?.overall?.max ? response.scores.overall.percent : null) },
+      ...scoreTypes.map((type) => ({
+        key: `score_${type}`,
+        title: `${type} score (%)`,
+        get: (response) => toCell(response.scores?.totals?.[type]?.percent),
+      })),
+    ],
+  };
+
+  const questions = [
+    ...collectAnswerQuestions(surveyJson?.elements),
+    ...(surveyJson?.pages || []).flatMap((page) => collectAnswerQuestions(page.elements)),
+  ];
+
+  const questionGroups = questions.map((question) => {
+    const valueName = question.valueName || question.name;
+    return {
+      id: question.name,
+      label: question.title || question.name,
+      columns: questionColumns(question, {
+        key: question.name,
+        title: question.title || question.name,
+        getValue: (response) => response.data?.[valueName],
+        getComment: (response) => response.data?.[`${valueName}-Comment`],
+        responses,
+      }),
+    };
+  });
+
+  return [metadata, scores, ...questionGroups].filter((group) => group.columns.length > 0);
+}
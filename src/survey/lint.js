@@ -0,0 +1,155 @@
+// Rule-based quality and accessibility checks for survey JSON. Unlike
+// validation.js these never block saving or publishing; each rule has a
+// default severity that the lint configuration can change or turn off.
+
+export const LINT_SEVERITIES = ["error", "warning", "info"];
+
+// Names SurveyJS Creator generates for new elements
+const GENERATED_NAME = /^(question|panel|page)\d+$/i;
+
+// Choice texts left over from the Creator defaults ("item1", "Option 2"),
+// lorem ipsum and keyboard mashes. Words that can be real answers ("Bar",
+// "Test", "XX") are left alone, as a choice cannot be exempted from the rule.
+const PLACEHOLDER_CHOICE = /^(item|choice|option)\s*\d+$|^lorem\s+ipsum\b|^(asdf|qwer|zxcv)\w*$/i;
+
+const choiceText = (choice) =>
+  choice !== null && typeof choice === "object" ? String(choice.text ?? choice.value ?? "") : String(choice ?? "");
+
+// Flatten the survey into pages and the questions on each page
+const collectPages = (surveyJson) => {
+  const walk = (elements, questions) => {
+    (elements || []).forEach((element) => {
+      if (!element) return;
+      if (element.type === "panel") {
+        walk(element.elements, questions);
+      } else {
+        questions.push(element);
+        walk(element.templateElements, questions);
+      }
+    });
+    return questions;
+  };
+
+  const pages = (surveyJson?.pages || []).map((page) => ({ page, questions: walk(page.elements, []) }));
+  if (surveyJson?.elements?.length) {
+    pages.unshift({ page: { name: "(survey)" }, questions: walk(surveyJson.elements, []) });
+  }
+  return pages;
+};
+
+const finding = (message, name = null) => ({ message, name });
+
+/**
+ * The lint rules. `check(context, options)` returns `[{ message, name }]`
+ * where `name` is the offending page or question.
+ */
+export const LINT_RULES = [
+  {
+    id: "missing-title",
+    description: "Questions should have a title instead of showing their raw name",
+    severity: "warning",
+    check: ({ questions }) => questions
+      .filter((question) => question.type !== "html" && question.type !== "image" && !question.title)
+      .map((question) => finding(`"${question.name}" has no title, respondents see its name`, question.name)),
+  },
+  {
+    id: "generated-name",
+    description: "Auto-generated names (question1, panel2) make responses hard to read",
+    severity: "info",
+    check: ({ questions }) => questions
+      .filter((question) => GENERATED_NAME.test(question.name || ""))
+      .map((question) => finding(`"${question.name}" still has an auto-generated name`, question.name)),
+  },
+  {
+    id: "choice-text",
+    description: "Choices should have meaningful, distinct texts",
+    severity: "warning",
+    check: ({ questions }) => questions.flatMap((question) => {
+      const texts = (Array.isArray(question.choices) ? question.choices : []).map(choiceText).map((text) => text.trim());
+      const results = texts
+        .filter((text) => !text || PLACEHOLDER_CHOICE.test(text))
+        .map((text) => finding(`"${question.name}" has a placeholder choice "${text}"`, question.name));
+      const repeated = texts.filter((text, index) => text && texts.indexOf(text) !== index);
+      if (repeated.length > 0) {
+        results.push(finding(`"${question.name}" has more than one choice labelled "${repeated[0]}"`, question.name));
+      }
+      return results;
+    }),
+  },
+  {
+    id: "page-length",
+    description: "Long pages tire respondents; split them up",
+    severity: "warning",
+    options: { maxQuestions: 10 },
+    check: ({ pages }, { maxQuestions }) => pages
+      .filter(({ questions }) => questions.length > maxQuestions)
+      .map(({ page, questions }) =>
+        finding(`Page "${page.name}" has ${questions.length} questions (more than ${maxQuestions})`, page.name)
+      ),
+  },
+  {
+    id: "required-overuse",
+    description: "Making nearly every question required pushes respondents to quit or guess",
+    severity: "info",
+    options: { maxRatio: 0.8, minQuestions: 5 },
+    check: ({ questions }, { maxRatio, minQuestions }) => {
+      const answerable = questions.filter((question) => !["html", "image", "expression"].includes(question.type));
+      const required = answerable.filter((question) => question.isRequired);
+      if (answerable.length < minQuestions || required.length / answerable.length <= maxRatio) return [];
+      return [finding(`${required.length} of ${answerable.length} questions are required`)];
+    },
+  },
+  {
+    id: "image-alt-text",
+    description: "Images need alternative text for screen readers",
+    severity: "error",
+    check: ({ questions }) => questions.flatMap((question) => {
+      if (question.type === "image" && !question.altText) {
+        return [finding(`Image "${question.name}" has no alt text`, question.name)];
+      }
+      if (question.type === "imagepicker") {
+        const unlabeled = (question.choices || []).filter((choice) => !choice?.text);
+        return unlabeled.length > 0
+          ? [finding(`"${question.name}" has ${unlabeled.length} image choice(s) without text`, question.name)]
+          : [];
+      }
+      return [];
+    }),
+  },
+  {
+    id: "missing-description",
+    description: "Surveys should have a title and description telling respondents what to expect",
+    severity: "info",
+    check: ({ surveyJson }) => [
+      !surveyJson?.title && finding("The survey has no title"),
+      !surveyJson?.description && finding("The survey has no description"),
+    ].filter(Boolean),
+  },
+];
+
+// Severity of every rule when no configuration overrides it
+export const DEFAULT_LINT_CONFIG = Object.fromEntries(LINT_RULES.map((rule) => [rule.id, rule.severity]));
+
+/**
+ * Run the lint rules over a survey. `config` maps rule ids to a severity or
+ * "off". Returns `[{ ruleId, severity, message, name }]`, most severe first.
+ */
+export function lintSurvey(surveyJson, config = DEFAULT_LINT_CONFIG) {
+  const pages = collectPages(surveyJson);
+  const context = { surveyJson, pages, questions: pages.flatMap(({ questions }) => questions) };
+
+  return LINT_RULES
+    .flatMap((rule) => {
+      const severity = config[rule.id] ?? rule.severity;
+      if (!LINT_SEVERITIES.includes(severity)) return [];
+      return rule.check(context, rule.options || {}).map((result) => ({ ruleId: rule.id, severity, ...result }));
+    })
+    .sort((a, b) => LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity));
+}
+
+// Finding counts per severity, e.g. { error: 1, warning: 2, info: 0 }
+export const summarizeLint = (findings) =>
+  Object.fromEntries(LINT_SEVERITIES.map((severity) => [
+    severity,
+    findings.filter((item) => item.severity === severity).length,
+  ]));
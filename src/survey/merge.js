@@ -0,0 +1,85 @@
+import { collectQuestions, diffSurveys } from "./diff";
+
+/**
+ * List the questions that differ between two versions of a survey,
+ * as candidates for a per-question merge.
+ */
+export function listMergeConflicts(theirsJson, mineJson) {
+  const { questions } = diffSurveys(theirsJson, mineJson);
+  return [
+    ...questions.changed.map((question) => ({ ...question, kind: "changed" })),
+    ...questions.added.map((question) => ({ ...question, kind: "onlyMine" })),
+    ...questions.removed.map((question) => ({ ...question, kind: "onlyTheirs" })),
+  ];
+}
+
+const cloneJson = (value) => JSON.parse(JSON.stringify(value));
+
+// Replace or remove a question by name anywhere in an element tree
+const updateElements = (elements, name, replacement) => {
+  if (!Array.isArray(elements)) return elements;
+  return elements.flatMap((element) => {
+    if (element?.name === name) return replacement ? [replacement] : [];
+    return [{
+      ...element,
+      ...(element.elements && { elements: updateElements(element.elements, name, replacement) }),
+      ...(element.templateElements && {
+        templateElements: updateElements(element.templateElements, name, replacement),
+      }),
+    }];
+  });
+};
+
+const updateSurveyElements = (surveyJson, name, replacement) => ({
+  ...surveyJson,
+  ...(surveyJson.pages && {
+    pages: surveyJson.pages.map((page) => ({
+      ...page,
+      elements: updateElements(page.elements, name, replacement),
+    })),
+  }),
+  ...(surveyJson.elements && { elements: updateElements(surveyJson.elements, name, replacement) }),
+});
+
+// Append a question to the page it lived on in its source, or the last page
+const appendQuestion = (surveyJson, question, pageName) => {
+  const { pageName: _ignored, ...element } = question;
+  if (!surveyJson.pages || surveyJson.pages.length === 0) {
+    return { ...surveyJson, elements: [...(surveyJson.elements || []), element] };
+  }
+  const pageIndex = surveyJson.pages.findIndex((page) => page.name === pageName);
+  const targetIndex = pageIndex >= 0 ? pageIndex : surveyJson.pages.length - 1;
+  return {
+    ...surveyJson,
+    pages: surveyJson.pages.map((page, index) =>
+      index === targetIndex ? { ...page, elements: [...(page.elements || []), element] } : page
+    ),
+  };
+};
+
+/**
+ * Merge two versions of a survey at question granularity.
+ * `picks` maps question names to "theirs" or "mine"; unlisted questions keep
+ * "mine". The page layout and survey-level settings come from "mine".
+ */
+export function mergeSurveys(theirsJson, mineJson, picks = {}) {
+  const theirsQuestions = collectQuestions(theirsJson);
+  let merged = cloneJson(mineJson);
+
+  Object.entries(picks).forEach(([name, pick]) => {
+    if (pick !== "theirs") return;
+    const theirs = theirsQuestions.get(name);
+    const mineQuestions = collectQuestions(merged);
+
+    if (!theirs) {
+      merged = updateSurveyElements(merged, name, null);
+    } else if (mineQuestions.has(name)) {
+      const { pageName: _ignored, ...element } = theirs;
+      merged = updateSurveyElements(merged, name, cloneJson(element));
+    } else {
+      merged = appendQuestion(merged, cloneJson(theirs), theirs.pageName);
+    }
+  });
+
+  return merged;
+}
@@ -0,0 +1,140 @@
+import { Model } from "survey-core";
+import { DEFAULT_WEIGHT, registerCustomProperties } from "./customProperties";
+
+registerCustomProperties();
+
+const isEmptyAnswer = (value) =>
+  value === undefined || value === null || value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const hasChoiceScores = (choices) =>
+  choices.some((choice) => Number.isFinite(choice.score));
+
+const ratio = (value, max) => (max > 0 ? value / max : 0);
+
+// Rating questions score by position on the scale: lowest = 0, highest = 1
+const normalizeRating = (question, value) => {
+  const rateValues = question.visibleRateValues || [];
+  if (hasChoiceScores(rateValues)) {
+    return normalizeByChoiceScores(rateValues, [value]);
+  }
+  const index = rateValues.findIndex((item) => item.value == value);
+  if (index < 0 || rateValues.length < 2) return null;
+  return index / (rateValues.length - 1);
+};
+
+// Choice questions with explicit per-choice `score` values. Single-choice
+// answers are compared to the best choice, multi-choice answers to the sum
+// of all positive scores.
+const normalizeByChoiceScores = (choices, selected, multiple = false) => {
+  const scoreOf = (choice) => (Number.isFinite(choice.score) ? choice.score : 0);
+  const scores = choices.map(scoreOf);
+  const best = multiple
+    ? scores.filter((score) => score > 0).reduce((sum, score) => sum + score, 0)
+    : Math.max(0, ...scores);
+  const earned = choices
+    .filter((choice) => selected.some((value) => value == choice.value))
+    .reduce((sum, choice) => sum + scoreOf(choice), 0);
+  return Math.min(1, Math.max(0, ratio(earned, best)));
+};
+
+// Without score values, choices are ranked by index: first choice = 1, last = 0
+const normalizeByChoiceIndex = (choices, value) => {
+  const index = choices.findIndex((choice) => choice.value == value);
+  if (index < 0) return null;
+  if (choices.length < 2) return 1;
+  return 1 - index / (choices.length - 1);
+};
+
+/**
+ * Convert a question's answer into a normalized score between 0 and 1.
+ * Returns null for questions that cannot be scored (text, comment, ...)
+ * or have not been answered.
+ */
+export function normalizeAnswer(question, value) {
+  if (isEmptyAnswer(value)) return null;
+
+  switch (question.getType()) {
+    case "rating":
+      return normalizeRating(question, value);
+    case "boolean":
+      return value === (question.valueTrue ?? true) ? 1 : 0;
+    case "checkbox":
+    case "tagbox": {
+      const choices = question.choices || [];
+      const selected = Array.isArray(value) ? value : [value];
+      if (hasChoiceScores(choices)) return normalizeByChoiceScores(choices, selected, true);
+      return ratio(selected.length, choices.length);
+    }
+    case "radiogroup":
+    case "dropdown":
+    case "imagepicker":
+    case "buttongroup": {
+      const choices = question.choices || [];
+      if (hasChoiceScores(choices)) return normalizeByChoiceScores(choices, [value]);
+      return normalizeByChoiceIndex(choices, value);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Score a completed survey model.
+ *
+ * Every scorable question contributes `normalized * weight` to each of its
+ * assessment types; `max` is the sum of the weights of answered questions.
+ */
+export function calculateScoresForSurvey(survey) {
+  const questions = [];
+  const totals = {};
+  const overall = { score: 0, max: 0, percent: 0 };
+
+  survey.getAllQuestions().forEach((question) => {
+    const normalized = normalizeAnswer(question, question.value);
+    if (normalized === null) return;
+
+    const weight = Number.isFinite(Number(question.weight)) ? Number(question.weight) : DEFAULT_WEIGHT;
+    const weighted = normalized * weight;
+    const assessmentTypes = question.assessment_type || [];
+
+    questions.push({
+      name: question.name,
+      title: question.title || question.name,
+      normalized,
+      weight,
+      weighted,
+      assessmentTypes,
+      showResult: !!question.show_result_after_completion,
+    });
+
+    assessmentTypes.forEach((type) => {
+      if (!totals[type]) totals[type] = { score: 0, max: 0, percent: 0 };
+      totals[type].score += weighted;
+      totals[type].max += weight;
+    });
+    overall.score += weighted;
+    overall.max += weight;
+  });
+
+  Object.values(totals).forEach((total) => {
+    total.percent = Math.round(ratio(total.score, total.max) * 100);
+  });
+  overall.percent = Math.round(ratio(overall.score, overall.max) * 100);
+
+  return {
+    questions,
+    totals,
+    overall,
+    calculatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Score a set of answers against a survey definition.
+ */
+export function calculateScores(surveyJson, answers) {
+  const survey = new Model(surveyJson || {});
+  survey.data = answers || {};
+  return calculateScoresForSurvey(survey);
+}
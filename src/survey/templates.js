@@ -0,0 +1,57 @@
+// Starting points offered by "Create New Survey" next to the templates
+// users save from their own modules. Built-in templates are not stored.
+export const BUILTIN_TEMPLATES = [
+  {
+    id: "builtin-blank",
+    name: "Blank survey",
+    description: "An empty page to build from scratch.",
+    builtIn: true,
+    surveyJson: {
+      pages: [{ name: "page1", elements: [] }],
+    },
+  },
+  {
+    id: "builtin-contact",
+    name: "Contact details",
+    description: "Asks for the respondent's first and last name.",
+    builtIn: true,
+    surveyJson: {
+      pages: [
+        {
+          name: "Name",
+          elements: [
+            { name: "FirstName", title: "Enter your first name:", type: "text" },
+            { name: "LastName", title: "Enter your last name:", type: "text" },
+          ],
+        },
+      ],
+    },
+  },
+  {
+    id: "builtin-feedback",
+    name: "Feedback",
+    description: "A satisfaction rating followed by an open comment.",
+    builtIn: true,
+    surveyJson: {
+      pages: [
+        {
+          name: "feedback",
+          elements: [
+            {
+              type: "rating",
+              name: "satisfaction",
+              title: "How satisfied are you overall?",
+              rateMin: 1,
+              rateMax: 5,
+            },
+            {
+              type: "comment",
+              name: "comments",
+              title: "What could we do better?",
+            },
+          ],
+        },
+      ],
+    },
+  },
+];
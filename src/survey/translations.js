@@ -0,0 +1,211 @@
+// Translatable survey content. SurveyJS stores a localizable property either
+// as a plain string (default locale only) or as an object keyed by locale,
+// e.g. { default: "Name", de: "Name", fr: "Nom" }. These helpers list every
+// such string in a survey and read or write its translations.
+
+import { surveyLocalization } from "survey-core";
+
+// The SurveyJS key for the survey's own language
+export const DEFAULT_LOCALE = "default";
+
+const SURVEY_PROPS = ["title", "description", "completedHtml", "completedBeforeHtml", "pagePrevText", "pageNextText", "completeText"];
+const PAGE_PROPS = ["title", "description"];
+const ELEMENT_PROPS = [
+  "title", "description", "placeholder", "requiredErrorText", "otherText", "otherPlaceholder", "noneText",
+  "selectAllText", "commentText", "minRateDescription", "maxRateDescription", "labelTrue", "labelFalse", "html",
+  "templateTitle", "panelAddText", "panelRemoveText", "addRowText", "removeRowText", "emptyRowsText",
+];
+
+// Properties listed even when unset, because SurveyJS shows a fallback for them
+const ALWAYS_LISTED = ["title"];
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Locale → text map of a localizable value
+export const localizedValues = (value) => {
+  if (typeof value === "string") return { [DEFAULT_LOCALE]: value };
+  return isPlainObject(value) ? { ...value } : {};
+};
+
+// Display name of a locale code, e.g. "de" -> "deutsch"
+export const localeLabel = (locale) => surveyLocalization.localeNames[locale] || locale;
+
+// Locales SurveyJS ships UI strings for (with survey-core/survey.i18n loaded)
+export const availableLocales = () => surveyLocalization.getLocales(true).filter(Boolean);
+
+// Language of a survey's default texts
+export const surveyLanguage = (surveyJson) => surveyJson?.locale || surveyLocalization.defaultLocale || "en";
+
+/**
+ * Best match for the browser's preferred languages among `locales`, or
+ * DEFAULT_LOCALE when none of them fits.
+ */
+export function preferredLocale(locales = []) {
+  const preferences = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+  for (const preference of preferences) {
+    const language = String(preference || "").toLowerCase();
+    const match = locales.find((locale) => locale.toLowerCase() === language)
+      || locales.find((locale) => locale.toLowerCase() === language.split("-")[0]);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const hasText = (text) => typeof text === "string" && text.trim() !== "";
+
+/**
+ * Every translatable string in a survey, in survey order. Each entry is
+ * `{ key, path, context, fallback, values }`: `key` identifies the string
+ * in exported files, `path` locates it in the survey JSON, `fallback` is
+ * what SurveyJS shows when the default text is empty (a name or value) and
+ * `values` maps locales to their text.
+ */
+export function collectTranslatableStrings(surveyJson) {
+  const entries = [];
+
+  const add = (key, path, context, value, fallback = "") => {
+    entries.push({ key, path, context, fallback, values: localizedValues(value) });
+  };
+
+  const addProps = (owner, props, keyPrefix, path, context, fallbackTitle) => {
+    props.forEach((prop) => {
+      const value = owner[prop];
+      const listed = ALWAYS_LISTED.includes(prop) && fallbackTitle !== undefined;
+      if (value === undefined && !listed) return;
+      add(`${keyPrefix}.${prop}`, [...path, prop], `${context} · ${prop}`, value, prop === "title" ? fallbackTitle : "");
+    });
+  };
+
+  // Choices, rates and matrix rows (ItemValue: a primitive or { value, text })
+  const addItemValue = (item, keyPrefix, path, context, label) => {
+    const value = isPlainObject(item) ? item.value : item;
+    add(`${keyPrefix}.${value}`, [...path, "text"], `${context} · ${label} ${value}`, isPlainObject(item) ? item.text : undefined, String(value));
+  };
+
+  const addItemValues = (items, keyPrefix, path, context, label) => {
+    (Array.isArray(items) ? items : []).forEach((item, index) => {
+      addItemValue(item, keyPrefix, [...path, index], context, label);
+    });
+  };
+
+  const addElements = (elements, path) => {
+    (Array.isArray(elements) ? elements : []).forEach((element, index) => {
+      if (!isPlainObject(element)) return;
+      const elementPath = [...path, index];
+      const keyPrefix = `questions.${element.name}`;
+      const context = `${element.type === "panel" ? "Panel" : "Question"} ${element.name}`;
+
+      addProps(element, ELEMENT_PROPS, keyPrefix, elementPath, context, element.name);
+      addItemValues(element.choices, `${keyPrefix}.choices`, [...elementPath, "choices"], context, "choice");
+      addItemValues(element.rateValues, `${keyPrefix}.rateValues`, [...elementPath, "rateValues"], context, "rate");
+      addItemValues(element.rows, `${keyPrefix}.rows`, [...elementPath, "rows"], context, "row");
+
+      // Matrix columns are ItemValues on single-choice matrices, named objects elsewhere
+      (Array.isArray(element.columns) ? element.columns : []).forEach((column, columnIndex) => {
+        const columnPath = [...elementPath, "columns", columnIndex];
+        if (isPlainObject(column) && column.name !== undefined) {
+          const columnKey = `${keyPrefix}.columns.${column.name}`;
+          const columnContext = `${context} · column ${column.name}`;
+          add(`${columnKey}.title`, [...columnPath, "title"], columnContext, column.title, column.name);
+          addItemValues(column.choices, `${columnKey}.choices`, [...columnPath, "choices"], columnContext, "choice");
+        } else {
+          addItemValue(column, `${keyPrefix}.columns`, columnPath, context, "column");
+        }
+      });
+
+      (Array.isArray(element.items) ? element.items : []).forEach((item, itemIndex) => {
+        if (!isPlainObject(item)) return;
+        add(`${keyPrefix}.items.${item.name}`, [...elementPath, "items", itemIndex, "title"], `${context} · item ${item.name}`, item.title, item.name);
+      });
+
+      (Array.isArray(element.validators) ? element.validators : []).forEach((validator, validatorIndex) => {
+        if (!isPlainObject(validator) || validator.text === undefined) return;
+        add(`${keyPrefix}.validators.${validatorIndex}`, [...elementPath, "validators", validatorIndex, "text"], `${context} · validation message`, validator.text);
+      });
+
+      addElements(element.elements, [...elementPath, "elements"]);
+      addElements(element.templateElements, [...elementPath, "templateElements"]);
+    });
+  };
+
+  if (!isPlainObject(surveyJson)) return entries;
+  addProps(surveyJson, SURVEY_PROPS, "survey", [], "Survey");
+  addElements(surveyJson.elements, ["elements"]);
+  (Array.isArray(surveyJson.pages) ? surveyJson.pages : []).forEach((page, index) => {
+    if (!isPlainObject(page)) return;
+    addProps(page, PAGE_PROPS, `pages.${page.name}`, ["pages", index], `Page ${page.name}`);
+    addElements(page.elements, ["pages", index, "elements"]);
+  });
+  return entries;
+}
+
+// Collapse { default: "x" } back to "x" and drop empty locale objects
+const compactLocalized = (values) => {
+  const filled = Object.fromEntries(Object.entries(values).filter(([, text]) => hasText(text)));
+  const locales = Object.keys(filled);
+  if (locales.length === 0) return undefined;
+  if (locales.length === 1 && locales[0] === DEFAULT_LOCALE) return filled[DEFAULT_LOCALE];
+  return filled;
+};
+
+// Write one locale's text at `path`, turning primitive ItemValues into objects
+const writeTranslation = (json, path, locale, text) => {
+  let parent = json;
+  for (let index = 0; index < path.length - 1; index += 1) {
+    const key = path[index];
+    if (!isPlainObject(parent[key]) && !Array.isArray(parent[key])) {
+      // A primitive choice such as "apple" becomes { value: "apple" }
+      parent[key] = { value: parent[key] };
+    }
+    parent = parent[key];
+  }
+  const prop = path[path.length - 1];
+  const next = compactLocalized({ ...localizedValues(parent[prop]), [locale]: text });
+  if (next === undefined) delete parent[prop];
+  else parent[prop] = next;
+};
+
+/**
+ * Apply translations `[{ key, locale, text }]` to a copy of the survey.
+ * An empty text removes that locale's translation. Returns
+ * `{ surveyJson, applied, unknownKeys }`; keys that no longer exist in the
+ * survey are reported instead of applied.
+ */
+export function applyTranslations(surveyJson, updates) {
+  const json = structuredClone(surveyJson || {});
+  const paths = new Map(collectTranslatableStrings(json).map((entry) => [entry.key, entry.path]));
+  const unknownKeys = new Set();
+  let applied = 0;
+
+  updates.forEach(({ key, locale, text }) => {
+    const path = paths.get(key);
+    if (!path) {
+      unknownKeys.add(key);
+      return;
+    }
+    writeTranslation(json, path, locale, text ?? "");
+    applied += 1;
+  });
+  return { surveyJson: json, applied, unknownKeys: [...unknownKeys] };
+}
+
+/**
+ * How much of the survey is translated into each target locale.
+ * Returns `{ total, locales: { [locale]: { translated, missing, percent } } }`
+ * where `missing` lists the keys without a translation.
+ */
+export function translationCoverage(surveyJson, locales) {
+  const entries = collectTranslatableStrings(surveyJson);
+  return {
+    total: entries.length,
+    locales: Object.fromEntries(locales.map((locale) => {
+      const missing = entries.filter((entry) => !hasText(entry.values[locale])).map((entry) => entry.key);
+      const translated = entries.length - missing.length;
+      return [locale, {
+        translated,
+        missing,
+        percent: entries.length ? Math.round((translated / entries.length) * 100) : 100,
+      }];
+    })),
+  };
+}
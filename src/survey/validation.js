@@ -0,0 +1,163 @@
+import { ConditionsParser, ExpressionRunner, Model } from "survey-core";
+import { registerCustomProperties, validateCustomProperty } from "./customProperties";
+
+// Question types that need at least one choice to be answerable
+const CHOICE_TYPES = ["radiogroup", "checkbox", "dropdown", "tagbox", "imagepicker", "ranking", "buttongroup"];
+
+// Properties holding expressions, checked on every page, panel and question
+const EXPRESSION_PROPERTIES = [
+  "visibleIf",
+  "enableIf",
+  "requiredIf",
+  "resetValueIf",
+  "setValueIf",
+  "setValueExpression",
+  "defaultValueExpression",
+  "choicesVisibleIf",
+  "choicesEnableIf",
+  "minValueExpression",
+  "maxValueExpression",
+  "expression",
+];
+
+// Variables resolved by SurveyJS itself rather than by a question
+const CONTEXT_VARIABLES = ["row", "panel", "parentpanel", "item", "choice", "locale", "pageno", "pagecount", "composite"];
+
+const issue = (severity, message, element) => ({
+  severity,
+  message,
+  name: element?.name ?? null,
+});
+
+// Walk the raw JSON: the model silently keeps duplicate names, so they are counted here.
+// Names in a dynamic panel's template are scoped to that panel and get their
+// own counter, added to `scopes`.
+const collectNames = (elements, counts, scopes) => {
+  (elements || []).forEach((element) => {
+    if (element?.name) counts.set(element.name, (counts.get(element.name) || 0) + 1);
+    collectNames(element?.elements, counts, scopes);
+    if (element?.templateElements) {
+      scopes.push(collectNames(element.templateElements, new Map(), scopes));
+    }
+  });
+  return counts;
+};
+
+const checkExpression = (text, label, element, knownNames, issues) => {
+  if (typeof text !== "string" || !text.trim()) return;
+
+  const parser = new ConditionsParser();
+  if (!parser.parseExpression(text)) {
+    issues.push(issue("error", `${label} has an invalid expression: ${text}`, element));
+    return;
+  }
+
+  new ExpressionRunner(text).getVariables().forEach((variable) => {
+    const base = variable.split(/[.[]/)[0].toLowerCase();
+    if (base.startsWith("$") || CONTEXT_VARIABLES.includes(base)) return;
+    if (!knownNames.has(base)) {
+      issues.push(issue("error", `${label} refers to "{${variable}}", which is not a question in this survey`, element));
+    }
+  });
+};
+
+/**
+ * Check a survey definition for problems SurveyJS accepts but respondents
+ * would trip over. Returns `[{ severity: "error" | "warning", message, name }]`
+ * where `name` is the page, panel or question to select in the Creator.
+ */
+export function validateSurvey(surveyJson) {
+  registerCustomProperties();
+  const issues = [];
+  const json = surveyJson || {};
+
+  const model = new Model(json);
+  (model.jsonErrors || []).forEach((error) => {
+    const element = error.element || error.jsonObj;
+    if (error.type === "incorrecttypeproperty" || error.type === "missingtypeproperty") {
+      // Unknown or missing question types are dropped from the survey entirely
+      const message = error.jsonObj?.type
+        ? `"${element?.name}" has an unknown type "${error.jsonObj.type}"`
+        : error.message;
+      issues.push(issue("error", message, element));
+    } else {
+      issues.push(issue("warning", error.message, element));
+    }
+  });
+
+  // Nested questions repeat once per matrix row and dynamic panel; check each once
+  const seen = new Set();
+  const questions = model.getAllQuestions(false, true, true).filter((question) => {
+    const key = `${question.parentQuestion?.name ?? ""}/${question.name}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (questions.length === 0) {
+    issues.push(issue("warning", "The survey has no questions"));
+  }
+
+  const scopes = [];
+  const names = collectNames(json.elements, new Map(), scopes);
+  (json.pages || []).forEach((page) => collectNames(page.elements, names, scopes));
+  [names, ...scopes].forEach((counts) => counts.forEach((count, name) => {
+    if (count > 1) {
+      issues.push(issue("error", `The name "${name}" is used by ${count} questions or panels`, { name }));
+    }
+  }));
+
+  model.pages.forEach((page) => {
+    if (page.elements.length === 0) {
+      issues.push(issue("warning", `Page "${page.name}" is empty`, page));
+    }
+  });
+
+  questions.forEach((question) => {
+    const label = `Question "${question.name}"`;
+    if (CHOICE_TYPES.includes(question.getType()) &&
+      question.choices.length === 0 &&
+      !question.choicesByUrl?.url &&
+      !question.choicesFromQuestion) {
+      issues.push(issue("error", `${label} has no choices`, question));
+    }
+
+    if (Array.isArray(question.choices)) {
+      const values = question.choices.map((choice) => String(choice.value));
+      const repeated = values.filter((value, index) => values.indexOf(value) !== index);
+      if (repeated.length > 0) {
+        issues.push(issue("warning", `${label} repeats the choice value "${repeated[0]}"`, question));
+      }
+    }
+
+    ["category", "weight"].forEach((property) => {
+      const error = validateCustomProperty(property, question[property]);
+      if (error) issues.push(issue("error", `${label}: ${error}`, question));
+    });
+  });
+
+  // Expressions may refer to questions (or their value names) and calculated values
+  const knownNames = new Set();
+  questions.forEach((question) => {
+    knownNames.add(question.name.toLowerCase());
+    if (question.valueName) knownNames.add(question.valueName.toLowerCase());
+  });
+  (json.calculatedValues || []).forEach((value) => value?.name && knownNames.add(value.name.toLowerCase()));
+
+  const elements = [...model.pages, ...model.getAllPanels(false, true), ...questions];
+  elements.forEach((element) => {
+    const kind = element.isPage ? "Page" : element.isPanel ? "Panel" : "Question";
+    EXPRESSION_PROPERTIES.forEach((property) => {
+      checkExpression(element[property], `${kind} "${element.name}" ${property}`, element, knownNames, issues);
+    });
+  });
+  (json.triggers || []).forEach((trigger, index) => {
+    checkExpression(trigger?.expression, `Trigger ${index + 1}`, null, knownNames, issues);
+  });
+  (json.calculatedValues || []).forEach((value) => {
+    checkExpression(value?.expression, `Calculated value "${value?.name}"`, null, knownNames, issues);
+  });
+
+  return issues;
+}
+
+export const hasBlockingIssues = (issues) => issues.some((item) => item.severity === "error");
@@ -0,0 +1,263 @@
+-- Tables for the supabase storage backend (src/services/storage/supabaseAdapter.js).
+-- Every collection stores whole records as JSON; `search` backs full-text `q` queries.
+
+create table if not exists modules (
+  id text primary key,
+  data jsonb not null default '{}'::jsonb,
+  search text generated always as (data::text) stored
+);
+
+create table if not exists responses (
+  id text primary key,
+  data jsonb not null default '{}'::jsonb,
+  search text generated always as (data::text) stored
+);
+
+create table if not exists versions (
+  id text primary key,
+  data jsonb not null default '{}'::jsonb,
+  search text generated always as (data::text) stored
+);
+
+create table if not exists templates (
+  id text primary key,
+  data jsonb not null default '{}'::jsonb,
+  search text generated always as (data::text) stored
+);
+
+create table if not exists themes (
+  id text primary key,
+  data jsonb not null default '{}'::jsonb,
+  search text generated always as (data::text) stored
+);
+
+create table if not exists audit (
+  id text primary key,
+  data jsonb not null default '{}'::jsonb,
+  search text generated always as (data::text) stored
+);
+
+create index if not exists responses_module_idx on responses ((data->>'moduleId'));
+create index if not exists versions_module_idx on versions ((data->>'moduleId'));
+create index if not exists audit_module_idx on audit ((data->>'moduleId'));
+create index if not exists modules_share_token_idx on modules ((data->>'shareToken'));
+create index if not exists responses_respondent_idx on responses ((data->>'respondentId'));
+
+-- Responses stored before partial responses existed have no status; they
+-- were all submitted (see src/services/migrations.js)
+update responses set data = data || '{"status": "complete"}'::jsonb
+ where coalesce(data->>'status', '') = '';
+
+-- Module permissions (src/services/permissions.js) for Supabase Auth users.
+-- Owners are `data.ownerId`; members are `data.members` entries matched by
+-- the signed-in email. Modules without an owner predate accounts and belong
+-- to the administrators listed in `admins`, the same emails as
+-- VITE_ADMIN_EMAILS. Anonymous respondents never read the tables: they get
+-- the public fields of shared modules from `public_modules`, and their own
+-- responses through the respondent id every request carries.
+create table if not exists admins (
+  email text primary key
+);
+
+alter table modules enable row level security;
+alter table responses enable row level security;
+alter table versions enable row level security;
+alter table audit enable row level security;
+alter table templates enable row level security;
+alter table themes enable row level security;
+-- No policies: only the service role reads or changes the administrators
+alter table admins enable row level security;
+
+create or replace function is_admin() returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (select 1 from admins where lower(email) = lower(auth.jwt()->>'email'))
+$$;
+
+-- The browser's respondent id (getRespondentId in src/services/sharing.js),
+-- sent by the supabase client as the x-respondent-id header
+create or replace function request_respondent_id() returns text
+language sql stable as $$
+  select nullif(current_setting('request.headers', true)::jsonb->>'x-respondent-id', '')
+$$;
+
+create or replace function module_role(record jsonb) returns text
+language sql stable as $$
+  select case
+    when auth.uid() is null then null
+    when coalesce(record->>'ownerId', '') = '' then case when is_admin() then 'owner' else 'respondent' end
+    when record->>'ownerId' = auth.uid()::text then 'owner'
+    else coalesce(
+      (select member->>'role'
+         from jsonb_array_elements(coalesce(record->'members', '[]'::jsonb)) as member
+        where lower(member->>'email') = lower(auth.jwt()->>'email')
+        limit 1),
+      'respondent')
+  end
+$$;
+
+-- Role on a module as stored, for the tables that point at modules and for
+-- checking an update against the row it replaces
+create or replace function module_role_by_id(module_id text) returns text
+language sql stable security definer set search_path = public as $$
+  select module_role(data) from modules where id = module_id
+$$;
+
+create or replace function module_ownership(module_id text) returns jsonb
+language sql stable security definer set search_path = public as $$
+  select jsonb_build_object('ownerId', data->'ownerId', 'members', data->'members') from modules where id = module_id
+$$;
+
+-- Whether a module takes a response now (checkAvailability in
+-- src/services/sharing.js): anonymous respondents only answer published,
+-- shared modules; nobody answers a trashed, closed or full one
+create or replace function module_accepts_responses(module_id text) returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (
+    select 1 from modules m
+     where m.id = module_id
+       and coalesce((m.data->>'deleted')::boolean, false) = false
+       and (auth.uid() is not null
+         or ((m.data->'sharing'->>'enabled')::boolean is true and m.data->>'status' = 'Published'))
+       and coalesce((m.data->'sharing'->>'opensAt')::timestamptz <= now(), true)
+       and coalesce((m.data->'sharing'->>'closesAt')::timestamptz > now(), true)
+       and (coalesce((m.data->'sharing'->>'maxResponses')::int, 0) = 0
+         or (select count(*) from responses r
+              where r.data->>'moduleId' = m.id and r.data->>'status' = 'complete')
+            < (m.data->'sharing'->>'maxResponses')::int)
+  )
+$$;
+
+-- What a public link shows, and nothing else (members, tags, audit fields
+-- stay private). The view runs with its owner's rights, past the policies.
+create or replace view public_modules as
+  select id,
+         jsonb_build_object(
+           'name', data->'name',
+           'surveyJson', data->'surveyJson',
+           'theme', data->'theme',
+           'status', data->'status',
+           'sharing', data->'sharing',
+           'shareToken', data->'shareToken',
+           'deleted', data->'deleted',
+           'schemaVersion', data->'schemaVersion'
+         ) as data
+    from modules
+   where (data->'sharing'->>'enabled')::boolean is true
+     and data->>'status' = 'Published'
+     and coalesce((data->>'deleted')::boolean, false) = false;
+
+grant select on public_modules to anon;
+
+drop policy if exists modules_select on modules;
+create policy modules_select on modules for select to authenticated
+  using (true);
+
+drop policy if exists modules_insert on modules;
+create policy modules_insert on modules for insert to authenticated
+  with check (data->>'ownerId' = auth.uid()::text);
+
+-- Only owners change who owns a module or its members (updateMembers)
+drop policy if exists modules_update on modules;
+create policy modules_update on modules for update to authenticated
+  using (module_role(data) in ('owner', 'editor'))
+  with check (
+    module_role_by_id(id) = 'owner'
+    or jsonb_build_object('ownerId', data->'ownerId', 'members', data->'members') = module_ownership(id)
+  );
+
+drop policy if exists modules_delete on modules;
+create policy modules_delete on modules for delete to authenticated
+  using (module_role(data) = 'owner');
+
+-- Module readers see every response; respondents see the ones they started
+drop policy if exists responses_select on responses;
+create policy responses_select on responses for select
+  using (
+    module_role_by_id(data->>'moduleId') in ('owner', 'editor', 'viewer')
+    or data->>'respondentId' = request_respondent_id()
+  );
+
+-- Owners and editors import responses; respondents add their own
+drop policy if exists responses_insert on responses;
+create policy responses_insert on responses for insert
+  with check (
+    module_role_by_id(data->>'moduleId') in ('owner', 'editor')
+    or (data->>'respondentId' = request_respondent_id() and module_accepts_responses(data->>'moduleId'))
+  );
+
+-- Respondents save progress on and complete their own partial responses
+drop policy if exists responses_update on responses;
+create policy responses_update on responses for update
+  using (
+    module_role_by_id(data->>'moduleId') in ('owner', 'editor')
+    or (data->>'respondentId' = request_respondent_id() and data->>'status' = 'partial')
+  )
+  with check (
+    module_role_by_id(data->>'moduleId') in ('owner', 'editor')
+    or (data->>'respondentId' = request_respondent_id() and module_accepts_responses(data->>'moduleId'))
+  );
+
+drop policy if exists responses_delete on responses;
+create policy responses_delete on responses for delete to authenticated
+  using (module_role_by_id(data->>'moduleId') in ('owner', 'editor'));
+
+-- Versions follow the module: readers see them, editors record them
+drop policy if exists versions_select on versions;
+create policy versions_select on versions for select to authenticated
+  using (module_role_by_id(data->>'moduleId') in ('owner', 'editor', 'viewer'));
+
+drop policy if exists versions_write on versions;
+create policy versions_write on versions for all to authenticated
+  using (module_role_by_id(data->>'moduleId') in ('owner', 'editor'))
+  with check (module_role_by_id(data->>'moduleId') in ('owner', 'editor'));
+
+-- Audit entries are written by whoever changes the module, in their own name,
+-- and removed only with the module
+drop policy if exists audit_select on audit;
+create policy audit_select on audit for select to authenticated
+  using (module_role_by_id(data->>'moduleId') in ('owner', 'editor', 'viewer'));
+
+drop policy if exists audit_insert on audit;
+create policy audit_insert on audit for insert to authenticated
+  with check (
+    module_role_by_id(data->>'moduleId') in ('owner', 'editor')
+    and data->'actor'->>'id' = auth.uid()::text
+  );
+
+drop policy if exists audit_update on audit;
+create policy audit_update on audit for update to authenticated
+  using (data->'actor'->>'id' = auth.uid()::text)
+  with check (
+    module_role_by_id(data->>'moduleId') in ('owner', 'editor')
+    and data->'actor'->>'id' = auth.uid()::text
+  );
+
+drop policy if exists audit_delete on audit;
+create policy audit_delete on audit for delete to authenticated
+  using (module_role_by_id(data->>'moduleId') = 'owner');
+
+-- Library entries (ownsLibraryEntry in src/services/permissions.js) are
+-- shared with every signed-in user and removed by their creator or an admin
+drop policy if exists templates_select on templates;
+create policy templates_select on templates for select to authenticated
+  using (true);
+
+drop policy if exists templates_insert on templates;
+create policy templates_insert on templates for insert to authenticated
+  with check (data->>'ownerId' = auth.uid()::text);
+
+drop policy if exists templates_delete on templates;
+create policy templates_delete on templates for delete to authenticated
+  using (data->>'ownerId' = auth.uid()::text or is_admin());
+
+drop policy if exists themes_select on themes;
+create policy themes_select on themes for select to authenticated
+  using (true);
+
+drop policy if exists themes_insert on themes;
+create policy themes_insert on themes for insert to authenticated
+  with check (data->>'ownerId' = auth.uid()::text);
+
+drop policy if exists themes_delete on themes;
+create policy themes_delete on themes for delete to authenticated
+  using (data->>'ownerId' = auth.uid()::text or is_admin());